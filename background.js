@@ -1,7 +1,56 @@
 // Background service worker for Navigation Site Auto Submitter
 // Handles extension lifecycle and cross-tab communication
 
+import {
+  findNavSiteForUrl,
+  matchNavSiteForRecord,
+  appendAttempt,
+  recordOutcome,
+  recordListingCheck,
+  upsertRecord,
+  getRecord,
+  migrateHostnameRecords
+} from './lib/submissionRecords.js';
+import {
+  FOLLOW_UP_DEFAULT_DAYS,
+  FOLLOW_UP_RECHECK_DAYS,
+  getDateString,
+  addDays,
+  getDueFollowUps
+} from './lib/followUps.js';
+import { verifyBacklinks } from './lib/backlinks.js';
+import {
+  FINAL_ITEM_STATUSES,
+  getCampaigns,
+  getCampaign,
+  saveCampaign,
+  updateCampaignItem,
+  getCampaignProgress,
+  getNextItemIndex
+} from './lib/campaigns.js';
+import {
+  getHomepageUrl,
+  buildDiscoveryCandidates,
+  scoreSubmitForm,
+  pickBestSubmitPage
+} from './lib/submitDiscovery.js';
+import { normalizeSubmitUrl } from './lib/navSiteImport.js';
+import { buildProfileFromMetadata } from './lib/siteMetadata.js';
+import {
+  SCREENSHOT_PRESETS,
+  DEFAULT_SCREENSHOT_PRESET,
+  MAX_FULL_PAGE_HEIGHT,
+  MAX_SCREENSHOT_BYTES,
+  MAX_SCREENSHOT_WIDTH,
+  getCaptureScrollPositions,
+  createScreenshotEntry,
+  getScreenshotLabel,
+  addSiteScreenshot
+} from './lib/screenshots.js';
+
 const FILL_FIELD_MENU_ID = 'nav-submitter-fill-single';
+const BIND_FIELD_MENU_ID = 'nav-submitter-bind-field';
+const UNBIND_FIELD_MENU_ID = 'nav-submitter-unbind-field';
 const FILL_FIELD_ITEMS = [
   { id: 'siteUrl', title: '网站 URL' },
   { id: 'siteName', title: '网站名称' },
@@ -32,6 +81,34 @@ function buildContextMenu() {
         contexts
       });
     });
+    // 「绑定为字段」：把右键所在元素固定为当前页该标准字段的映射（见 doc/点选绑定字段-设计说明.md）
+    chrome.contextMenus.create({
+      id: BIND_FIELD_MENU_ID,
+      title: '绑定为字段 (外链提交助手)',
+      contexts
+    });
+    FILL_FIELD_ITEMS.forEach((item) => {
+      chrome.contextMenus.create({
+        id: `bind_${item.id}`,
+        parentId: BIND_FIELD_MENU_ID,
+        title: item.title,
+        contexts
+      });
+    });
+    // 「解除绑定」：从当前页映射中移除某个标准字段，其余字段保留
+    chrome.contextMenus.create({
+      id: UNBIND_FIELD_MENU_ID,
+      title: '解除绑定 (外链提交助手)',
+      contexts
+    });
+    FILL_FIELD_ITEMS.forEach((item) => {
+      chrome.contextMenus.create({
+        id: `unbind_${item.id}`,
+        parentId: UNBIND_FIELD_MENU_ID,
+        title: item.title,
+        contexts
+      });
+    });
   });
 }
 
@@ -56,27 +133,55 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       }
     });
     console.log('[Background] Extension installed, default storage initialized');
+  } else if (details.reason === 'update') {
+    // 旧版本按 siteId_hostname 记录，迁移到 siteId_navSiteId
+    const { navSites } = await chrome.storage.local.get(['navSites']);
+    const result = await migrateHostnameRecords(navSites);
+    console.log('[Background] Submission records migrated:', result);
   }
   buildContextMenu();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   buildContextMenu();
+  pauseCampaignsOnStartup();
 });
 
 // 脚本加载时也创建一次（重载扩展后右键菜单会立即出现）
 buildContextMenu();
 
+// 导航站列表变化（新增、编辑、导入、恢复备份）后，仍按 siteId_hostname 记录的旧提交记录可能有了对应导航站，迁移过去
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.navSites) return;
+  migrateHostnameRecords(changes.navSites.newValue)
+    .then(result => {
+      if (result.migrated) console.log('[Background] Submission records migrated:', result);
+    })
+    .catch(error => console.warn('[Background] Submission records migration failed:', error.message));
+});
+
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (!info.menuItemId || String(info.menuItemId).indexOf('fill_') !== 0) return;
-  const standardField = String(info.menuItemId).replace(/^fill_/, '');
-  if (tab?.id) {
-    chrome.tabs.sendMessage(tab.id, { action: 'fillSingleField', standardField }).catch(() => {});
+  const menuItemId = String(info.menuItemId || '');
+  if (!tab?.id) return;
+  // frameId：右键发生在哪个 frame 就只发给该 frame（lastContextMenuTarget 记录在那里）
+  const options = info.frameId != null ? { frameId: info.frameId } : undefined;
+  if (menuItemId.indexOf('fill_') === 0) {
+    const standardField = menuItemId.replace(/^fill_/, '');
+    chrome.tabs.sendMessage(tab.id, { action: 'fillSingleField', standardField }, options).catch(() => {});
+  } else if (menuItemId.indexOf('bind_') === 0) {
+    const standardField = menuItemId.replace(/^bind_/, '');
+    chrome.tabs.sendMessage(tab.id, { action: 'bindField', standardField }, options).catch(() => {});
+  } else if (menuItemId.indexOf('unbind_') === 0) {
+    const standardField = menuItemId.replace(/^unbind_/, '');
+    chrome.tabs.sendMessage(tab.id, { action: 'unbindField', standardField }, options).catch(() => {});
   }
 });
 
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // 发给 offscreen 文档的消息由它自己处理
+  if (request.target === 'offscreen') return false;
+
   if (request.action === 'fillForm') {
     // Forward to content script if needed
     sendResponse({ success: true });
@@ -102,9 +207,1031 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .then(result => safeSend({ success: true, result }))
       .catch(error => safeSend({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
+  } else if (request.action === 'getAutoSubmitPolicy') {
+    // 填充完成后 content script 询问是否自动提交：导航站单独设置优先，否则用全局 settings.autoSubmit
+    resolveAutoSubmitPolicy(request.url)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'recordFill') {
+    // content script 填充完成：按当前页匹配导航站，追加一次提交尝试
+    handleRecordFill(request, sender.tab?.id)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'submissionStarted') {
+    // 用户提交了刚填充的表单：开始收集该标签页的提交结果信号
+    if (sender.tab?.id != null) startSubmissionWatch(sender.tab.id, request);
+    sendResponse({ success: true });
+  } else if (request.action === 'submissionOutcome') {
+    // 页面内检测到的结果（null 表示本页没看到提示，按请求状态 / 跳转判断）
+    if (sender.tab?.id != null) finalizeSubmission(sender.tab.id, request.outcome);
+    sendResponse({ success: true });
+  } else if (request.action === 'pageReady') {
+    // 页面加载完成：若是已登记导航站的提交页，告诉 content script 该导航站的自动填充方式
+    handlePageReady(request.url, sender.tab?.id)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'getNavSiteForPage') {
+    // 填充前 content script 取本页对应的导航站（如导航站上设置的语言）
+    resolveNavSiteForTab(sender.tab?.id, request.url)
+      .then(navSite => sendResponse({ success: true, result: navSite || null }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'checkListing') {
+    // 选项页「立即检查」：抓取收录页，看是否有指向站点的链接
+    handleCheckListing(request.siteId, request.navSiteId)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'discoverSubmitPage') {
+    // 选项页「查找提交页」：只有域名的导航站，找出带提交表单的页面
+    handleDiscoverSubmitPage(request)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'fetchSiteMetadata') {
+    // 选项页「从网址获取」：用站点首页的 title / meta / OG / JSON-LD 预填站点资料
+    handleFetchSiteMetadata(request.url)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'captureSiteScreenshot') {
+    // 选项页站点编辑 / popup「截图」：按视口预设截站点首屏或整页
+    handleCaptureSiteScreenshot(request)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => {
+        if (request.save) {
+          chrome.notifications.create({
+            type: 'basic',
+            iconUrl: 'icons/icon128.png',
+            title: '外链提交助手：截图失败',
+            message: error.message
+          });
+        }
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'campaignControl') {
+    // 批量提交：选项页或页面进度栏上的 开始/继续、暂停、下一个、跳过、重试、重新排队
+    handleCampaignCommand(request)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+});
+
+/** 导航站未设置 autoFill 时的默认行为：提示用户是否填充 */
+const DEFAULT_NAV_SITE_AUTO_FILL = 'offer';
+
+/**
+ * pageReady 处理：返回 { navSiteId, navSiteName, siteId, mode }；非导航站提交页、未选站点或该导航站关闭了自动填充时返回 null
+ */
+async function handlePageReady(url, tabId) {
+  // 批量提交的标签页由批量任务负责识别与填充；查找提交页、截图用的标签页不提示
+  if (discoveryTabIds.has(tabId) || captureTabIds.has(tabId) || await getCampaignItemForTab(tabId)) return null;
+
+  const { navSites, settings } = await chrome.storage.local.get(['navSites', 'settings']);
+  const navSite = findNavSiteForUrl(navSites, url);
+  const siteId = settings?.currentSiteId;
+  if (!navSite || !siteId) return null;
+
+  const mode = navSite.autoFill || DEFAULT_NAV_SITE_AUTO_FILL;
+  if (mode === 'off') return null;
+
+  return { navSiteId: navSite.id, navSiteName: navSite.name, siteId, mode };
+}
+
+/**
+ * 当前页是否允许自动提交：导航站 autoSubmit 为 on/off 时以其为准，inherit（或未设置、非导航站页面）时跟随全局设置
+ * @returns {{ enabled: boolean, source: 'navSite'|'settings', navSiteName: string|null }}
+ */
+async function resolveAutoSubmitPolicy(url) {
+  const { navSites, settings } = await chrome.storage.local.get(['navSites', 'settings']);
+  const navSite = findNavSiteForUrl(navSites, url);
+  const override = navSite?.autoSubmit;
+  if (override === 'on' || override === 'off') {
+    return { enabled: override === 'on', source: 'navSite', navSiteName: navSite.name };
+  }
+  return { enabled: !!settings?.autoSubmit, source: 'settings', navSiteName: navSite?.name || null };
+}
+
+/**
+ * 当前页对应的导航站：批量提交中的标签页以队列当前项为准（提交页可能跳到别的域名），否则按 URL 匹配
+ */
+async function resolveNavSiteForTab(tabId, url) {
+  const { navSites } = await chrome.storage.local.get(['navSites']);
+  const active = await getCampaignItemForTab(tabId);
+  const navSite = active && (navSites || []).find(ns => ns.id === active.item.navSiteId);
+  return navSite || matchNavSiteForRecord(navSites, url);
+}
+
+/**
+ * 记录一次填充：页面不属于任何已登记导航站时不记录
+ * @returns {{ recordKey: string, navSiteId: string }|null}
+ */
+async function handleRecordFill({ siteId, url, filledCount, errors, hasCaptcha }, tabId) {
+  const navSite = await resolveNavSiteForTab(tabId, url);
+  if (!siteId || !navSite) {
+    console.log('[Background] 当前页面不是已登记的导航站，未记录提交:', url);
+    return null;
+  }
+  await appendAttempt(siteId, navSite.id, { url, filledCount, errors, hasCaptcha, navSiteName: navSite.name });
+  return { recordKey: `${siteId}_${navSite.id}`, navSiteId: navSite.id };
+}
+
+/** 提交后等待结果的最长时间，超时按已收集到的请求状态 / 跳转判断 */
+const SUBMISSION_OUTCOME_TIMEOUT_MS = 20000;
+
+/** 点击提交后多久内发出的同域 POST 算作这次点击发起的提交请求（AJAX 提交） */
+const SUBMISSION_REQUEST_WINDOW_MS = 1500;
+
+/** 等待提交结果的标签页：tabId → { siteId, url, formAction, startedAt, requestId, httpStatus, httpType, navigatedTo, timer } */
+const pendingSubmissions = new Map();
+
+/** 各标签页最近发出的 POST（提交消息到达前请求可能已经发出）：tabId → [{ requestId, url, timeStamp }] */
+const recentPostRequests = new Map();
+
+/**
+ * 记录一次提交，超时后用已有信号收尾
+ * @param {number} [clickedAt] - 页面上提交 / 点击发生的时间，用来认出这次点击发起的请求
+ */
+function startSubmissionWatch(tabId, { siteId, url, formAction, clickedAt }) {
+  const previous = pendingSubmissions.get(tabId);
+  if (previous) clearTimeout(previous.timer);
+  const pending = {
+    siteId,
+    url,
+    formAction,
+    startedAt: clickedAt || Date.now(),
+    requestId: null,
+    httpStatus: null,
+    httpType: null,
+    navigatedTo: null,
+    timer: setTimeout(() => finalizeSubmission(tabId, null), SUBMISSION_OUTCOME_TIMEOUT_MS)
+  };
+  const started = (recentPostRequests.get(tabId) || []).find(req => isClickRequest(pending, req.url, req.timeStamp));
+  if (started) pending.requestId = started.requestId;
+  pendingSubmissions.set(tabId, pending);
+}
+
+/**
+ * 请求是否发往本次提交表单的 action
+ */
+function isFormActionRequest(pending, requestUrl) {
+  if (!pending.formAction) return false;
+  try {
+    const req = new URL(requestUrl);
+    const action = new URL(pending.formAction);
+    return req.host === action.host && req.pathname === action.pathname;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 请求是否由这次提交点击发起：点击后 SUBMISSION_REQUEST_WINDOW_MS 内、发往表单 action 或提交页同域的 POST
+ * （统计、自动保存等请求通常不在这个时间窗内，也不会抢在真正的提交请求之前）
+ */
+function isClickRequest(pending, requestUrl, timeStamp) {
+  if (timeStamp < pending.startedAt || timeStamp > pending.startedAt + SUBMISSION_REQUEST_WINDOW_MS) return false;
+  if (isFormActionRequest(pending, requestUrl)) return true;
+  try {
+    return new URL(requestUrl).host === new URL(pending.url).host;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * 页面内没有给出明确提示时，按请求状态码与是否跳转判断结果
+ * AJAX 请求返回 2xx 不代表通过（不少站点校验失败也回 200），只记为待确认的 pending
+ */
+function inferSubmissionOutcome(pending) {
+  if (pending.httpStatus >= 400) {
+    return { status: 'failed', messages: [`服务器返回 HTTP ${pending.httpStatus}`], signal: 'http' };
+  }
+  if (pending.httpStatus >= 200) {
+    return { status: pending.httpType === 'xmlhttprequest' ? 'pending' : 'submitted', messages: [], signal: 'http' };
+  }
+  if (pending.navigatedTo) return { status: 'submitted', messages: [], signal: 'url' };
+  return null;
+}
+
+/**
+ * 结束一次提交监听：把结果写入该导航站提交记录的最近一次尝试（submitted / failed / pending），并在页面上提示
+ * @param {object|null} outcome - 页面检测到的结果；null 时按请求状态 / 跳转推断，仍无信号则不改记录
+ */
+async function finalizeSubmission(tabId, outcome) {
+  const pending = pendingSubmissions.get(tabId);
+  if (!pending) return;
+  pendingSubmissions.delete(tabId);
+  clearTimeout(pending.timer);
+
+  const result = outcome || inferSubmissionOutcome(pending);
+  if (!result) {
+    console.log('[Background] 提交结果未知（无提示、无请求、无跳转）:', pending.url);
+    return;
+  }
+
+  const navSite = await resolveNavSiteForTab(tabId, pending.url);
+  if (navSite) {
+    const record = await recordOutcome(pending.siteId, navSite.id, {
+      status: result.status,
+      messages: result.messages || [],
+      signal: result.signal,
+      httpStatus: pending.httpStatus,
+      url: pending.navigatedTo || pending.url,
+      detectedAt: new Date().toISOString()
+    });
+    // 已提交 / 待审核：没设过跟进日期的，默认若干天后提醒查看是否收录
+    if (result.status !== 'failed' && !record.followUpDate) {
+      await upsertRecord(pending.siteId, navSite.id, { followUpDate: addDays(getDateString(), FOLLOW_UP_DEFAULT_DAYS) });
+    }
+  }
+  console.log('[Background] 提交结果:', result.status, result.messages || []);
+  chrome.tabs.sendMessage(tabId, { action: 'showSubmissionOutcome', outcome: result }, { frameId: 0 }).catch(() => {});
+  await onCampaignSubmission(tabId, result);
+}
+
+// 记下提交点击发起的请求（提交消息晚到时，从各标签页最近的 POST 里找）
+chrome.webRequest.onBeforeRequest.addListener((details) => {
+  if (details.method !== 'POST' || details.tabId < 0) return;
+  const pending = pendingSubmissions.get(details.tabId);
+  if (pending) {
+    if (!pending.requestId && isClickRequest(pending, details.url, details.timeStamp)) pending.requestId = details.requestId;
+    return;
+  }
+  const recent = (recentPostRequests.get(details.tabId) || []).filter(req => req.timeStamp > details.timeStamp - SUBMISSION_REQUEST_WINDOW_MS);
+  recent.push({ requestId: details.requestId, url: details.url, timeStamp: details.timeStamp });
+  recentPostRequests.set(details.tabId, recent);
+}, { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame', 'xmlhttprequest'] });
+
+// 提交请求（表单 action 或点击发起的那个 POST）的响应状态
+chrome.webRequest.onCompleted.addListener((details) => {
+  const pending = pendingSubmissions.get(details.tabId);
+  if (!pending || details.method !== 'POST' || details.timeStamp < pending.startedAt) return;
+  if (details.requestId !== pending.requestId && !isFormActionRequest(pending, details.url)) return;
+  pending.httpStatus = details.statusCode;
+  pending.httpType = details.type;
+}, { urls: ['<all_urls>'], types: ['main_frame', 'sub_frame', 'xmlhttprequest'] });
+
+// 提交后整页跳转：新页面加载完成后询问页面上的结果提示
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+  const pending = pendingSubmissions.get(details.tabId);
+  if (!pending || details.frameId !== 0 || details.timeStamp < pending.startedAt) return;
+  pending.navigatedTo = details.url;
+  try {
+    const response = await chrome.tabs.sendMessage(details.tabId, { action: 'detectSubmissionOutcome' }, { frameId: 0 });
+    finalizeSubmission(details.tabId, response?.result || null);
+  } catch (_) {
+    finalizeSubmission(details.tabId, null);
+  }
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  recentPostRequests.delete(tabId);
+  const pending = pendingSubmissions.get(tabId);
+  if (pending) finalizeSubmission(tabId, null);
+  pauseCampaignForClosedTab(tabId);
+});
+
+/** 批量提交：提交成功后停留多久再打开下一个导航站，让用户看到结果提示 */
+const CAMPAIGN_ADVANCE_DELAY_MS = 2000;
+
+/** 批量提交：页面加载完成后 content script 可能还没注入，发送填充消息的重试次数与间隔 */
+const CAMPAIGN_FILL_RETRIES = 3;
+const CAMPAIGN_FILL_RETRY_MS = 1000;
+
+/**
+ * 标签页上正在运行的批量任务及其当前项；不是批量提交的标签页返回 null
+ * @returns {{ campaign: object, item: object }|null}
+ */
+async function getCampaignItemForTab(tabId) {
+  if (tabId == null) return null;
+  const campaigns = await getCampaigns();
+  const campaign = campaigns.find(c => c.state === 'running' && c.tabId === tabId);
+  const item = campaign?.items[campaign.currentIndex];
+  return item ? { campaign, item } : null;
+}
+
+/**
+ * 批量任务控制命令
+ * @param {{ command: 'start'|'pause'|'next'|'skip'|'retry'|'requeue', campaignId: string, itemIndex?: number }} request
+ */
+async function handleCampaignCommand({ command, campaignId, itemIndex }) {
+  const campaign = await getCampaign(campaignId);
+  if (!campaign) throw new Error('批量任务不存在');
+  const current = campaign.items[campaign.currentIndex];
+
+  switch (command) {
+    case 'start': {
+      // 同一时间只运行一个批量任务，其余暂停
+      const others = (await getCampaigns()).filter(c => c.state === 'running' && c.id !== campaign.id);
+      for (const other of others) await saveCampaign({ ...other, state: 'paused' });
+      const index = current && !FINAL_ITEM_STATUSES.includes(current.status)
+        ? campaign.currentIndex
+        : getNextItemIndex(campaign, campaign.currentIndex);
+      return openCampaignItem(campaign, index);
+    }
+    case 'pause':
+      return saveCampaign({ ...campaign, state: 'paused' });
+    case 'next':
+      // 用户已手动提交（未检测到结果时）：当前项记为完成
+      return advanceCampaign(campaign, 'done');
+    case 'skip':
+      return advanceCampaign(campaign, 'skipped');
+    case 'retry':
+      return openCampaignItem(campaign, campaign.currentIndex);
+    case 'requeue': {
+      // 已完成 / 跳过 / 失败的项重新排队；已全部完成的任务回到暂停，可继续
+      const items = campaign.items.map((item, i) => (i === itemIndex ? { ...item, status: 'pending', lastError: null } : item));
+      return saveCampaign({ ...campaign, items, state: campaign.state === 'done' ? 'paused' : campaign.state });
+    }
+    default:
+      throw new Error(`未知命令: ${command}`);
   }
+}
+
+/**
+ * 在批量任务的标签页（已关闭则新开）打开第 index 项的提交页；index 为 -1 时任务完成。
+ * 导航站已删除或没有提交页地址的项记为失败并继续下一项。
+ */
+async function openCampaignItem(campaign, index) {
+  if (index < 0) return finishCampaign(campaign);
+
+  const { navSites } = await chrome.storage.local.get(['navSites']);
+  const item = campaign.items[index];
+  const navSite = (navSites || []).find(ns => ns.id === item.navSiteId);
+  if (!navSite?.submitUrl) {
+    const items = campaign.items.map((it, i) => (i === index ? { ...it, status: 'failed', lastError: '导航站已删除或没有提交页地址' } : it));
+    const updated = { ...campaign, items };
+    return openCampaignItem(updated, getNextItemIndex(updated, index + 1));
+  }
+
+  const items = campaign.items.map((it, i) => (i === index
+    ? { ...it, status: 'opening', attempts: (it.attempts || 0) + 1, lastError: null, fill: null, outcome: null }
+    : it));
+  // 先落盘再导航，页面加载完成的事件据此识别当前项
+  const saved = await saveCampaign({ ...campaign, state: 'running', currentIndex: index, items });
+  const tabId = await openCampaignTab(campaign.tabId, navSite.submitUrl);
+  console.log(`[Background] 批量提交「${campaign.name}」${index + 1}/${items.length}: ${navSite.name}`);
+  return saveCampaign({ ...saved, tabId });
+}
+
+/**
+ * 复用批量任务的标签页；不存在时新建
+ * @returns {Promise<number>} tabId
+ */
+async function openCampaignTab(tabId, url) {
+  if (tabId != null) {
+    try {
+      await chrome.tabs.update(tabId, { url, active: true });
+      return tabId;
+    } catch (_) {
+      // 标签页已关闭
+    }
+  }
+  const tab = await chrome.tabs.create({ url, active: true });
+  return tab.id;
+}
+
+/**
+ * 当前项标记为 status（已是最终状态的保持不变），打开下一项
+ */
+async function advanceCampaign(campaign, status) {
+  const index = campaign.currentIndex;
+  const items = campaign.items.map((item, i) => (i === index && !FINAL_ITEM_STATUSES.includes(item.status) ? { ...item, status } : item));
+  const updated = { ...campaign, items };
+  return openCampaignItem(updated, getNextItemIndex(updated, index + 1));
+}
+
+/**
+ * 全部处理完：任务标记完成，并在标签页上提示汇总
+ */
+async function finishCampaign(campaign) {
+  const saved = await saveCampaign({ ...campaign, state: 'done' });
+  const { done, skipped, failed } = getCampaignProgress(saved);
+  const message = `批量提交完成：已提交 ${done}，跳过 ${skipped}，失败 ${failed}`;
+  console.log(`[Background] 「${campaign.name}」${message}`);
+  sendCampaignStatus(saved, message, 'success');
+  return saved;
+}
+
+/**
+ * 页面顶部进度栏显示的任务信息
+ */
+async function describeCampaignForPage(campaign) {
+  const { navSites } = await chrome.storage.local.get(['navSites']);
+  const item = campaign.items[campaign.currentIndex];
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    state: campaign.state,
+    position: campaign.currentIndex + 1,
+    total: campaign.items.length,
+    navSiteName: (navSites || []).find(ns => ns.id === item?.navSiteId)?.name || ''
+  };
+}
+
+/**
+ * 更新批量任务标签页上的进度栏
+ */
+async function sendCampaignStatus(campaign, message, type = 'info') {
+  if (campaign.tabId == null) return;
+  const info = await describeCampaignForPage(campaign);
+  chrome.tabs.sendMessage(campaign.tabId, { action: 'campaignStatus', campaign: info, message, type }, { frameId: 0 }).catch(() => {});
+}
+
+/**
+ * 批量任务的提交页加载完成：让页面识别并填充，然后等待用户完成验证码并提交
+ */
+async function fillCampaignItem(campaign, tabId) {
+  const index = campaign.currentIndex;
+  await updateCampaignItem(campaign.id, index, { status: 'filling' });
+  const { settings } = await chrome.storage.local.get(['settings']);
+  const useLlm = !!(settings?.llmConfig?.enabled && settings.llmConfig.apiKey);
+  const message = { action: 'campaignFill', siteId: campaign.siteId, useLlm, campaign: await describeCampaignForPage(campaign) };
+
+  let patch;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+      if (!response?.success) throw new Error(response?.error || '填充失败');
+      const { filledCount, errors, hasCaptcha } = response.result;
+      patch = { status: 'waiting', fill: { filledCount, errorCount: (errors || []).length, hasCaptcha: !!hasCaptcha } };
+      break;
+    } catch (error) {
+      const notInjected = /Receiving end does not exist/i.test(error.message);
+      if (notInjected && attempt < CAMPAIGN_FILL_RETRIES) {
+        await new Promise(r => setTimeout(r, CAMPAIGN_FILL_RETRY_MS));
+        continue;
+      }
+      // 留在当前页，用户可手动填写后点「下一个」，或跳过 / 重试
+      patch = { status: 'waiting', lastError: error.message };
+      break;
+    }
+  }
+  await updateCampaignItem(campaign.id, index, patch);
+}
+
+/**
+ * 批量任务标签页上的提交结果：已提交 / 待审核则记为完成并稍后打开下一个；失败则留在本页等待用户修改后重新提交
+ */
+async function onCampaignSubmission(tabId, outcome) {
+  const active = await getCampaignItemForTab(tabId);
+  if (!active) return;
+  const { campaign } = active;
+  const index = campaign.currentIndex;
+
+  if (outcome.status === 'failed') {
+    await updateCampaignItem(campaign.id, index, { outcome: 'failed', lastError: (outcome.messages || []).join('；') || '提交未通过' });
+    sendCampaignStatus(campaign, '提交未通过，修改后可重新提交，或跳过', 'error');
+    return;
+  }
+
+  const updated = await updateCampaignItem(campaign.id, index, { status: 'done', outcome: outcome.status });
+  sendCampaignStatus(updated, `已提交，${CAMPAIGN_ADVANCE_DELAY_MS / 1000} 秒后打开下一个`, 'success');
+  setTimeout(async () => {
+    // 等待期间用户可能暂停或手动切到了别的项
+    const latest = await getCampaign(campaign.id);
+    if (latest?.state !== 'running' || latest.currentIndex !== index) return;
+    advanceCampaign(latest, 'done');
+  }, CAMPAIGN_ADVANCE_DELAY_MS);
+}
+
+/**
+ * 批量任务的标签页被关闭：暂停任务，进度保留，可在选项页继续
+ */
+async function pauseCampaignForClosedTab(tabId) {
+  const active = await getCampaignItemForTab(tabId);
+  if (!active) return;
+  await saveCampaign({ ...active.campaign, state: 'paused', tabId: null });
+  console.log(`[Background] 批量提交「${active.campaign.name}」的标签页已关闭，任务暂停`);
+}
+
+/**
+ * 浏览器重启后原标签页已不存在：运行中的任务改为暂停，等用户继续
+ */
+async function pauseCampaignsOnStartup() {
+  const campaigns = await getCampaigns();
+  for (const campaign of campaigns.filter(c => c.state === 'running')) {
+    await saveCampaign({ ...campaign, state: 'paused', tabId: null });
+  }
+}
+
+// 批量任务的提交页加载完成 → 识别并填充
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+  if (details.frameId !== 0) return;
+  const active = await getCampaignItemForTab(details.tabId);
+  if (active?.item.status !== 'opening') return;
+  fillCampaignItem(active.campaign, details.tabId);
 });
 
+// 提交页打不开（DNS 失败、连接被拒等）：记为失败，继续下一个；被新导航打断（ERR_ABORTED）不算
+chrome.webNavigation.onErrorOccurred.addListener(async (details) => {
+  if (details.frameId !== 0 || /ERR_ABORTED/.test(details.error)) return;
+  const active = await getCampaignItemForTab(details.tabId);
+  if (active?.item.status !== 'opening') return;
+  const { campaign } = active;
+  const updated = await updateCampaignItem(campaign.id, campaign.currentIndex, { status: 'failed', lastError: `页面打开失败: ${details.error}` });
+  advanceCampaign(updated, 'failed');
+});
+
+/** 跟进提醒的定时检查 */
+const FOLLOW_UP_ALARM = 'followUpCheck';
+const FOLLOW_UP_CHECK_PERIOD_MIN = 60;
+const FOLLOW_UP_NOTIFICATION_ID = 'followUpDue';
+
+/**
+ * 注册跟进检查的定时器；已存在时不重建（重建会把下次触发时间往后推）
+ */
+async function ensureFollowUpAlarm() {
+  const existing = await chrome.alarms.get(FOLLOW_UP_ALARM);
+  if (!existing) {
+    chrome.alarms.create(FOLLOW_UP_ALARM, { delayInMinutes: 1, periodInMinutes: FOLLOW_UP_CHECK_PERIOD_MIN });
+  }
+}
+
+const OFFSCREEN_DOCUMENT_URL = 'offscreen/offscreen.html';
+let creatingOffscreenDocument = null;
+
+/**
+ * Service worker 没有 DOMParser：需要解析 HTML 时创建 offscreen 文档（已存在则复用）
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_URL)]
+  });
+  if (contexts.length > 0) return;
+  if (!creatingOffscreenDocument) {
+    creatingOffscreenDocument = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_URL,
+      reasons: ['DOM_PARSER'],
+      justification: '解析网页 HTML：检查收录页指向站点的外链及其 rel 属性、在首页查找提交页链接、读取站点首页的元数据'
+    }).finally(() => { creatingOffscreenDocument = null; });
+  }
+  await creatingOffscreenDocument;
+}
+
+/**
+ * 在 offscreen 文档里用 DOMParser 解析收录页，找出指向站点的链接
+ */
+async function parseBacklinksOffscreen(html, pageUrl, siteUrl) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'parseBacklinks', html, pageUrl, siteUrl });
+  if (!response?.success) throw new Error(response?.error || '解析收录页失败');
+  return response.result;
+}
+
+/**
+ * 检查一条记录的收录页（外链是否存在、rel、锚文本、HTTP 状态）并写回记录；仍未找到链接时把跟进日期顺延
+ */
+async function checkRecordListing(record, siteUrl) {
+  const check = await verifyBacklinks(record.listingUrl, siteUrl, parseBacklinksOffscreen);
+  const today = getDateString();
+  const patch = { followUpNotifiedOn: today };
+  if (check.status === 'not_found') patch.followUpDate = addDays(today, FOLLOW_UP_RECHECK_DAYS);
+  console.log('[Background] 收录检查:', record.navSiteName || record.navSiteId, check.status, check.linkType, check.error || '');
+  return recordListingCheck(record.siteId, record.navSiteId, check, patch);
+}
+
+/**
+ * 到期的跟进：有收录页地址的先自动检查，然后发一条汇总通知；每条记录每天只提醒一次
+ */
+async function runFollowUpCheck() {
+  const { submissionRecords, sites, navSites } = await chrome.storage.local.get(['submissionRecords', 'sites', 'navSites']);
+  const due = getDueFollowUps(submissionRecords);
+  if (due.length === 0) return;
+
+  const today = getDateString();
+  const lines = [];
+  for (const [, record] of due) {
+    const name = (navSites || []).find(ns => ns.id === record.navSiteId)?.name || record.navSiteName || record.navSiteId;
+    const siteUrl = (sites || []).find(s => s.id === record.siteId)?.siteUrl;
+    if (record.listingUrl && siteUrl) {
+      const updated = await checkRecordListing(record, siteUrl);
+      const check = updated?.listingCheck;
+      lines.push(check?.status === 'listed' ? `${name}：已收录（${check.linkType}）` : check?.status === 'not_found' ? `${name}：收录页未找到链接` : `${name}：检查失败`);
+    } else {
+      await upsertRecord(record.siteId, record.navSiteId, { followUpNotifiedOn: today });
+      lines.push(`${name}：待跟进`);
+    }
+  }
+
+  chrome.notifications.create(FOLLOW_UP_NOTIFICATION_ID, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: `外链提交助手：${due.length} 个导航站到了跟进日期`,
+    message: lines.slice(0, 4).join('\n') + (lines.length > 4 ? `\n等 ${lines.length} 个` : '')
+  });
+}
+
+/**
+ * 选项页手动检查某条记录的收录页
+ */
+async function handleCheckListing(siteId, navSiteId) {
+  const record = await getRecord(siteId, navSiteId);
+  if (!record?.listingUrl) throw new Error('请先填写收录页地址');
+  const { sites } = await chrome.storage.local.get(['sites']);
+  const siteUrl = (sites || []).find(s => s.id === siteId)?.siteUrl;
+  if (!siteUrl) throw new Error('站点没有填写网站 URL');
+  return checkRecordListing(record, siteUrl);
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === FOLLOW_UP_ALARM) runFollowUpCheck().catch(error => console.warn('[Background] 跟进检查失败:', error));
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId !== FOLLOW_UP_NOTIFICATION_ID) return;
+  chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html?tab=followUps') });
+  chrome.notifications.clear(notificationId);
+});
+
+ensureFollowUpAlarm();
+
+// ---------- 查找提交页 ----------
+
+/** 首页抓取超时 */
+const DISCOVERY_FETCH_TIMEOUT_MS = 15000;
+/** 候选页在后台标签页加载的超时 */
+const DISCOVERY_PAGE_TIMEOUT_MS = 20000;
+/** 页面加载完成后等前端渲染出表单的时间 */
+const DISCOVERY_RENDER_DELAY_MS = 1500;
+
+/** 正在用于查找提交页的后台标签页（pageReady 不提示填充） */
+const discoveryTabIds = new Set();
+
+/**
+ * 抓取页面 HTML；失败返回 { ok: false }
+ */
+async function fetchPageHtml(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), DISCOVERY_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { signal: controller.signal, credentials: 'omit', redirect: 'follow' });
+    if (!response.ok) return { ok: false, status: response.status };
+    return { ok: true, status: response.status, url: response.url || url, html: await response.text() };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * 在 offscreen 文档里解析首页，列出像提交页的站内链接
+ */
+async function extractSubmitLinksOffscreen(html, pageUrl) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'extractSubmitLinks', html, pageUrl });
+  if (!response?.success) throw new Error(response?.error || '解析首页失败');
+  return response.result;
+}
+
+/**
+ * 让标签页打开 url 并等到加载完成
+ */
+function loadTabUrl(tabId, url) {
+  return new Promise((resolve, reject) => {
+    const listener = (id, info, tab) => {
+      if (id !== tabId || info.status !== 'complete' || !tab.url || tab.url === 'about:blank') return;
+      cleanup();
+      resolve(tab);
+    };
+    const timeoutId = setTimeout(() => {
+      cleanup();
+      reject(new Error('页面加载超时'));
+    }, DISCOVERY_PAGE_TIMEOUT_MS);
+    const cleanup = () => {
+      clearTimeout(timeoutId);
+      chrome.tabs.onUpdated.removeListener(listener);
+    };
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.update(tabId, { url }).catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * 发消息给标签页顶层 frame 的 content script（刚加载的页面可能还没注入，稍后重试）
+ */
+async function sendTopFrameMessage(tabId, message) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+      if (!response?.success) throw new Error(response?.error || '页面没有响应');
+      return response.result;
+    } catch (error) {
+      if (!/Receiving end does not exist/i.test(error.message) || attempt >= CAMPAIGN_FILL_RETRIES) throw error;
+      await new Promise(r => setTimeout(r, CAMPAIGN_FILL_RETRY_MS));
+    }
+  }
+}
+
+/**
+ * 询问标签页里的 content script 本页表单情况
+ */
+function requestFormAssessment(tabId) {
+  return sendTopFrameMessage(tabId, { action: 'assessSubmitForm' });
+}
+
+/**
+ * 在一个不激活的标签页里逐个打开候选页并给表单打分；同一最终地址（跳转后）只算一次
+ */
+async function assessCandidatePages(urls) {
+  const results = [];
+  const tab = await chrome.tabs.create({ url: 'about:blank', active: false });
+  discoveryTabIds.add(tab.id);
+  try {
+    for (const url of urls) {
+      try {
+        await loadTabUrl(tab.id, url);
+        await new Promise(r => setTimeout(r, DISCOVERY_RENDER_DELAY_MS));
+        const assessment = await requestFormAssessment(tab.id);
+        const pageUrl = assessment.url || url;
+        if (results.some(result => result.url === pageUrl)) continue;
+        results.push({
+          url: pageUrl,
+          title: assessment.title || '',
+          score: scoreSubmitForm(assessment),
+          fieldCount: assessment.fieldCount,
+          standardFields: assessment.standardFields
+        });
+      } catch (error) {
+        results.push({ url, score: 0, error: error.message });
+      }
+    }
+  } finally {
+    discoveryTabIds.delete(tab.id);
+    chrome.tabs.remove(tab.id).catch(() => {});
+  }
+  return results;
+}
+
+/**
+ * 查找提交页：抓首页找「提交 / Submit / Launch…」链接，再试常见路径（探测到 404 的跳过），
+ * 逐个打开看表单，取得分最高的页面；传 navSiteId 时把结果写回该导航站的 submitUrl
+ * @param {{ navSiteId?: string, url?: string }} request
+ * @returns {Promise<{ submitUrl: string|null, homepageUrl: string, candidates: Array }>}
+ */
+async function handleDiscoverSubmitPage({ navSiteId, url }) {
+  const { navSites } = await chrome.storage.local.get(['navSites']);
+  const navSite = navSiteId ? (navSites || []).find(ns => ns.id === navSiteId) : null;
+  if (navSiteId && !navSite) throw new Error('导航站不存在');
+  const homepageUrl = getHomepageUrl(navSite ? navSite.submitUrl : url);
+  if (!homepageUrl) throw new Error('请先填写导航站域名或网址');
+
+  const homepage = await fetchPageHtml(homepageUrl);
+  const links = homepage.ok ? await extractSubmitLinksOffscreen(homepage.html, homepage.url).catch(() => []) : [];
+  const candidates = [];
+  for (const candidate of buildDiscoveryCandidates(homepage.url || homepageUrl, links)) {
+    // 首页上的链接直接打开；猜测的路径先探测一下，不存在的不开
+    if (!links.some(link => link.url === candidate)) {
+      const probe = await fetchPageHtml(candidate);
+      if ([404, 410].includes(probe.status)) continue;
+    }
+    candidates.push(candidate);
+  }
+  console.log('[Background] 查找提交页:', homepageUrl, '候选', candidates);
+
+  const results = candidates.length ? await assessCandidatePages(candidates) : [];
+  const best = pickBestSubmitPage(results);
+  if (best && navSite) {
+    const { navSites: latest } = await chrome.storage.local.get(['navSites']);
+    await chrome.storage.local.set({
+      navSites: (latest || []).map(ns => (ns.id === navSite.id ? { ...ns, submitUrl: best.url } : ns))
+    });
+  }
+  return { submitUrl: best?.url || null, homepageUrl, candidates: results };
+}
+
+// ---------- 从网址读取站点资料 ----------
+
+/**
+ * 在 offscreen 文档里解析站点首页，读出 title / meta / 图标 / JSON-LD / 邮箱
+ */
+async function extractSiteMetadataOffscreen(html, pageUrl) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'extractSiteMetadata', html, pageUrl });
+  if (!response?.success) throw new Error(response?.error || '解析站点首页失败');
+  return response.result;
+}
+
+/**
+ * 选项页「从网址获取」：抓取站点首页，读出名称、标语、描述、邮箱、Logo 与分享图地址
+ * @returns {Promise<{ url: string, metadata: Object, profile: Object }>}
+ */
+async function handleFetchSiteMetadata(url) {
+  const pageUrl = normalizeSubmitUrl(url);
+  if (!pageUrl) throw new Error('请先填写有效的网站 URL');
+
+  const page = await fetchPageHtml(pageUrl);
+  if (!page.ok) throw new Error(page.status ? `页面返回 HTTP ${page.status}` : `无法打开页面${page.error ? '：' + page.error : ''}`);
+
+  const metadata = await extractSiteMetadataOffscreen(page.html, page.url);
+  console.log('[Background] 站点资料:', page.url, metadata);
+  return { url: page.url, metadata, profile: buildProfileFromMetadata(metadata) };
+}
+
+// ---------- 站点截图 ----------
+
+/** 页面加载完成后等首屏渲染（字体、图片） */
+const CAPTURE_RENDER_DELAY_MS = 1500;
+/** 调整窗口或滚动后等页面重新布局；同时满足 captureVisibleTab 每秒最多调用 2 次的限制 */
+const CAPTURE_STEP_DELAY_MS = 600;
+/** 实测视口与预设相差不超过此值（CSS 像素，缩放取整误差）即视为符合，不再调整窗口 */
+const CAPTURE_VIEWPORT_TOLERANCE = 2;
+
+/** 正在截图的标签页（pageReady 不提示填充） */
+const captureTabIds = new Set();
+
+/**
+ * 打开截图窗口（popup 类型，按预设大小）：已有标签页打开着同一页面时把它临时移入，截完移回原窗口；否则新开一个
+ * @returns {Promise<{ windowId: number, tabId: number, restore: Function }>}
+ */
+async function openCaptureWindow(url, preset) {
+  const target = new URL(url);
+  const tabs = await chrome.tabs.query({});
+  const existing = tabs.find(tab => {
+    try {
+      const tabUrl = new URL(tab.url);
+      return tabUrl.origin === target.origin && tabUrl.pathname === target.pathname;
+    } catch (_) {
+      return false;
+    }
+  });
+  const windowOptions = { type: 'popup', width: preset.width, height: preset.height, focused: true };
+
+  if (existing) {
+    const win = await chrome.windows.create({ ...windowOptions, tabId: existing.id });
+    captureTabIds.add(existing.id);
+    await new Promise(r => setTimeout(r, CAPTURE_STEP_DELAY_MS));
+    return {
+      windowId: win.id,
+      tabId: existing.id,
+      restore: async () => {
+        try {
+          await chrome.tabs.move(existing.id, { windowId: existing.windowId, index: existing.index });
+          if (existing.active) await chrome.tabs.update(existing.id, { active: true });
+        } catch (_) {
+          // 原窗口只有这一个标签页，移出后已关闭：放回一个新的普通窗口
+          await chrome.windows.create({ tabId: existing.id });
+        }
+      }
+    };
+  }
+
+  const win = await chrome.windows.create({ ...windowOptions, url: 'about:blank' });
+  const tabId = win.tabs[0].id;
+  captureTabIds.add(tabId);
+  try {
+    await loadTabUrl(tabId, url);
+  } catch (error) {
+    captureTabIds.delete(tabId);
+    chrome.windows.remove(win.id).catch(() => {});
+    throw error;
+  }
+  await new Promise(r => setTimeout(r, CAPTURE_RENDER_DELAY_MS));
+  return { windowId: win.id, tabId, restore: () => chrome.windows.remove(win.id) };
+}
+
+/**
+ * 调整截图窗口，使页面视口尽量等于预设尺寸（窗口大小含标题栏等，先量再补差值）
+ * Chrome 不允许窗口窄于约 500px，屏幕也会限制高度：调不到时按窗口能达到的最接近尺寸截图，返回的是实际视口
+ * @returns {Promise<{ viewportWidth: number, viewportHeight: number, pageHeight: number, devicePixelRatio: number }>}
+ */
+async function fitCaptureViewport(windowId, tabId, preset) {
+  const metrics = await sendTopFrameMessage(tabId, { action: 'getCaptureMetrics' });
+  const dw = preset.width - metrics.viewportWidth;
+  const dh = preset.height - metrics.viewportHeight;
+  if (Math.abs(dw) <= CAPTURE_VIEWPORT_TOLERANCE && Math.abs(dh) <= CAPTURE_VIEWPORT_TOLERANCE) return metrics;
+
+  const win = await chrome.windows.get(windowId);
+  await chrome.windows.update(windowId, { width: win.width + dw, height: win.height + dh });
+  await new Promise(r => setTimeout(r, CAPTURE_STEP_DELAY_MS));
+  const fitted = await sendTopFrameMessage(tabId, { action: 'getCaptureMetrics' });
+  if (Math.abs(fitted.viewportWidth - preset.width) > CAPTURE_VIEWPORT_TOLERANCE ||
+      Math.abs(fitted.viewportHeight - preset.height) > CAPTURE_VIEWPORT_TOLERANCE) {
+    console.warn(`[Background] 截图窗口调不到 ${preset.width}×${preset.height}，按实际视口 ${fitted.viewportWidth}×${fitted.viewportHeight} 截图`);
+  }
+  return fitted;
+}
+
+/**
+ * 截首屏，或逐屏滚动截整页（第二屏起隐藏 fixed / sticky 元素）
+ * @returns {Promise<Array<{ y: number, dataUrl: string }>>} y 为该屏的滚动位置（CSS 像素）
+ */
+async function captureViewports(windowId, tabId, metrics, fullPage) {
+  if (!fullPage) return [{ y: 0, dataUrl: await chrome.tabs.captureVisibleTab(windowId, { format: 'png' }) }];
+
+  const shots = [];
+  try {
+    const positions = getCaptureScrollPositions(metrics.pageHeight, metrics.viewportHeight);
+    for (let i = 0; i < positions.length; i++) {
+      const { scrollY } = await sendTopFrameMessage(tabId, { action: 'scrollForCapture', y: positions[i], hideFixed: i > 0 });
+      // 页面滚不动（内容在内部滚动容器里）或已到底：后面的屏不会再变化
+      if (shots.some(shot => shot.y === scrollY)) break;
+      await new Promise(r => setTimeout(r, CAPTURE_STEP_DELAY_MS));
+      shots.push({ y: scrollY, dataUrl: await chrome.tabs.captureVisibleTab(windowId, { format: 'png' }) });
+    }
+  } finally {
+    await sendTopFrameMessage(tabId, { action: 'endCapture' }).catch(() => {});
+  }
+  return shots;
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * 把各屏画到一张图上，编码为 JPEG；宽度超过 MAX_SCREENSHOT_WIDTH 时缩小，质量逐级降低直到 < 1MB
+ * @returns {Promise<{ dataUrl: string, width: number, height: number }>}
+ */
+async function composeCapture(shots, metrics) {
+  const bitmaps = await Promise.all(shots.map(async shot => createImageBitmap(await (await fetch(shot.dataUrl)).blob())));
+  const pixelRatio = bitmaps[0].width / metrics.viewportWidth;
+  const scale = Math.min(1, MAX_SCREENSHOT_WIDTH / bitmaps[0].width);
+  const lastY = shots[shots.length - 1].y;
+  const cssHeight = Math.min(lastY + metrics.viewportHeight, Math.max(metrics.pageHeight, metrics.viewportHeight), MAX_FULL_PAGE_HEIGHT);
+
+  const canvas = new OffscreenCanvas(Math.round(bitmaps[0].width * scale), Math.round(cssHeight * pixelRatio * scale));
+  const ctx = canvas.getContext('2d');
+  shots.forEach((shot, i) => {
+    ctx.drawImage(bitmaps[i], 0, Math.round(shot.y * pixelRatio * scale), canvas.width, Math.round(bitmaps[i].height * scale));
+    bitmaps[i].close();
+  });
+
+  let blob;
+  for (const quality of [0.85, 0.7, 0.55, 0.4, 0.25]) {
+    blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+    if (blob.size <= MAX_SCREENSHOT_BYTES) break;
+  }
+  return { dataUrl: await blobToDataUrl(blob), width: canvas.width, height: canvas.height };
+}
+
+/**
+ * 站点截图：按预设视口打开站点，captureVisibleTab 截首屏或拼接整页
+ * 传 save 时存入 siteId 站点的截图列表并设为当前截图（popup 用：截图窗口弹出时 popup 已关闭，结果以通知告知）
+ * @param {{ siteId?: string, url?: string, preset?: string, fullPage?: boolean, save?: boolean }} request
+ * @returns {Promise<Object>} createScreenshotEntry 的截图记录
+ */
+async function handleCaptureSiteScreenshot({ siteId, url, preset: presetId, fullPage, save }) {
+  const { sites } = await chrome.storage.local.get(['sites']);
+  const site = siteId ? (sites || []).find(s => s.id === siteId) : null;
+  if (siteId && !site) throw new Error('站点不存在');
+  const pageUrl = normalizeSubmitUrl(url || site?.siteUrl);
+  if (!pageUrl) throw new Error('请先填写有效的网站 URL');
+  const presetKey = SCREENSHOT_PRESETS[presetId] ? presetId : DEFAULT_SCREENSHOT_PRESET;
+  const preset = SCREENSHOT_PRESETS[presetKey];
+
+  const capture = await openCaptureWindow(pageUrl, preset);
+  let image;
+  let metrics;
+  try {
+    metrics = await fitCaptureViewport(capture.windowId, capture.tabId, preset);
+    const shots = await captureViewports(capture.windowId, capture.tabId, metrics, fullPage);
+    image = await composeCapture(shots, metrics);
+  } finally {
+    captureTabIds.delete(capture.tabId);
+    await capture.restore().catch(() => {});
+  }
+  console.log('[Background] 站点截图:', pageUrl, presetKey, fullPage ? '整页' : '首屏', `${image.width}×${image.height}`);
+
+  const entry = createScreenshotEntry({
+    ...image,
+    preset: presetKey,
+    fullPage,
+    viewportWidth: metrics.viewportWidth,
+    viewportHeight: metrics.viewportHeight,
+    url: pageUrl
+  });
+  if (save && site) {
+    const { sites: latest } = await chrome.storage.local.get(['sites']);
+    await chrome.storage.local.set({
+      sites: (latest || []).map(s => (s.id === site.id ? addSiteScreenshot(s, entry, { makeCurrent: true }) : s))
+    });
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: '外链提交助手：截图已保存',
+      message: `${site.siteName} · ${getScreenshotLabel(entry)}${fullPage ? ' 整页' : ''}，已设为当前界面截图`
+    });
+  }
+  return entry;
+}
+
 /**
  * 将 AI 过程日志同时打到页面 Console（用户在看的是页面 DevTools）
  * @param {number|undefined} tabId - 发起 AI 识别的标签页 id
@@ -361,6 +1488,8 @@ function parseAIResponse(content, formMetadata) {
 
       result.push({
         locator: field.locator,
+        locators: field.locators,
+        signature: field.signature,
         standardField: mapping.standardField,
         confidence: mapping.confidence || 0.8,
         method: 'ai',
@@ -16,27 +16,125 @@ let pageState = {
   fieldMappings: null,
   domain: null,
   recognitionStatus: 'idle', // idle, recognizing, done, failed
-  recognitionMethod: null
+  recognitionMethod: null,
+  mappingStale: null, // 缓存映射与当前表单结构不符时为 { similarity, missingCount, ... }
+  wizardStep: 1, // 多步表单当前步骤（页面无步骤指示时按已前进的步数计）
+  wizardIndicated: false, // 页面上有步骤指示（「Step 2 of 4」等）：只有这时缓存 key 才按步骤区分
+  wizard: null,
+  canUndo: false // 最近一次填充可撤销
+};
+
+/** 标准字段 → 展示名称（页面提示用，与 popup 一致） */
+const FIELD_LABELS = {
+  siteUrl: '网站 URL',
+  siteName: '网站名称',
+  email: '联系邮箱',
+  category: '分类',
+  tags: '标签',
+  pricing: '定价 (Pricing)',
+  tagline: '标语',
+  shortDescription: '简短描述',
+  longDescription: '详细描述',
+  logo: 'Logo',
+  screenshot: '界面截图'
 };
 
 /** 右键菜单打开时记录的目标元素：在哪个输入框右键就填哪个（用当前站点的该字段值） */
 let lastContextMenuTarget = null;
+/** 右键时的原始目标，供「绑定为字段」在非输入框（自定义下拉触发器等）上使用 */
+let lastContextMenuRawTarget = null;
 document.addEventListener('contextmenu', (e) => {
-  lastContextMenuTarget = getEditableElementFromTarget(e.target);
+  // composedPath()[0] 为 shadow DOM 内的真实目标（e.target 会被重定向到宿主元素）
+  const target = e.composedPath?.()[0] || e.target;
+  lastContextMenuTarget = getEditableElementFromTarget(target);
+  lastContextMenuRawTarget = target;
 }, true);
 
+/**
+ * 同源子 frame 的字段由最上层同源 frame 按 framePath 统一发现和填充；
+ * 这类 frame 自身只响应右键菜单，页面级操作直接跳过，避免重复识别 / 填充
+ */
+const HANDLED_BY_PARENT_FRAME = (() => {
+  try {
+    return window !== window.top && !!window.frameElement;
+  } catch (_) {
+    return false;
+  }
+})();
+
+/** 由最上层同源 frame 统一处理的页面级消息 */
+const FRAME_PAGE_ACTIONS = ['detectForm', 'assessSubmitForm', 'getCaptureMetrics', 'scrollForCapture', 'endCapture', 'fillForm', 'getPageState', 'rerecognizeForm', 'recognizeForm', 'clearMapping', 'previewFill', 'clearPreview'];
+
 // Listen for messages from popup/background
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (HANDLED_BY_PARENT_FRAME && FRAME_PAGE_ACTIONS.includes(request.action)) {
+    sendResponse({ success: true, skipped: true });
+    return false;
+  }
+
   if (request.action === 'detectForm') {
     const result = detectForm();
     sendResponse({ success: true, result });
+  } else if (request.action === 'assessSubmitForm') {
+    // 查找提交页：background 在后台标签页逐个打开候选页，询问本页表单像不像提交表单
+    sendResponse({ success: true, result: assessSubmitForm() });
+  } else if (request.action === 'getCaptureMetrics') {
+    // 截图：background 按视口尺寸调整截图窗口、计算整页拼接的滚动位置
+    sendResponse({ success: true, result: getCaptureMetrics() });
+  } else if (request.action === 'scrollForCapture') {
+    sendResponse({ success: true, result: scrollForCapture(request.y, request.hideFixed) });
+  } else if (request.action === 'endCapture') {
+    endCapture();
+    sendResponse({ success: true });
   } else if (request.action === 'fillForm') {
-    fillForm(request.siteId)
-      .then(result => sendResponse({ success: true, result }))
+    fillFormSteps(request.siteId)
+      .then(result => {
+        if (result.filledCount > 0) showUndoFillToast(`已填充 ${result.filledCount} 个字段${describeAutoSubmit(result.autoSubmit)}`);
+        sendResponse({ success: true, result });
+      })
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Async response
+  } else if (request.action === 'previewFill') {
+    previewFill(request.siteId)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'clearPreview') {
+    clearFillPreview();
+    sendResponse({ success: true });
+    return false;
+  } else if (request.action === 'detectSubmissionOutcome') {
+    // 提交后整页跳转：background 在新页面加载完成后询问页面上的结果提示
+    sendResponse({ success: true, result: detectSubmissionOutcome(null) });
+    return false;
+  } else if (request.action === 'showSubmissionOutcome') {
+    showSubmissionOutcomeToast(request.outcome);
+    return false;
+  } else if (request.action === 'campaignFill') {
+    // 批量提交：background 打开提交页后让本页识别并填充
+    runCampaignFill(request)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  } else if (request.action === 'campaignStatus') {
+    showCampaignBar(request.campaign, request.message, request.type);
+    return false;
+  } else if (request.action === 'undoFill') {
+    // 每个 frame 各自撤销自己记录的快照（右键填充可能发生在子 frame）
+    sendResponse({ success: true, result: undoLastFill() });
+    return false;
   } else if (request.action === 'getPageState') {
-    sendResponse({ success: true, state: pageState });
+    refreshWizardStep();
+    pageState.wizard = detectWizard();
+    refreshMappingStaleness()
+      .catch(() => {})
+      .then(() => sendResponse({ success: true, state: pageState }));
+    return true;
+  } else if (request.action === 'rerecognizeForm') {
+    rerecognizeForm(request.useLlm)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
   } else if (request.action === 'recognizeForm') {
     recognizeForm(request.useLlm)
       .then(result => sendResponse({ success: true, result }))
@@ -50,6 +148,23 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       .then(result => sendResponse({ success: true, result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true;
+  } else if (request.action === 'bindField') {
+    bindField(request.standardField)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => {
+        console.warn(`${TAG} [绑定] ${error.message}`);
+        showPageToast(error.message, 'error');
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  } else if (request.action === 'unbindField') {
+    unbindField(request.standardField)
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => {
+        showPageToast(error.message, 'error');
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
   } else if (request.action === 'aiLog') {
     // 把 Background 的 AI 过程日志打到当前页 Console，方便在页面 DevTools 查看
     const level = request.level || 'log';
@@ -69,21 +184,82 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
  * Detect if page has a submission form
  */
 function detectForm() {
-  const forms = document.querySelectorAll('form');
-  const inputs = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select');
+  let formCount = 0;
+  let inputCount = 0;
+  collectFormScopes().forEach(({ root }) => {
+    formCount += root.querySelectorAll('form').length;
+    inputCount += root.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select').length;
+  });
 
   pageState.domain = window.location.hostname;
-  pageState.hasForm = inputs.length > 0;
+  pageState.hasForm = inputCount > 0;
 
   return {
     hasForm: pageState.hasForm,
-    inputCount: inputs.length,
-    formCount: forms.length,
+    inputCount,
+    formCount,
     url: window.location.href,
     domain: pageState.domain
   };
 }
 
+/**
+ * 查找提交页用：本页表单的字段数、密码框数及关键词能识别出的标准字段（打分在 background）
+ */
+function assessSubmitForm() {
+  const metadata = getFormMetadata();
+  return {
+    url: window.location.href,
+    title: document.title,
+    fieldCount: metadata.fields.length,
+    passwordCount: metadata.fields.filter(field => field.type === 'password').length,
+    standardFields: Array.from(new Set(recognizeByKeywords(metadata).map(match => match.standardField)))
+  };
+}
+
+/** 整页截图进行中：开始前的滚动位置与临时隐藏的 fixed / sticky 元素 */
+let captureState = null;
+
+/**
+ * 截图用的视口与页面尺寸（CSS 像素）
+ */
+function getCaptureMetrics() {
+  return {
+    viewportWidth: window.innerWidth,
+    viewportHeight: window.innerHeight,
+    pageHeight: Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0),
+    devicePixelRatio: window.devicePixelRatio || 1
+  };
+}
+
+/**
+ * 整页截图：滚动到 y；hideFixed 时隐藏 fixed / sticky 元素，避免导航栏在每一段重复出现
+ * @returns {{ scrollY: number }} 实际滚动位置（到底部时小于 y）
+ */
+function scrollForCapture(y, hideFixed) {
+  if (!captureState) captureState = { scrollY: window.scrollY, hidden: [] };
+  if (hideFixed && !captureState.hidden.length) {
+    document.querySelectorAll('body *').forEach(el => {
+      const position = getComputedStyle(el).position;
+      if (position !== 'fixed' && position !== 'sticky') return;
+      captureState.hidden.push([el, el.style.visibility]);
+      el.style.visibility = 'hidden';
+    });
+  }
+  window.scrollTo({ top: y, behavior: 'instant' });
+  return { scrollY: window.scrollY };
+}
+
+/**
+ * 截图结束：恢复隐藏的元素和原滚动位置
+ */
+function endCapture() {
+  if (!captureState) return;
+  captureState.hidden.forEach(([el, visibility]) => { el.style.visibility = visibility; });
+  window.scrollTo({ top: captureState.scrollY, behavior: 'instant' });
+  captureState = null;
+}
+
 /**
  * 生成元素的 XPath（用于日志与调试）
  */
@@ -112,23 +288,185 @@ function getXPath(el) {
  */
 function formatLocator(locator) {
   if (!locator) return '';
+  const scope = formatLocatorScope(locator);
+  return scope ? `${scope} › ${formatLocatorBody(locator)}` : formatLocatorBody(locator);
+}
+
+/**
+ * 定位所在的 iframe / shadow root 描述，如 `iframe[0] › shadow(my-form)`；在根文档中时为空
+ */
+function formatLocatorScope(locator) {
+  const parts = [
+    ...(locator.framePath || []).map(index => `iframe[${index}]`),
+    ...(locator.shadowPath || []).map(host => `shadow(${host})`)
+  ];
+  return parts.join(' › ');
+}
+
+function formatLocatorBody(locator) {
   switch (locator.type) {
     case 'id': return `id="${locator.value}"`;
     case 'name': return `name="${locator.value}" (formIndex=${locator.formIndex ?? 0})`;
     case 'data': return `data-name/data-field="${locator.value}"`;
     case 'index': return `index: ${locator.parentTag}[${locator.parentIndex}] > input/textarea/select[${locator.fieldIndex}]`;
     case 'xpath': return `XPath ${locator.value}`;
+    case 'label': return `label="${locator.value}"`;
+    case 'placeholder': return `placeholder="${locator.value}"`;
+    case 'css': return `CSS ${locator.value}`;
+    case 'anchor': return `附近文字「${locator.value}」后的 ${locator.tag}`;
     default: return JSON.stringify(locator);
   }
 }
 
+/** 同源 iframe 最多向下找几层 */
+const MAX_FRAME_DEPTH = 3;
+
+/**
+ * 最上层可直接访问（同源）的祖先 window：缓存 key 与 framePath 都以它为基准。
+ * 顶层页面与跨域 iframe 中即为自身
+ */
+function getRootFrameWindow() {
+  let win = window;
+  try {
+    while (win !== win.top && win.frameElement) win = win.parent;
+  } catch (_) {}
+  return win;
+}
+
+/**
+ * 当前 frame 相对根 frame 的 framePath：每级为 iframe 在所在文档 iframe 列表中的下标
+ */
+function getFramePathFromRoot() {
+  const root = getRootFrameWindow();
+  const path = [];
+  let win = window;
+  while (win !== root) {
+    const frameEl = win.frameElement;
+    path.unshift(Array.from(frameEl.ownerDocument.querySelectorAll('iframe, frame')).indexOf(frameEl));
+    win = win.parent;
+  }
+  return path;
+}
+
+/**
+ * 元素所在的 open shadow root 链（由外到内），每级为宿主元素在其所在作用域内的 CSS 路径
+ */
+function getShadowPath(el) {
+  const path = [];
+  let node = el.getRootNode();
+  // 跨 frame 时 instanceof ShadowRoot 不可靠，按 nodeType + host 判断
+  while (node && node.nodeType === Node.DOCUMENT_FRAGMENT_NODE && node.host) {
+    path.unshift(getCssPath(node.host));
+    node = node.host.getRootNode();
+  }
+  return path;
+}
+
+/**
+ * 收集需要识别的作用域：根文档、其中的 open shadow root（递归），以及同源 iframe（递归，最多 MAX_FRAME_DEPTH 层）。
+ * shadow root 内的 iframe 暂不处理。
+ * @returns {Array<{ root: Document|ShadowRoot, framePath: number[], shadowPath: string[] }>}
+ */
+function collectFormScopes() {
+  const scopes = [];
+
+  const visit = (root, framePath, shadowPath) => {
+    scopes.push({ root, framePath, shadowPath });
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) visit(el.shadowRoot, framePath, [...shadowPath, getCssPath(el)]);
+    });
+    if (shadowPath.length > 0 || framePath.length >= MAX_FRAME_DEPTH) return;
+    root.querySelectorAll('iframe, frame').forEach((frame, index) => {
+      let doc = null;
+      try {
+        doc = frame.contentDocument;
+      } catch (_) {
+        // 跨域 iframe：由该 frame 内的 content script 自行处理
+      }
+      if (doc?.body) visit(doc, [...framePath, index], []);
+    });
+  };
+
+  visit(getRootFrameWindow().document, [], []);
+  return scopes;
+}
+
+/**
+ * 给 locator 加上作用域（framePath / shadowPath）；根文档内的 locator 原样返回
+ */
+function withLocatorScope(locator, scope) {
+  if (!locator) return locator;
+  const { framePath = [], shadowPath = [] } = scope;
+  if (framePath.length === 0 && shadowPath.length === 0) return locator;
+  return { ...locator, framePath, shadowPath };
+}
+
+/**
+ * 按 locator 的 framePath / shadowPath 找到查找用的根节点（Document 或 ShadowRoot），找不到时返回 null
+ */
+function getLocatorRoot(locator) {
+  let root = getRootFrameWindow().document;
+  for (const index of locator?.framePath || []) {
+    const frame = root.querySelectorAll('iframe, frame')[index];
+    try {
+      root = frame?.contentDocument || null;
+    } catch (_) {
+      root = null;
+    }
+    if (!root) return null;
+  }
+  for (const hostPath of locator?.shadowPath || []) {
+    let host = null;
+    try {
+      host = root.querySelector(hostPath);
+    } catch (_) {}
+    root = host?.shadowRoot || null;
+    if (!root) return null;
+  }
+  return root;
+}
+
 /**
  * Get form metadata for recognition
  */
 function getFormMetadata() {
+  // 根文档、open shadow root、同源 iframe 逐个作用域收集；非根作用域的字段在 locator 上记录 framePath / shadowPath
+  const scopes = collectFormScopes();
+  const fields = [];
+  scopes.forEach(scope => {
+    const scopeFields = getScopeFormFields(scope.root);
+    if (scope.framePath.length || scope.shadowPath.length) {
+      scopeFields.forEach(field => {
+        field.framePath = scope.framePath;
+        field.shadowPath = scope.shadowPath;
+        field.locator = withLocatorScope(field.locator, scope);
+        field.locators = (field.locators || []).map(loc => withLocatorScope(loc, scope));
+        field.locatorDesc = formatLocator(field.locator);
+      });
+    }
+    fields.push(...scopeFields);
+  });
+
+  // 可选：供 AI 识别的表单 HTML 片段（截断以控制 token），便于模型直接理解结构
+  const firstForm = scopes.map(({ root }) => root.querySelector('form')).find(Boolean);
+  const formHtml = firstForm ? firstForm.outerHTML.slice(0, 12000) : '';
+
+  return {
+    hasForm: fields.length > 0,
+    fields,
+    url: window.location.href,
+    domain: window.location.hostname,
+    formHtml: formHtml || undefined
+  };
+}
+
+/**
+ * 收集单个作用域（Document 或 ShadowRoot）内的表单字段
+ */
+function getScopeFormFields(root) {
   // Import form recognizer functions
   // Since we can't use ES6 imports in content script directly, we'll inline the key functions
-  const forms = document.querySelectorAll('form');
+  const forms = root.querySelectorAll('form');
   const fields = [];
 
   forms.forEach((form, formIndex) => {
@@ -150,6 +488,8 @@ function getFormMetadata() {
 
       const fieldInfo = {
         locator,
+        locators: getCandidateLocators(input),
+        signature: getElementSignature(input),
         xpath: getXPath(input),
         locatorDesc: formatLocator(locator),
         type: input.type || (input.tagName === 'TEXTAREA' ? 'textarea' : input.tagName.toLowerCase()),
@@ -161,6 +501,12 @@ function getFormMetadata() {
         required: input.required || false
       };
 
+      if (input.tagName === 'TEXTAREA' || ['text', 'url', 'email', 'search'].includes(input.type)) {
+        const { maxLength, minLength } = getFieldLengthLimits(input);
+        if (maxLength) fieldInfo.maxLength = maxLength;
+        if (minLength) fieldInfo.minLength = minLength;
+      }
+
       if (input.tagName === 'SELECT') {
         fieldInfo.options = Array.from(input.options).map(opt => ({
           value: opt.value,
@@ -181,7 +527,7 @@ function getFormMetadata() {
       const labelText = labelEl.textContent.trim();
       if (!shortDescLabelPatterns.some(re => re.test(labelText))) return;
       if (fields.some(f => f.standardFieldHint === 'shortDescription')) return;
-      let control = labelEl.htmlFor ? document.getElementById(labelEl.htmlFor) : null;
+      let control = labelEl.htmlFor ? root.getElementById(labelEl.htmlFor) : null;
       if (!control) control = labelEl.parentElement?.querySelector(`[id="${labelEl.htmlFor}"]`);
       if (!control) control = labelEl.nextElementSibling;
       if (!control) return;
@@ -191,6 +537,8 @@ function getFormMetadata() {
       if (!xpath) return;
       fields.push({
         locator: { type: 'xpath', value: xpath },
+        locators: getCandidateLocators(editable),
+        signature: getElementSignature(editable),
         xpath,
         locatorDesc: `contenteditable(Short Description): ${xpath}`,
         type: 'contenteditable',
@@ -225,7 +573,7 @@ function getFormMetadata() {
       const labelKey = (pair.label || labelText).toLowerCase();
       if (addedCustomLabels.has(labelKey)) return;
       let control = null;
-      if (labelEl.htmlFor) control = form.querySelector(`#${CSS.escape(labelEl.htmlFor)}`) || document.getElementById(labelEl.htmlFor);
+      if (labelEl.htmlFor) control = form.querySelector(`#${CSS.escape(labelEl.htmlFor)}`) || root.getElementById(labelEl.htmlFor);
       if (!control) control = labelEl.nextElementSibling;
       if (!control && labelEl.parentElement) {
         const sibling = labelEl.parentElement.querySelector(':scope > [role="combobox"], :scope > [role="listbox"], :scope > button, :scope > [data-headlessui-state], :scope > div');
@@ -245,6 +593,8 @@ function getFormMetadata() {
         addedCustomLabels.add(labelKey);
         fields.push({
           locator: { type: 'xpath', value: xpath },
+          locators: getCandidateLocators(control),
+          signature: getElementSignature(control),
           xpath,
           locatorDesc: formatLocator({ type: 'xpath', value: xpath }),
           type: 'custom-select',
@@ -262,7 +612,7 @@ function getFormMetadata() {
 
   // Also check for forms not in <form> tags
   if (fields.length === 0) {
-    const allInputs = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]), textarea, select');
+    const allInputs = root.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]), textarea, select');
     allInputs.forEach((input, index) => {
       if (['hidden', 'submit', 'button', 'reset', 'image'].includes(input.type)) {
         return;
@@ -273,6 +623,8 @@ function getFormMetadata() {
 
       fields.push({
         locator,
+        locators: getCandidateLocators(input),
+        signature: getElementSignature(input),
         xpath: getXPath(input),
         locatorDesc: formatLocator(locator),
         type: input.type || (input.tagName === 'TEXTAREA' ? 'textarea' : input.tagName.toLowerCase()),
@@ -286,17 +638,7 @@ function getFormMetadata() {
     });
   }
 
-  // 可选：供 AI 识别的表单 HTML 片段（截断以控制 token），便于模型直接理解结构
-  const firstForm = document.querySelector('form');
-  const formHtml = firstForm ? firstForm.outerHTML.slice(0, 12000) : '';
-
-  return {
-    hasForm: fields.length > 0,
-    fields,
-    url: window.location.href,
-    domain: window.location.hostname,
-    formHtml: formHtml || undefined
-  };
+  return fields;
 }
 
 /**
@@ -304,7 +646,7 @@ function getFormMetadata() {
  */
 function getFieldLabel(input) {
   if (input.id) {
-    const label = document.querySelector(`label[for="${input.id}"]`);
+    const label = input.getRootNode().querySelector?.(`label[for="${CSS.escape(input.id)}"]`);
     if (label) return label.textContent.trim();
   }
 
@@ -358,11 +700,94 @@ function getFieldLabel(input) {
   return '';
 }
 
+/** 「最多 N 字」类说明的写法：[正则, 捕获的是 max / min / range] */
+const LENGTH_LIMIT_PATTERNS = [
+  [/(\d{1,5})\s*(?:-|–|~|to|and)\s*(\d{1,5})\s*(?:characters?|chars?|个?字符|个?字)/i, 'range'],
+  [/(?:max(?:imum)?\.?|up to|no more than|at most|less than|under|limit(?:ed)? to|within)\s*[:：]?\s*(\d{1,5})\s*(?:characters?|chars?|letters)/i, 'max'],
+  [/(\d{1,5})\s*(?:characters?|chars?)\s*(?:max(?:imum)?|or less|or fewer|limit)/i, 'max'],
+  [/(?:不超过|最多|至多|限|少于|不多于)\s*(\d{1,5})\s*个?(?:字符|汉字|字)/, 'max'],
+  [/(\d{1,5})\s*个?(?:字符|字)(?:以内|之内|以下)/, 'max'],
+  [/(?:min(?:imum)?\.?|at least|no less than)\s*[:：]?\s*(\d{1,5})\s*(?:characters?|chars?|letters)/i, 'min'],
+  [/(?:不少于|至少|最少)\s*(\d{1,5})\s*个?(?:字符|汉字|字)/, 'min'],
+  [/(\d{1,5})\s*个?(?:字符|字)以上/, 'min']
+];
+
+/**
+ * 从 label / 说明文字里读出长度限制，如 "Max 200 characters"、"50-160 chars"、"不超过 100 字"、字数计数器 "0/160"
+ * @returns {{ maxLength: number|null, minLength: number|null }}
+ */
+function parseLengthLimits(text) {
+  const limits = { maxLength: null, minLength: null };
+  if (!text) return limits;
+  for (const [re, kind] of LENGTH_LIMIT_PATTERNS) {
+    const m = text.match(re);
+    if (!m) continue;
+    if (kind === 'range') {
+      const [a, b] = [Number(m[1]), Number(m[2])].sort((x, y) => x - y);
+      limits.minLength = limits.minLength ?? (a || null);
+      limits.maxLength = limits.maxLength ?? b;
+    } else if (kind === 'max') {
+      limits.maxLength = limits.maxLength ?? Number(m[1]);
+    } else {
+      limits.minLength = limits.minLength ?? Number(m[1]);
+    }
+  }
+  // 空字段旁的字数计数器 "0 / 160"
+  const counter = text.match(/(?:^|\s)0\s*\/\s*(\d{2,5})(?:\s|$)/);
+  if (!limits.maxLength && counter) limits.maxLength = Number(counter[1]);
+  return limits;
+}
+
+/**
+ * 字段附近的说明文字：label、placeholder、aria-describedby 指向的元素，以及所在小容器里的提示 / 计数器
+ */
+function getFieldHelperText(input) {
+  const texts = [getFieldLabel(input), input.placeholder || ''];
+  const root = input.getRootNode();
+  (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean).forEach(id => {
+    const el = root.getElementById ? root.getElementById(id) : document.getElementById(id);
+    if (el) texts.push(el.textContent || '');
+  });
+  // 只看只包含这一个输入框的容器，避免读到相邻字段的说明
+  let container = input.parentElement;
+  for (let depth = 0; container && depth < 3; depth++) {
+    if (container.querySelectorAll('input, textarea, select').length > 1) break;
+    const text = (container.textContent || '').replace(/\s+/g, ' ').trim();
+    if (text.length < 300) texts.push(text);
+    container = container.parentElement;
+  }
+  return texts.join(' \n ');
+}
+
+/**
+ * 字段的长度限制：maxlength / minlength 属性与说明文字中较严的一个
+ * @returns {{ maxLength: number|null, minLength: number|null }}
+ */
+function getFieldLengthLimits(input) {
+  const fromText = parseLengthLimits(getFieldHelperText(input));
+  const attrMax = Number(input.getAttribute?.('maxlength')) || null;
+  const attrMin = Number(input.getAttribute?.('minlength')) || null;
+  const maxValues = [attrMax, fromText.maxLength].filter(Boolean);
+  const minValues = [attrMin, fromText.minLength].filter(Boolean);
+  return {
+    maxLength: maxValues.length ? Math.min(...maxValues) : null,
+    minLength: minValues.length ? Math.max(...minValues) : null
+  };
+}
+
 /**
  * Get stable locator for DOM element
+ * 非 input/textarea/select（contenteditable、自定义下拉触发器等）且无 id 时回退到 XPath
+ * 框架自动生成的 id（React useId、Headless UI 等）每次加载都会变，不作为主定位
  */
 function getFieldLocator(input) {
-  if (input.id) {
+  const isFormControl = ['INPUT', 'TEXTAREA', 'SELECT'].includes(input.tagName);
+  const stableId = input.id && !isGeneratedId(input.id) ? input.id : '';
+  if (!isFormControl && !stableId) {
+    return { type: 'xpath', value: getXPath(input) };
+  }
+
+  if (stableId) {
     return { type: 'id', value: input.id };
   }
 
@@ -372,7 +797,7 @@ function getFieldLocator(input) {
     return {
       type: 'name',
       value: input.name,
-      formIndex: Array.from(document.querySelectorAll('form')).indexOf(form)
+      formIndex: Array.from(input.getRootNode().querySelectorAll('form')).indexOf(form)
     };
   }
 
@@ -388,7 +813,7 @@ function getFieldLocator(input) {
   return {
     type: 'index',
     parentTag: parent.tagName,
-    parentIndex: Array.from(document.querySelectorAll(parent.tagName)).indexOf(parent),
+    parentIndex: Array.from(input.getRootNode().querySelectorAll(parent.tagName)).indexOf(parent),
     fieldIndex: index
   };
 }
@@ -397,27 +822,31 @@ function getFieldLocator(input) {
  * Find element by locator
  */
 function findElementByLocator(locator) {
+  // 在 locator 记录的 iframe / shadow root 作用域内查找；旧数据无作用域时即根文档
+  const root = getLocatorRoot(locator);
+  if (!root) return null;
+
   switch (locator.type) {
     case 'id':
-      return document.getElementById(locator.value);
+      return root.getElementById(locator.value);
 
     case 'name': {
-      const forms = document.querySelectorAll('form');
+      const forms = root.querySelectorAll('form');
       const form = forms[locator.formIndex];
       if (form) {
         return form.querySelector(`[name="${locator.value}"]`);
       }
-      return document.querySelector(`[name="${locator.value}"]`);
+      return root.querySelector(`[name="${locator.value}"]`);
     }
 
     case 'data':
       if (locator.value.startsWith('name=')) {
-        return document.querySelector(`[data-name="${locator.value.substring(5)}"]`);
+        return root.querySelector(`[data-name="${locator.value.substring(5)}"]`);
       }
-      return document.querySelector(`[data-field="${locator.value}"]`);
+      return root.querySelector(`[data-field="${locator.value}"]`);
 
     case 'index': {
-      const parents = document.querySelectorAll(locator.parentTag);
+      const parents = root.querySelectorAll(locator.parentTag);
       const parent = parents[locator.parentIndex];
       if (parent) {
         const inputs = parent.querySelectorAll('input, textarea, select');
@@ -428,18 +857,241 @@ function findElementByLocator(locator) {
 
     case 'xpath': {
       try {
-        const result = document.evaluate(locator.value, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+        // shadow root 内的 XPath 从 shadow root 起算，需转为相对路径
+        const doc = root.ownerDocument || root;
+        const expression = root.nodeType === Node.DOCUMENT_FRAGMENT_NODE ? '.' + locator.value : locator.value;
+        const result = doc.evaluate(expression, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
         return result.singleNodeValue;
       } catch (_) {
         return null;
       }
     }
 
+    case 'label': {
+      const tag = locator.tag || 'input, textarea, select';
+      return Array.from(root.querySelectorAll(tag))
+        .find(el => normalizeLocatorText(getFieldLabel(el)) === locator.value) || null;
+    }
+
+    case 'placeholder':
+      return root.querySelector(`${locator.tag || ''}[placeholder="${CSS.escape(locator.value)}"]`);
+
+    case 'css': {
+      try {
+        return root.querySelector(locator.value);
+      } catch (_) {
+        return null;
+      }
+    }
+
+    case 'anchor':
+      return findElementByAnchorText(locator.value, locator.tag, root);
+
     default:
       return null;
   }
 }
 
+/** 定位策略的默认尝试顺序（越靠前越精确） */
+const LOCATOR_STRATEGY_ORDER = ['id', 'name', 'data', 'label', 'placeholder', 'css', 'xpath', 'anchor', 'index'];
+
+/** 候选元素与记录特征的吻合度低于此值时继续尝试下一个策略 */
+const LOCATOR_MIN_SCORE = 0.5;
+
+/** 参与比对 / 生成 label、placeholder、anchor 候选的元素 */
+const LOCATOR_TEXT_CONTROLS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * 是否为框架自动生成、每次加载都会变化的 id
+ * 如 React useId 的 `:r3:`、`headlessui-listbox-button-:r3:`、radix-xxx、长串数字 / 十六进制
+ */
+function isGeneratedId(id) {
+  return /:[a-z0-9]+:|^(headlessui|radix|react|mui|ember)[-_:]|\d{5,}|[0-9a-f]{8,}/i.test(id || '');
+}
+
+/**
+ * 规范化定位用的文字（去首尾空白、合并空白、去掉必填星号）
+ */
+function normalizeLocatorText(text) {
+  return String(text || '').replace(/\s+/g, ' ').replace(/\s*\*\s*$/, '').trim().toLowerCase().slice(0, 80);
+}
+
+/**
+ * 生成 CSS 路径：从最近的稳定 id 祖先（或 body）开始，逐级 tag:nth-of-type
+ */
+function getCssPath(el) {
+  if (!el || el.nodeType !== Node.ELEMENT_NODE) return '';
+  const parts = [];
+  let current = el;
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (current.id && !isGeneratedId(current.id)) {
+      parts.unshift(`#${CSS.escape(current.id)}`);
+      break;
+    }
+    if (current === current.ownerDocument.body) {
+      parts.unshift('body');
+      break;
+    }
+    // shadow root 顶层元素没有 parentElement，兄弟节点取 shadow root 的 children
+    const siblings = Array.from(current.parentNode?.children || []);
+    const sameTag = siblings.filter(c => c.tagName === current.tagName);
+    const tag = current.tagName.toLowerCase();
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+    current = current.parentElement;
+  }
+  return parts.join(' > ');
+}
+
+/**
+ * 元素前面最近的一段短文字（标题、说明文字等），作为「附近文字」锚点
+ */
+function getNearbyAnchorText(el) {
+  let current = el;
+  for (let depth = 0; current && depth < 4; depth++) {
+    let prev = current.previousElementSibling;
+    while (prev) {
+      const text = normalizeLocatorText(prev.textContent);
+      if (text.length >= 2 && prev.textContent.trim().length <= 80) return text;
+      prev = prev.previousElementSibling;
+    }
+    current = current.parentElement;
+  }
+  return '';
+}
+
+/**
+ * 按锚点文字找元素：先找文字完全一致的最内层元素，再取其后（向上最多 4 层范围内）第一个同类控件
+ */
+function findElementByAnchorText(text, tag, root) {
+  if (!text) return null;
+  const doc = root.ownerDocument || root;
+  const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const anchors = [];
+  while (walker.nextNode()) {
+    if (!walker.currentNode.data.trim()) continue;
+    // 锚点文字可能分散在多个子节点里（<div><span>Web</span> Name</div>），向上看两层
+    let el = walker.currentNode.parentElement;
+    for (let depth = 0; el && depth < 3; depth++, el = el.parentElement) {
+      if (el.textContent.length > 120) break;
+      if (normalizeLocatorText(el.textContent) === text) {
+        if (!anchors.includes(el)) anchors.push(el);
+        break;
+      }
+    }
+  }
+  // 嵌套匹配时只保留最内层
+  const innermost = anchors.filter(a => !anchors.some(b => b !== a && a.contains(b)));
+
+  const selector = tag || 'input, textarea, select';
+  for (const anchor of innermost) {
+    let scope = anchor.parentElement;
+    for (let depth = 0; depth < 4; depth++) {
+      const container = scope || root;
+      const control = Array.from(container.querySelectorAll(selector))
+        .find(c => anchor.compareDocumentPosition(c) & Node.DOCUMENT_POSITION_FOLLOWING);
+      if (control) return control;
+      if (!scope) break;
+      scope = scope.parentElement;
+    }
+  }
+  return null;
+}
+
+/**
+ * 元素特征：解析时用来给候选元素打分，确认找到的还是原来那个字段
+ */
+function getElementSignature(el) {
+  const isTextControl = LOCATOR_TEXT_CONTROLS.includes(el.tagName);
+  return {
+    tag: el.tagName.toLowerCase(),
+    type: el.type || '',
+    id: el.id && !isGeneratedId(el.id) ? el.id : '',
+    name: el.name || el.getAttribute('name') || '',
+    label: isTextControl ? normalizeLocatorText(getFieldLabel(el)) : '',
+    placeholder: el.getAttribute('placeholder') || ''
+  };
+}
+
+/**
+ * 为元素生成多个候选定位（id、name、label、placeholder、CSS 路径、XPath、附近文字），按 LOCATOR_STRATEGY_ORDER 排序
+ */
+function getCandidateLocators(el) {
+  const tag = el.tagName.toLowerCase();
+  const isTextControl = LOCATOR_TEXT_CONTROLS.includes(el.tagName);
+  const candidates = [getFieldLocator(el)];
+
+  if (el.id && !isGeneratedId(el.id)) candidates.push({ type: 'id', value: el.id });
+  if (el.name) {
+    candidates.push({ type: 'name', value: el.name, formIndex: Array.from(el.getRootNode().querySelectorAll('form')).indexOf(el.closest('form')) });
+  }
+  if (isTextControl) {
+    const label = normalizeLocatorText(getFieldLabel(el));
+    if (label) candidates.push({ type: 'label', value: label, tag });
+    const placeholder = el.getAttribute('placeholder');
+    if (placeholder) candidates.push({ type: 'placeholder', value: placeholder, tag });
+  }
+  const cssPath = getCssPath(el);
+  if (cssPath) candidates.push({ type: 'css', value: cssPath });
+  const xpath = getXPath(el);
+  if (xpath) candidates.push({ type: 'xpath', value: xpath });
+  const anchorText = getNearbyAnchorText(el);
+  if (anchorText) candidates.push({ type: 'anchor', value: anchorText, tag });
+
+  const seen = new Set();
+  return candidates
+    .filter(loc => {
+      const key = loc.type + ':' + (loc.value ?? JSON.stringify(loc));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => LOCATOR_STRATEGY_ORDER.indexOf(a.type) - LOCATOR_STRATEGY_ORDER.indexOf(b.type));
+}
+
+/**
+ * 候选元素与记录特征的吻合度（0 ~ 1）：标签不同直接 0，其余按 id/name/label/placeholder/type 逐项比对
+ */
+function scoreElementMatch(el, signature) {
+  if (!signature) return 1;
+  const current = getElementSignature(el);
+  if (signature.tag && signature.tag !== current.tag) return 0;
+  const keys = ['id', 'name', 'label', 'placeholder', 'type'].filter(k => signature[k]);
+  if (keys.length === 0) return 1;
+  return keys.filter(k => signature[k] === current[k]).length / keys.length;
+}
+
+/**
+ * 按候选定位链解析映射：依次尝试每个策略并打分，第一个达到 LOCATOR_MIN_SCORE 的即采用，
+ * 否则取得分最高的。旧数据没有 locators 时用 locator + xpath。
+ * @returns {{ element: Element, strategy: string, score: number }|null}
+ */
+function resolveMappingLocators(mapping) {
+  if (!mapping) return null;
+  const chain = mapping.locators?.length
+    ? mapping.locators
+    : [mapping.locator, mapping.xpath && { type: 'xpath', value: mapping.xpath }].filter(Boolean);
+
+  let best = null;
+  for (const locator of chain) {
+    const element = findElementByLocator(locator);
+    if (!element) continue;
+    const score = scoreElementMatch(element, mapping.signature);
+    if (score >= LOCATOR_MIN_SCORE) return { element, strategy: locator.type, score };
+    if (score > 0 && (!best || score > best.score)) best = { element, strategy: locator.type, score };
+  }
+  return best;
+}
+
+/**
+ * 解析映射对应的页面元素，并在 mapping.resolvedBy 上记录命中的策略与得分
+ */
+function resolveMappingElement(mapping) {
+  const resolved = resolveMappingLocators(mapping);
+  if (!resolved) return null;
+  mapping.resolvedBy = { strategy: resolved.strategy, score: Math.round(resolved.score * 100) / 100 };
+  return resolved.element;
+}
+
 /**
  * Recognize form using keyword matching (no LLM needed)
  */
@@ -586,6 +1238,8 @@ function recognizeByKeywords(formMetadata) {
     if (bestScore >= 2) {
       matches.push({
         locator: field.locator,
+        locators: field.locators,
+        signature: field.signature,
         standardField: bestField,
         confidence: Math.min(bestScore / 8, 1),
         method: 'keyword',
@@ -606,14 +1260,16 @@ function logRecognitionResult(mappings, method) {
   console.group(`${TAG} 字段识别结果 (${method})`);
   mappings.forEach((m, i) => {
     const loc = m.xpath ? 'XPath ' + m.xpath : (m.locatorDesc || formatLocator(m.locator));
-    console.log(`  ${i + 1}. 定位: ${loc} | 标准化字段: ${m.standardField}`);
+    const source = m.source ? ` | 来源: ${m.source}` : '';
+    console.log(`  ${i + 1}. 定位: ${loc} | 标准化字段: ${m.standardField}${source}`);
   });
   console.groupEnd();
 }
 
 /**
  * Recognize form structure
- * 支持 AI 识别和关键词匹配两种方式
+ * 按字段合并多种来源：用户绑定 > 缓存 > AI > 关键词。高优先级来源缺失的字段由低优先级来源补齐，
+ * 每条映射保留 source（来源）与 confidence，供 popup 展示。
  * @param {boolean} useLlm - 是否使用 LLM AI 识别（默认 false，使用关键词匹配）
  */
 async function recognizeForm(useLlm = false) {
@@ -624,6 +1280,7 @@ async function recognizeForm(useLlm = false) {
   pageState.recognitionStatus = 'recognizing';
 
   try {
+    refreshWizardStep();
     const formMetadata = getFormMetadata();
     pageState.formMetadata = formMetadata;
 
@@ -639,70 +1296,73 @@ async function recognizeForm(useLlm = false) {
     // 使用 domain + pathname 作为缓存 key（设计文档要求）
     const cacheKey = getCacheKey();
 
-    // Check for cached mapping
-    const cached = await getCachedMapping(cacheKey);
-    if (cached && cached.length > 0) {
-      pageState.fieldMappings = cached;
-      pageState.recognitionStatus = 'done';
-      pageState.recognitionMethod = 'cache';
-      logRecognitionResult(cached, 'cache');
-      return {
-        status: 'success',
-        method: 'cache',
-        mappings: cached,
-        fieldCount: cached.length
-      };
+    // 表单结构与缓存指纹不符时标记过期；开启自动重新识别时只保留仍有效的绑定
+    let staleness = await checkMappingStaleness(cacheKey, formMetadata);
+    if (staleness && await isAutoRerecognizeEnabled()) {
+      const bound = ((await getCachedMapping(cacheKey)) || []).filter(m => m.method === 'bind' && resolveMappingElement(m));
+      await cacheMapping(cacheKey, bound, null, []);
+      console.log(`${TAG} 缓存映射已过期，自动重新识别（保留 ${bound.length} 个绑定）`);
+      staleness = null;
     }
+    pageState.mappingStale = staleness;
+
+    // Check for cached mapping：绑定项归 bind，其余缓存项（AI 结果、旧版无 method 的映射）归 cache；
+    // 关键词结果不进缓存来源、每次重新计算，免得一次关键词猜测此后一直压过 AI；页面上已找不到元素的缓存项丢弃
+    const cachedEntry = await getCachedMappingEntry(cacheKey);
+    const sources = { bind: [], cache: [], ai: [], keyword: [] };
+    (cachedEntry?.mappings || []).forEach(m => {
+      if (m.method === 'bind') sources.bind.push(m);
+      else if (m.method !== 'keyword' && resolveMappingElement(m)) sources.cache.push(m);
+    });
 
-    // 如果启用 LLM，优先尝试 AI 识别
+    // 如果启用 LLM，只把绑定、缓存都没覆盖、AI 也没看过的字段交给 AI；没有这样的字段时不调用
+    const aiReviewed = new Set(staleness ? [] : cachedEntry?.aiReviewed || []);
     if (useLlm) {
-      try {
-        console.log(`${TAG} 尝试 AI 识别...`);
-        const aiResult = await callAIRecognize(formMetadata);
-
-        if (aiResult && aiResult.length > 0) {
-          pageState.fieldMappings = aiResult;
-          pageState.recognitionStatus = 'done';
-          pageState.recognitionMethod = 'ai';
-
-          logRecognitionResult(aiResult, 'ai');
-
-          // Cache the result
-          await cacheMapping(cacheKey, aiResult);
-
-          return {
-            status: 'success',
-            method: 'ai',
-            mappings: aiResult,
-            fieldCount: aiResult.length
-          };
+      const covered = new Set([...sources.bind, ...sources.cache].map(getMappingElementKey).filter(Boolean));
+      const pendingFields = formMetadata.fields.filter(f => {
+        const key = getMappingElementKey(f);
+        return !covered.has(key) && !aiReviewed.has(key);
+      });
+      if (pendingFields.length === 0) {
+        console.log(`${TAG} 绑定与缓存已覆盖全部字段，跳过 AI 识别`);
+      } else {
+        try {
+          console.log(`${TAG} 尝试 AI 识别（${pendingFields.length} 个未覆盖字段）...`);
+          // fieldIndex 按发送的字段列表编号；只发部分字段时不带整张表单的 HTML，否则模型会按整张表单编号
+          const partial = pendingFields.length < formMetadata.fields.length;
+          sources.ai = (await callAIRecognize(partial ? { ...formMetadata, fields: pendingFields, formHtml: undefined } : formMetadata)) || [];
+          pendingFields.forEach(f => aiReviewed.add(getMappingElementKey(f)));
+        } catch (aiError) {
+          console.warn(`${TAG} AI 识别失败，回退到关键词匹配:`, aiError.message);
+          // AI 失败，继续使用关键词匹配作为降级方案
         }
-      } catch (aiError) {
-        console.warn(`${TAG} AI 识别失败，回退到关键词匹配:`, aiError.message);
-        // AI 失败，继续使用关键词匹配作为降级方案
       }
     }
 
-    // Do keyword matching (always available as fallback)
-    const mappings = recognizeByKeywords(formMetadata);
-    if (mappings.length === 0 && formMetadata.fields?.length > 0) {
+    // Do keyword matching (always available, fills gaps left by other sources)
+    sources.keyword = recognizeByKeywords(formMetadata);
+    if (sources.keyword.length === 0 && formMetadata.fields?.length > 0) {
       const names = formMetadata.fields.map(f => f.name || f.label || f.placeholder || f.id || '(empty)').join(', ');
       console.info(`${TAG} Keyword match 0 fields. Page fields (name/label/placeholder): ${names}`);
     }
+
+    const mappings = mergeMappingSources(sources);
+    const method = getRecognitionMethod(mappings);
     pageState.fieldMappings = mappings;
     pageState.recognitionStatus = 'done';
-    pageState.recognitionMethod = 'keyword';
+    pageState.recognitionMethod = method;
 
-    logRecognitionResult(mappings, 'keyword');
+    logRecognitionResult(mappings, method);
 
-    // Cache the result
-    await cacheMapping(cacheKey, mappings);
+    // Cache the merged result（过期未处理时保留旧指纹，避免一次识别就把过期标记抹掉）
+    await cacheMapping(cacheKey, mappings, staleness ? staleness.fingerprint : getFormFingerprint(formMetadata), [...aiReviewed]);
 
     return {
       status: 'success',
-      method: 'keyword',
+      method,
       mappings,
-      fieldCount: mappings.length
+      fieldCount: mappings.length,
+      stale: staleness
     };
 
   } catch (error) {
@@ -715,12 +1375,65 @@ async function recognizeForm(useLlm = false) {
   }
 }
 
+/** 映射来源优先级（高 → 低） */
+const MAPPING_SOURCE_PRIORITY = ['bind', 'cache', 'ai', 'keyword'];
+
+/**
+ * 按字段合并各来源的映射：某标准字段一旦被高优先级来源占用，低优先级来源的同字段映射全部丢弃；
+ * 同一元素也只保留优先级最高的那条映射。同一来源内同字段的多条映射（如 checkbox 组）整体保留。
+ * @param {{bind: Array, cache: Array, ai: Array, keyword: Array}} sources
+ * @returns {Array} 带 source 字段的映射数组
+ */
+function mergeMappingSources(sources) {
+  const merged = [];
+  const claimedFields = new Set();
+  const claimedElements = new Set();
+
+  for (const source of MAPPING_SOURCE_PRIORITY) {
+    const fieldsFromSource = new Set();
+    for (const m of sources[source] || []) {
+      if (!m?.standardField || claimedFields.has(m.standardField)) continue;
+      const elementKey = getMappingElementKey(m);
+      if (elementKey && claimedElements.has(elementKey)) continue;
+      merged.push({ ...m, source, confidence: m.confidence ?? (source === 'bind' ? 1 : 0.8) });
+      fieldsFromSource.add(m.standardField);
+      if (elementKey) claimedElements.add(elementKey);
+    }
+    fieldsFromSource.forEach(f => claimedFields.add(f));
+  }
+
+  return merged;
+}
+
+/**
+ * 映射指向的元素标识：XPath（或定位描述）加上 iframe / shadow root 作用域，避免不同作用域里相同路径的元素被当成同一个
+ */
+function getMappingElementKey(m) {
+  const path = m.xpath || m.locatorDesc;
+  if (!path) return '';
+  const scope = m.locator ? formatLocatorScope(m.locator) : '';
+  return scope ? `${scope} › ${path}` : path;
+}
+
+/**
+ * 识别方式汇总：全部来自同一来源时为该来源，否则为 'hybrid'
+ */
+function getRecognitionMethod(mappings) {
+  const used = new Set(mappings.map(m => m.source));
+  if (used.size === 0) return 'keyword';
+  return used.size === 1 ? [...used][0] : 'hybrid';
+}
+
 /**
  * 生成缓存 key（domain + pathname）
+ * 同源子 frame 与其根 frame 共用根 frame 的 key（字段靠 framePath 区分）；
+ * 页面有步骤指示的多步表单第 2 步起追加 #stepN，每一步的映射分别缓存。
+ * 步骤取 pageState 里识别 / 填充时记下的值，这里不扫描 DOM（storage 变化等处会频繁调用）
  */
 function getCacheKey() {
-  const url = new URL(window.location.href);
-  return url.hostname + url.pathname;
+  const url = new URL(getRootFrameWindow().location.href);
+  const step = pageState.wizardIndicated ? getCurrentWizardStep() : 1;
+  return url.hostname + url.pathname + (step > 1 ? `#step${step}` : '');
 }
 
 /**
@@ -754,6 +1467,14 @@ async function callAIRecognize(formMetadata) {
  * Returns the mappings array (stored value may be { mappings, cachedAt } or legacy array)
  */
 async function getCachedMapping(domain) {
+  const entry = await getCachedMappingEntry(domain);
+  return entry ? entry.mappings : null;
+}
+
+/**
+ * 读取缓存条目（含表单指纹）：{ mappings, fingerprint, cachedAt }；旧版数组格式无指纹
+ */
+async function getCachedMappingEntry(domain) {
   return new Promise((resolve) => {
     chrome.storage.local.get(['fieldMappings'], (result) => {
       const data = result.fieldMappings?.[domain];
@@ -761,22 +1482,36 @@ async function getCachedMapping(domain) {
         resolve(null);
         return;
       }
-      const array = Array.isArray(data) ? data : (data.mappings || null);
-      resolve(array);
+      if (Array.isArray(data)) {
+        resolve({ mappings: data, fingerprint: null, cachedAt: null, aiReviewed: [] });
+        return;
+      }
+      resolve({
+        mappings: data.mappings || null,
+        fingerprint: data.fingerprint || null,
+        cachedAt: data.cachedAt || null,
+        aiReviewed: data.aiReviewed || []
+      });
     });
   });
 }
 
 /**
  * Cache field mapping for domain
+ * 每条映射保留 method（bind / ai / keyword）：下次识别时绑定仍归 bind，关键词结果重新计算
+ * @param {Object} [fingerprint] - 表单结构指纹；不传时保留已有指纹（绑定 / 解除绑定只改映射）
+ * @param {string[]} [aiReviewed] - 已交给 AI 看过的字段（元素标识），不再重复调用；不传时保留已有记录
  */
-async function cacheMapping(domain, mappings) {
+async function cacheMapping(domain, mappings, fingerprint, aiReviewed) {
   return new Promise((resolve) => {
     chrome.storage.local.get(['fieldMappings'], (result) => {
       const mappingsObj = result.fieldMappings || {};
+      const previous = mappingsObj[domain];
       mappingsObj[domain] = {
         mappings,
-        cachedAt: new Date().toISOString()
+        cachedAt: new Date().toISOString(),
+        fingerprint: fingerprint !== undefined ? fingerprint : (previous?.fingerprint || null),
+        aiReviewed: aiReviewed !== undefined ? aiReviewed : (previous?.aiReviewed || [])
       };
       chrome.storage.local.set({ fieldMappings: mappingsObj }, () => {
         resolve();
@@ -785,6 +1520,108 @@ async function cacheMapping(domain, mappings) {
   });
 }
 
+/** 缓存指纹与实时表单的相似度低于此值时视为映射过期 */
+const FINGERPRINT_MIN_SIMILARITY = 0.6;
+
+/**
+ * 表单结构指纹：字段数 + 每个字段的 type|name|label（用于判断网站是否改版）
+ */
+function getFormFingerprint(formMetadata) {
+  const fields = (formMetadata?.fields || []).map(f =>
+    [f.type, f.name, f.label].map(v => String(v || '').trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 60)).join('|')
+  );
+  return { fieldCount: fields.length, fields };
+}
+
+/**
+ * 两个指纹的相似度（字段多重集合的 Jaccard 系数，0 ~ 1）
+ */
+function compareFormFingerprint(a, b) {
+  const listA = a?.fields || [];
+  const listB = b?.fields || [];
+  if (listA.length === 0 && listB.length === 0) return 1;
+  const counts = new Map();
+  listA.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+  let intersection = 0;
+  listB.forEach(k => {
+    const n = counts.get(k) || 0;
+    if (n > 0) {
+      intersection++;
+      counts.set(k, n - 1);
+    }
+  });
+  const union = listA.length + listB.length - intersection;
+  return union === 0 ? 1 : intersection / union;
+}
+
+/**
+ * 对比缓存指纹与实时表单，判断缓存映射是否过期。
+ * 指纹相似度过低，或超过一半的缓存映射在页面上已找不到元素，均视为过期。
+ * @param {Object|Function} formMetadata - 表单元数据，或按需取元数据的函数（只在缓存有指纹要比对时才调用）
+ * @returns {Promise<Object|null>} 过期时返回 { similarity, missingCount, mappingCount, cachedAt }，否则 null
+ */
+async function checkMappingStaleness(cacheKey, formMetadata) {
+  const entry = await getCachedMappingEntry(cacheKey);
+  if (!entry?.mappings?.length) return null;
+
+  let similarity = 1;
+  if (entry.fingerprint) {
+    const metadata = typeof formMetadata === 'function' ? formMetadata() : formMetadata;
+    if (!metadata?.hasForm) return null;
+    similarity = compareFormFingerprint(entry.fingerprint, getFormFingerprint(metadata));
+  }
+  const missingCount = entry.mappings.filter(m => !resolveMappingElement(m)).length;
+  const isStale = similarity < FINGERPRINT_MIN_SIMILARITY || missingCount * 2 > entry.mappings.length;
+  if (!isStale) return null;
+
+  return {
+    similarity: Math.round(similarity * 100) / 100,
+    missingCount,
+    mappingCount: entry.mappings.length,
+    cachedAt: entry.cachedAt,
+    fingerprint: entry.fingerprint
+  };
+}
+
+/**
+ * 刷新 pageState.mappingStale（popup 打开或页面加载时调用）
+ * 每个 frame 加载都会调用：本页没有缓存映射时直接返回，有指纹要比对时才扫描表单
+ */
+async function refreshMappingStaleness() {
+  const staleness = await checkMappingStaleness(getCacheKey(), getFormMetadata);
+  pageState.mappingStale = staleness;
+  if (staleness) {
+    console.warn(`${TAG} 缓存映射可能已过期（表单结构相似度 ${staleness.similarity}，${staleness.missingCount}/${staleness.mappingCount} 个字段找不到元素）`);
+  }
+  return staleness;
+}
+
+/**
+ * 是否在映射过期时自动重新识别（设置项 autoRerecognizeStale）
+ */
+async function isAutoRerecognizeEnabled() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['settings'], (result) => {
+      resolve(!!result.settings?.autoRerecognizeStale);
+    });
+  });
+}
+
+/**
+ * 重新识别：丢弃缓存中自动识别的映射，只保留仍能在页面上找到元素的用户绑定，再按当前表单重新识别
+ */
+async function rerecognizeForm(useLlm = false) {
+  const cacheKey = getCacheKey();
+  const cached = (await getCachedMapping(cacheKey)) || [];
+  const keptBindings = cached.filter(m => m.method === 'bind' && resolveMappingElement(m));
+  const droppedBindings = cached.filter(m => m.method === 'bind').length - keptBindings.length;
+  await cacheMapping(cacheKey, keptBindings, null, []);
+  pageState.fieldMappings = null;
+  pageState.mappingStale = null;
+  console.log(`${TAG} 重新识别：保留 ${keptBindings.length} 个绑定${droppedBindings ? `，丢弃 ${droppedBindings} 个已失效绑定` : ''}`);
+  return recognizeForm(useLlm);
+}
+
 /**
  * Clear mapping for current domain + pathname
  */
@@ -807,8 +1644,8 @@ async function clearMapping() {
  * Fill form with site data
  */
 async function fillForm(siteId) {
-  // Get site data
-  const siteData = await getSiteData(siteId);
+  // Get site data（按本页语言选用多语言文案）
+  const siteData = await getSiteDataForPage(siteId);
   if (!siteData) {
     throw new Error('Site not found or no site selected');
   }
@@ -826,6 +1663,10 @@ async function fillForm(siteId) {
   const errors = [];
   /** 同一逻辑控件有多条映射时只填一次（如 aitoolzs 的 categories 有 66 个 checkbox 映射到同一控件） */
   const filledOnceByField = new Set();
+  /** 写入前各元素的原值，供「撤销填充」 */
+  const snapshots = [];
+  /** 因长度限制换用 / 截断过的文案 */
+  const lengthAdjustments = [];
 
   for (const mapping of pageState.fieldMappings) {
     try {
@@ -838,7 +1679,7 @@ async function fillForm(siteId) {
         await new Promise(r => setTimeout(r, 500));
       }
 
-      let element = findElementByLocator(mapping.locator);
+      let element = resolveMappingElement(mapping);
       if (!element && mapping.standardField === 'tags') {
         element = findTagsTriggerByLabel();
       }
@@ -846,6 +1687,10 @@ async function fillForm(siteId) {
         errors.push(`Could not find element for ${mapping.standardField}`);
         continue;
       }
+      if (mapping.resolvedBy && mapping.resolvedBy.strategy !== mapping.locator?.type) {
+        console.log(`${TAG} ${mapping.standardField} 主定位未命中，改用 ${mapping.resolvedBy.strategy} 定位（吻合度 ${mapping.resolvedBy.score}）`);
+      }
+      rememberFillSnapshot(snapshots, element, mapping.standardField);
 
       let value = siteData[mapping.standardField];
       if (mapping.standardField === 'pricing') {
@@ -882,140 +1727,1160 @@ async function fillForm(siteId) {
         continue;
       }
 
-      if (!value) {
-        // Field not in site data, skip
-        continue;
-      }
+      if (!value) {
+        // Field not in site data, skip
+        continue;
+      }
+
+      // Website URL：根据输入框是否已有 https:// 前缀动态决定填完整 URL 还是仅填域名+路径
+      if (mapping.standardField === 'siteUrl') {
+        value = getUrlValueForInput(element, value);
+      }
+
+      // longDescription/Introduction：只填真正的 textarea；若当前是 wrapper 或未找到，用 label 备用查找
+      if (mapping.standardField === 'longDescription') {
+        if (element.tagName !== 'TEXTAREA' && element.tagName !== 'INPUT') {
+          const fallbackTa = findIntroductionTextarea();
+          if (fallbackTa) element = fallbackTa;
+          else { continue; }
+          rememberFillSnapshot(snapshots, element, mapping.standardField);
+        }
+      }
+
+      // 有长度限制的文案框：换用长度合适的文案，或在句子边界截断，避免被浏览器 / 网站从半个词处截掉
+      const fitted = fitTextToField(element, mapping.standardField, value, siteData);
+      if (fitted.adjustment) {
+        value = fitted.value;
+        lengthAdjustments.push(fitted.adjustment);
+        console.log(`${TAG} ${mapping.standardField} 长度限制调整:`, fitted.adjustment);
+      }
+
+      // CodeMirror 编辑器（SimpleMDE 等）
+      if (element.classList && element.classList.contains('CodeMirror')) {
+        fillCodeMirror(element, value);
+        filledCount++;
+        console.log(`${TAG} Filled ${mapping.standardField}:`, value);
+        await new Promise(r => setTimeout(r, FILL_FIELD_DELAY_MS));
+        continue;
+      }
+      // contenteditable / ProseMirror（如 auraplusplus Short Description）
+      if (element.getAttribute?.('contenteditable') === 'true' || element.classList?.contains?.('ProseMirror')) {
+        fillContentEditable(element, value);
+        filledCount++;
+        console.log(`${TAG} Filled ${mapping.standardField}:`, value);
+        await new Promise(r => setTimeout(r, FILL_FIELD_DELAY_MS));
+        continue;
+      }
+
+      // Set value based on element type（含自定义下拉 Categories/Tags/Pricing；同一逻辑控件只填一次）
+      if (element.tagName === 'SELECT') {
+        fillSelectElement(element, value, siteData, mapping.standardField);
+        filledCount++;
+        if (['category', 'pricing', 'tags'].includes(mapping.standardField)) filledOnceByField.add(mapping.standardField);
+      } else if ((mapping.standardField === 'category' || mapping.standardField === 'tags' || mapping.standardField === 'pricing') && element.tagName !== 'SELECT') {
+        const filled = await fillCustomSelect(element, value, siteData, mapping.standardField);
+        if (filled) {
+          filledCount++;
+          filledOnceByField.add(mapping.standardField);
+        }
+      } else if (element.tagName === 'TEXTAREA' || element.type === 'text' || element.type === 'url' || element.type === 'email') {
+        fillInputElement(element, value);
+        filledCount++;
+      } else {
+        // Try to set value for other types
+        element.value = value;
+        element.dispatchEvent(new Event('input', { bubbles: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true }));
+        filledCount++;
+      }
+
+      console.log(`${TAG} Filled ${mapping.standardField}:`, value);
+    } catch (error) {
+      errors.push(`Failed to fill ${mapping.standardField}: ${error.message}`);
+    }
+    // 时间隔离：同一时间只填充一个字段，避免下拉/编辑器等未就绪导致错乱
+    await new Promise(r => setTimeout(r, FILL_FIELD_DELAY_MS));
+  }
+
+  if (snapshots.length) {
+    lastFillSnapshot = { snapshots, siteId, filledAt: Date.now() };
+    pageState.canUndo = true;
+    lastFill = { siteId: siteId || siteData.id, elements: snapshots.map(snap => snap.element) };
+  }
+
+  // 保存每个映射实际命中的定位策略（resolvedBy），选项页可据此看出哪些主定位已失效
+  if (pageState.fieldMappings.some(m => m.resolvedBy)) {
+    await cacheMapping(getCacheKey(), pageState.fieldMappings);
+  }
+
+  // Check for CAPTCHA
+  const hasCaptcha = checkForCaptcha();
+
+  // Record submission
+  await recordSubmission(siteId || siteData.id, filledCount, errors, hasCaptcha);
+
+  return {
+    filledCount,
+    totalFields: pageState.fieldMappings.length,
+    errors,
+    hasCaptcha,
+    undoAvailable: !!lastFillSnapshot,
+    language: siteData.fillLanguage || null,
+    lengthAdjustments
+  };
+}
+
+/** 向导（多步表单）最多连续处理的步数，防止「下一步」循环 */
+const WIZARD_MAX_STEPS = 6;
+
+/** 点击「下一步」后等待新一步出现的超时 */
+const WIZARD_STEP_TIMEOUT_MS = 8000;
+
+/** DOM 停止变化多久后视为新一步已渲染完成 */
+const WIZARD_SETTLE_MS = 400;
+
+/** 「下一步」按钮文字 */
+const WIZARD_NEXT_PATTERNS = [/^next\b/i, /^continue\b/i, /^proceed\b/i, /下一步/, /^继续/];
+
+/** 最后一步的提交类按钮文字：不当作「下一步」点击 */
+const WIZARD_FINAL_PATTERNS = [/submit/i, /launch/i, /publish/i, /提交/, /发布/];
+
+/**
+ * 按钮文字是否为「下一步」（不看可见性，不扫描页面）
+ */
+function isWizardNextText(el) {
+  const text = (el.tagName === 'INPUT' ? el.value : el.textContent || el.getAttribute('aria-label') || '').trim();
+  if (!text || text.length > 40) return false;
+  if (WIZARD_FINAL_PATTERNS.some(re => re.test(text))) return false;
+  return WIZARD_NEXT_PATTERNS.some(re => re.test(text));
+}
+
+/**
+ * 找当前步骤可见的「下一步」按钮；没有时返回 null（单页表单或已到最后一步）
+ */
+function findWizardNextButton() {
+  for (const { root } of collectFormScopes()) {
+    const candidates = root.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], a');
+    for (const el of candidates) {
+      if (el.disabled || !isWizardNextText(el) || !isElementVisible(el)) continue;
+      return el;
+    }
+  }
+  return null;
+}
+
+/**
+ * 从页面上的步骤指示读取当前是第几步：「Step 2 of 4」「第 2 步」或 aria-current="step"
+ * @returns {{ stepIndex: number, stepCount: number|null }|null}
+ */
+function detectWizardStepIndicator() {
+  for (const { root } of collectFormScopes()) {
+    const current = root.querySelector('[aria-current="step"]');
+    if (current?.parentElement) {
+      const siblings = Array.from(current.parentElement.children);
+      return { stepIndex: siblings.indexOf(current) + 1, stepCount: siblings.length };
+    }
+    const labels = root.querySelectorAll('[class*="step"], [class*="progress"], h1, h2, h3, h4, legend');
+    for (const el of labels) {
+      const text = el.textContent.trim();
+      if (text.length > 60) continue;
+      const en = text.match(/step\s*(\d+)\s*(?:of|\/)\s*(\d+)/i);
+      if (en) return { stepIndex: Number(en[1]), stepCount: Number(en[2]) };
+      const zh = text.match(/第\s*(\d+)\s*步(?:\s*[\/／共]\s*(\d+))?/);
+      if (zh) return { stepIndex: Number(zh[1]), stepCount: zh[2] ? Number(zh[2]) : null };
+    }
+  }
+  return null;
+}
+
+/**
+ * 当前向导步骤（从 1 开始）：refreshWizardStep / advanceWizardStep 记下的值
+ */
+function getCurrentWizardStep() {
+  return pageState.wizardStep || 1;
+}
+
+/**
+ * 读一次页面上的步骤指示，记入 pageState（识别、填充与 popup 取状态时调用）；
+ * 用户手动翻到了别的步骤时清空本步映射，按新步骤的缓存 key 重新识别
+ */
+function refreshWizardStep() {
+  const indicator = detectWizardStepIndicator();
+  pageState.wizardIndicated = !!indicator;
+  if (!indicator || indicator.stepIndex === getCurrentWizardStep()) return;
+  pageState.wizardStep = indicator.stepIndex;
+  pageState.fieldMappings = null;
+  pageState.mappingStale = null;
+  if (pageState.recognitionStatus !== 'recognizing') pageState.recognitionStatus = 'idle';
+}
+
+/**
+ * 向导状态：有「下一步」按钮或步骤指示时视为多步表单
+ * @returns {{ stepIndex: number, stepCount: number|null, hasNext: boolean }|null}
+ */
+function detectWizard() {
+  const indicator = detectWizardStepIndicator();
+  const hasNext = !!findWizardNextButton();
+  if (!indicator && !hasNext && !(pageState.wizardStep > 1)) return null;
+  return {
+    stepIndex: indicator?.stepIndex || pageState.wizardStep || 1,
+    stepCount: indicator?.stepCount || null,
+    hasNext
+  };
+}
+
+/**
+ * 当前可见表单控件的签名，用于判断是否已切换到新的一步
+ */
+function getVisibleFieldSignature() {
+  return collectFormScopes()
+    .flatMap(({ root }) => Array.from(root.querySelectorAll('input:not([type="hidden"]), textarea, select, [contenteditable="true"]')))
+    .filter(isElementVisible)
+    .map(el => `${el.tagName}|${el.name || el.id || getXPath(el)}`)
+    .join('\n');
+}
+
+/**
+ * 用 MutationObserver 等待下一步渲染：可见控件发生变化且 DOM 稳定 WIZARD_SETTLE_MS 后返回 true，超时返回 false
+ */
+function waitForWizardStepChange(previousSignature, timeoutMs = WIZARD_STEP_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    let settleTimer = null;
+    const finish = (changed) => {
+      observer.disconnect();
+      clearTimeout(settleTimer);
+      clearTimeout(timeoutTimer);
+      resolve(changed);
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => {
+        const signature = getVisibleFieldSignature();
+        if (signature && signature !== previousSignature) finish(true);
+      }, WIZARD_SETTLE_MS);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'style', 'hidden', 'aria-hidden'] });
+    const timeoutTimer = setTimeout(() => finish(false), timeoutMs);
+  });
+}
+
+/**
+ * 进入下一步后的状态切换：步数 +1（页面有步骤指示时以指示为准），清空本步映射以便按新步骤的缓存 key 重新识别
+ */
+function advanceWizardStep() {
+  const indicator = detectWizardStepIndicator();
+  pageState.wizardStep = indicator?.stepIndex || (pageState.wizardStep || 1) + 1;
+  pageState.wizardIndicated = !!indicator;
+  pageState.fieldMappings = null;
+  pageState.recognitionStatus = 'idle';
+  pageState.mappingStale = null;
+  console.log(`${TAG} [向导] 进入第 ${pageState.wizardStep} 步`);
+}
+
+/**
+ * 是否允许向导模式自动点击「下一步」（设置项 wizardAutoNext）
+ */
+async function isWizardAutoNextEnabled() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['settings'], (result) => {
+      resolve(!!result.settings?.wizardAutoNext);
+    });
+  });
+}
+
+/**
+ * 填充入口：按步骤填充，完成后按自动提交设置决定是否倒计时提交（结果里带 autoSubmit）
+ */
+async function fillFormSteps(siteId) {
+  clearFillPreview();
+  cancelAutoSubmit();
+  const result = await fillFormByStep(siteId);
+  result.autoSubmit = await scheduleAutoSubmit(result);
+  return result;
+}
+
+/**
+ * 单页表单直接 fillForm；多步表单逐步「识别 → 填充」，
+ * 允许自动下一步时点击「下一步」并等待新一步出现后继续，最后一步的提交留给用户。
+ * 每一步的映射按 getCacheKey()（含 #stepN）分别缓存。
+ */
+async function fillFormByStep(siteId) {
+  refreshWizardStep();
+  const wizard = detectWizard();
+  if (!wizard) return fillForm(siteId);
+
+  const autoNext = await isWizardAutoNextEnabled();
+  const steps = [];
+  const snapshots = [];
+  const previousSnapshot = lastFillSnapshot;
+  let stopReason = null;
+
+  for (let i = 0; i < WIZARD_MAX_STEPS; i++) {
+    const stepIndex = getCurrentWizardStep();
+    if (!pageState.fieldMappings) {
+      const recognition = await recognizeForm(false);
+      if (recognition.status !== 'success') {
+        steps.push({ stepIndex, filledCount: 0, errors: [recognition.message || recognition.error || '识别失败'] });
+        break;
+      }
+    }
+    // fillForm 只在写入了内容时才设置 lastFillSnapshot，先清空，免得把上一步的快照再收一遍
+    lastFillSnapshot = null;
+    const result = await fillForm(siteId);
+    if (lastFillSnapshot) snapshots.push(...lastFillSnapshot.snapshots);
+    steps.push({ stepIndex, filledCount: result.filledCount, errors: result.errors, hasCaptcha: result.hasCaptcha, language: result.language, lengthAdjustments: result.lengthAdjustments });
+
+    const next = findWizardNextButton();
+    if (!next) break;
+    if (!autoNext) {
+      stopReason = '已填完当前步骤，请检查后点击「下一步」，再次填充';
+      break;
+    }
+    if (result.hasCaptcha) {
+      stopReason = '当前步骤有验证码，请完成后手动点击「下一步」';
+      break;
+    }
+
+    const signature = getVisibleFieldSignature();
+    const changed = waitForWizardStepChange(signature);
+    wizardNavigating = true;
+    simulateClick(next);
+    const ok = await changed;
+    wizardNavigating = false;
+    if (!ok) {
+      stopReason = '点击「下一步」后页面没有变化，可能有必填项未通过校验';
+      break;
+    }
+    advanceWizardStep();
+  }
+
+  // 撤销时一并恢复已经过的各步（元素仍在页面上的部分）；各步都没写入时保留之前那次填充的撤销
+  lastFillSnapshot = snapshots.length ? { snapshots, siteId, filledAt: Date.now() } : previousSnapshot;
+
+  const last = steps[steps.length - 1] || {};
+  return {
+    filledCount: steps.reduce((sum, st) => sum + st.filledCount, 0),
+    totalFields: pageState.fieldMappings?.length || 0,
+    errors: steps.flatMap(st => st.errors.map(e => steps.length > 1 ? `[第 ${st.stepIndex} 步] ${e}` : e)),
+    hasCaptcha: !!last.hasCaptcha,
+    undoAvailable: !!lastFillSnapshot,
+    language: steps.map(st => st.language).find(Boolean) || null,
+    lengthAdjustments: steps.flatMap(st => st.lengthAdjustments || []),
+    wizard: { steps, stepIndex: getCurrentWizardStep(), hasNext: !!findWizardNextButton(), stopReason }
+  };
+}
+
+/** 向导自动点击「下一步」期间为 true，避免手动点击监听重复计步 */
+let wizardNavigating = false;
+
+// 用户在已识别的表单上手动点击「下一步」：等新一步出现后切换步骤（映射按步骤分别缓存）
+// 只看被点按钮本身的文字，不扫描页面；还没识别过的页面不用跟踪
+document.addEventListener('click', (e) => {
+  if (wizardNavigating || HANDLED_BY_PARENT_FRAME || !pageState.fieldMappings) return;
+  const target = (e.composedPath?.()[0] || e.target);
+  const button = target?.closest?.('button, [role="button"], input[type="button"], input[type="submit"], a');
+  if (!button || !isWizardNextText(button)) return;
+  waitForWizardStepChange(getVisibleFieldSignature()).then(changed => {
+    if (changed) advanceWizardStep();
+  });
+}, true);
+
+/**
+ * 从右键事件目标解析出「可填充」的输入元素（input/textarea/contenteditable 或常见富文本编辑器）
+ * 兼容 TipTap、Quill、ProseMirror、CodeMirror 等，确保「Description」等字段能被识别
+ */
+function getEditableElementFromTarget(target) {
+  if (!target || !target.nodeType || target.nodeType !== Node.ELEMENT_NODE) return null;
+  const el = target;
+  if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') {
+    return el;
+  }
+  if (el.getAttribute?.('contenteditable') === 'true' || el.getAttribute?.('contenteditable') === '') {
+    return el;
+  }
+  if (el.classList?.contains?.('ProseMirror') || el.classList?.contains?.('tiptap') || el.classList?.contains?.('ql-editor')) {
+    return el;
+  }
+  const editable = el.closest?.('[contenteditable="true"], [contenteditable=""], .ProseMirror, .tiptap, .ql-editor, .CodeMirror');
+  if (editable) {
+    return editable;
+  }
+  const codeMirror = el.closest?.('.CodeMirror');
+  if (codeMirror) return codeMirror;
+  if (el.getAttribute?.('role') === 'textbox') return el;
+  const roleTextbox = el.closest?.('[role="textbox"]');
+  if (roleTextbox) return roleTextbox;
+  return null;
+}
+
+/**
+ * 右键菜单「填充单个字段」：只做一件事 —— 用当前站点（popup 已选）的该字段值，填到右键所在的输入框。
+ * 点哪个字段就填哪个字段的 value，无其它逻辑。
+ */
+async function fillSingleField(standardField) {
+  const el = lastContextMenuTarget;
+  lastContextMenuTarget = null;
+
+  if (!el || !el.isConnected) {
+    throw new Error('请在要填充的输入框内右键，再选择字段');
+  }
+
+  const siteData = await getSiteDataForPage(null);
+  if (!siteData) {
+    throw new Error('请先在 popup 中选择当前站点');
+  }
+
+  const value = getSiteFieldValueForFill(el, standardField, siteData);
+  if (value === undefined) {
+    throw new Error(`当前站点的「${standardField}」无内容可填`);
+  }
+
+  lastFillSnapshot = { snapshots: [snapshotElementValue(el, standardField)], siteId: null, filledAt: Date.now() };
+  pageState.canUndo = true;
+  fillOneElement(el, standardField, value, siteData);
+  const preview = typeof value === 'string' ? value.slice(0, 60) + (value.length > 60 ? '…' : '') : value;
+  console.log(`${TAG} [右键] 已填充 ${standardField}，取值:`, preview);
+  return { filledCount: 1, errors: [] };
+}
+
+/**
+ * 从右键目标解析出可绑定的元素：优先可编辑元素，其次自定义下拉触发器（按钮 / combobox 等）
+ */
+function getBindableElementFromTarget(target) {
+  const editable = getEditableElementFromTarget(target);
+  if (editable) return editable;
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+  return target.closest?.('[role="combobox"], [role="listbox"], [data-headlessui-state], button') || null;
+}
+
+/**
+ * 右键菜单「绑定为字段」：把右键所在元素保存为当前页（domain + path）该标准字段的映射（method: 'bind'）。
+ * 覆盖该页上同一标准字段的原有映射（无论来自关键词、AI 还是之前的绑定），之后识别时以绑定为准。
+ */
+async function bindField(standardField) {
+  const el = lastContextMenuTarget || getBindableElementFromTarget(lastContextMenuRawTarget);
+  lastContextMenuTarget = null;
+  lastContextMenuRawTarget = null;
+
+  if (!el || !el.isConnected) {
+    throw new Error('请在有输入框的位置右键并选择要绑定的字段');
+  }
+
+  // 同源 iframe / shadow root 内的元素：定位带上相对根 frame 的作用域
+  const scope = { framePath: getFramePathFromRoot(), shadowPath: getShadowPath(el) };
+  const locator = withLocatorScope(getFieldLocator(el), scope);
+  const xpath = getXPath(el);
+  const binding = {
+    locator,
+    locators: getCandidateLocators(el).map(loc => withLocatorScope(loc, scope)),
+    signature: getElementSignature(el),
+    standardField,
+    confidence: 1,
+    method: 'bind',
+    source: 'bind',
+    xpath,
+    locatorDesc: formatLocator(locator)
+  };
+
+  const cacheKey = getCacheKey();
+  const existing = (await getCachedMapping(cacheKey)) || pageState.fieldMappings || [];
+  const mappings = [
+    ...existing.filter(m => m.standardField !== standardField && getMappingElementKey(m) !== getMappingElementKey(binding)),
+    binding
+  ];
+  await cacheMapping(cacheKey, mappings);
+
+  pageState.fieldMappings = mappings;
+  pageState.recognitionStatus = 'done';
+
+  const label = FIELD_LABELS[standardField] || standardField;
+  console.log(`${TAG} [绑定] ${label} -> ${binding.locatorDesc} (${cacheKey})`);
+  showPageToast(`已绑定：${label}`, 'success');
+  refreshFillPreview();
+  return { standardField, cacheKey };
+}
+
+/**
+ * 右键菜单「解除绑定」：从当前页映射中移除该标准字段的所有映射项，其余字段保留
+ */
+async function unbindField(standardField) {
+  const cacheKey = getCacheKey();
+  const existing = (await getCachedMapping(cacheKey)) || pageState.fieldMappings || [];
+  const label = FIELD_LABELS[standardField] || standardField;
+  if (!existing.some(m => m.standardField === standardField)) {
+    throw new Error(`本页没有「${label}」的映射`);
+  }
+
+  const mappings = existing.filter(m => m.standardField !== standardField);
+  await cacheMapping(cacheKey, mappings);
+  pageState.fieldMappings = mappings;
+
+  console.log(`${TAG} [解除绑定] ${label} (${cacheKey})`);
+  showPageToast(`已解除：${label}`, 'success');
+  refreshFillPreview();
+  return { standardField, cacheKey };
+}
+
+/**
+ * 页面内短暂提示（右键操作、打开页面自动填充等没有 popup 可显示结果时使用）
+ * @param {Array<{ label: string, onClick: Function }>} [actions] - 提示内的操作按钮（如「撤销」）；有按钮时停留更久
+ */
+function showPageToast(message, type = 'info', actions = []) {
+  const colors = { success: '#065f46', error: '#991b1b', info: '#1e40af' };
+  const backgrounds = { success: '#d1fae5', error: '#fee2e2', info: '#dbeafe' };
+  let toast = document.getElementById('nav-submitter-toast');
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = 'nav-submitter-toast';
+    toast.style.cssText = 'position:fixed;right:16px;bottom:16px;z-index:2147483647;padding:10px 14px;' +
+      'border-radius:6px;font:13px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;' +
+      'box-shadow:0 2px 8px rgba(0,0,0,.15);max-width:320px;';
+    document.body.appendChild(toast);
+  }
+  toast.textContent = `外链提交助手：${message}`;
+  toast.style.color = colors[type] || colors.info;
+  toast.style.background = backgrounds[type] || backgrounds.info;
+  actions.forEach(({ label, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = 'margin-left:10px;padding:2px 10px;border:1px solid currentColor;border-radius:4px;' +
+      'background:transparent;color:inherit;font:inherit;cursor:pointer;';
+    button.addEventListener('click', () => {
+      toast.remove();
+      onClick();
+    });
+    toast.appendChild(button);
+  });
+  clearTimeout(toast._hideTimer);
+  toast._hideTimer = setTimeout(() => toast.remove(), actions.length ? 10000 : 3000);
+}
+
+/** 打开页面后等待映射元素渲染的最长时间（SPA 表单常在 document_idle 之后才出现） */
+const AUTO_FILL_WAIT_MS = 4000;
+
+/**
+ * 页面加载后：当前页是已登记导航站的提交页且本页已有字段映射时，
+ * 按导航站设置提示填充（offer）或直接填充（auto）
+ * @param {{ navSiteId: string, navSiteName: string, siteId: string, mode: string }|null} autoFill - background 对 pageReady 的答复
+ */
+async function handleAutoFillOnLoad(autoFill) {
+  if (!autoFill?.siteId || autoFill.mode === 'off') return;
+  const cached = await getCachedMapping(getCacheKey());
+  if (!cached?.length) return;
+
+  // 等映射的元素出现；一直对不上说明表单结构变了，交给弹窗里的重新识别
+  const deadline = Date.now() + AUTO_FILL_WAIT_MS;
+  while (await refreshMappingStaleness()) {
+    if (Date.now() > deadline) {
+      console.log(`${TAG} [自动填充] 「${autoFill.navSiteName}」缓存映射与页面不符，跳过`);
+      return;
+    }
+    await new Promise(r => setTimeout(r, 500));
+  }
+
+  if (autoFill.mode === 'auto') {
+    await runAutoFill(autoFill);
+    return;
+  }
+  showPageToast(`这是「${autoFill.navSiteName}」的提交页，已记住字段位置`, 'info', [
+    { label: '填充', onClick: () => runAutoFill(autoFill) }
+  ]);
+}
+
+/**
+ * 执行自动填充，并在页面提示里提供「撤销」
+ */
+async function runAutoFill(autoFill) {
+  try {
+    const result = await fillFormSteps(autoFill.siteId);
+    let message = `已自动填充 ${result.filledCount} 个字段`;
+    if (result.hasCaptcha) message += '，请完成验证码后提交';
+    else message += describeAutoSubmit(result.autoSubmit);
+    showUndoFillToast(message);
+  } catch (error) {
+    showPageToast('自动填充失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 填充完成提示，带「撤销」按钮
+ */
+function showUndoFillToast(message) {
+  showPageToast(message, 'success', [
+    {
+      label: '撤销',
+      onClick: () => {
+        const { restoredCount } = undoLastFill();
+        showPageToast(`已撤销填充（恢复 ${restoredCount} 个字段）`, 'info');
+      }
+    }
+  ]);
+}
+
+/** 批量提交时等待表单渲染的最长时间 */
+const CAMPAIGN_FORM_WAIT_MS = 8000;
+
+/**
+ * 批量提交的一项：等表单出现 → 识别（开启 AI 时用 AI）→ 填充，页面顶部进度栏提示用户完成验证码并提交
+ * @param {{ siteId: string, useLlm: boolean, campaign: { id: string, name: string, position: number, total: number, navSiteName: string } }} request
+ */
+async function runCampaignFill({ siteId, useLlm, campaign }) {
+  showCampaignBar(campaign, '正在识别并填充…');
+  const deadline = Date.now() + CAMPAIGN_FORM_WAIT_MS;
+  while (!detectForm().hasForm) {
+    if (Date.now() > deadline) {
+      showCampaignBar(campaign, '没有找到表单（可能需要登录），处理后提交或点「下一个」', 'error');
+      throw new Error('页面上没有找到表单');
+    }
+    await new Promise(r => setTimeout(r, 500));
+  }
+
+  try {
+    if (!pageState.fieldMappings) {
+      const recognition = await recognizeForm(!!useLlm);
+      if (recognition.status !== 'success') throw new Error(recognition.message || recognition.error || '识别失败');
+    }
+    const result = await fillFormSteps(siteId);
+    let message = `已填充 ${result.filledCount} 个字段`;
+    if (result.errors?.length) message += `，${result.errors.length} 个失败`;
+    message += result.hasCaptcha ? '，请完成验证码后提交' : (describeAutoSubmit(result.autoSubmit) || '，请检查后提交');
+    showCampaignBar(campaign, message, result.errors?.length ? 'error' : 'success');
+    return result;
+  } catch (error) {
+    showCampaignBar(campaign, `填充失败：${error.message}，可手动填写后提交`, 'error');
+    throw error;
+  }
+}
+
+/**
+ * 批量提交进度栏（页面顶部居中）：任务名、进度、当前导航站与提示；
+ * 任务运行中带 下一个 / 跳过 / 重试 / 暂停，已结束时只有「关闭」
+ */
+function showCampaignBar(campaign, message, type = 'info') {
+  if (!campaign) return;
+  const colors = { success: '#065f46', error: '#991b1b', info: '#1e40af' };
+  document.getElementById('nav-submitter-campaign-bar')?.remove();
+  const bar = document.createElement('div');
+  bar.id = 'nav-submitter-campaign-bar';
+  bar.style.cssText = 'position:fixed;left:50%;top:12px;transform:translateX(-50%);z-index:2147483647;padding:8px 14px;' +
+    'max-width:640px;border-radius:6px;background:#fff;color:#1f2937;box-shadow:0 2px 12px rgba(0,0,0,.2);' +
+    'font:13px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;';
+
+  const title = document.createElement('div');
+  title.style.fontWeight = '600';
+  title.textContent = `外链提交助手 · 批量提交「${campaign.name}」${campaign.position}/${campaign.total}` +
+    (campaign.navSiteName ? ` · ${campaign.navSiteName}` : '');
+  bar.appendChild(title);
+  const text = document.createElement('div');
+  text.style.color = colors[type] || colors.info;
+  text.textContent = message;
+  bar.appendChild(text);
+
+  const row = document.createElement('div');
+  row.style.marginTop = '6px';
+  const commands = campaign.state === 'running'
+    ? [
+      { label: '下一个', command: 'next' },
+      { label: '跳过', command: 'skip' },
+      { label: '重试', command: 'retry' },
+      { label: '暂停', command: 'pause' }
+    ]
+    : [{ label: '关闭', command: null }];
+  commands.forEach(({ label, command }, i) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = 'margin-right:8px;padding:2px 10px;border-radius:4px;font:inherit;cursor:pointer;' +
+      (i === 0 ? 'border:1px solid #059669;background:#059669;color:#fff;' : 'border:1px solid #d1d5db;background:#fff;color:inherit;');
+    button.addEventListener('click', () => {
+      bar.remove();
+      if (!command) return;
+      cancelAutoSubmit();
+      chrome.runtime.sendMessage({ action: 'campaignControl', command, campaignId: campaign.id })
+        .then(response => {
+          if (command === 'pause' && response?.success) showPageToast('批量提交已暂停，可在选项页继续', 'info');
+          else if (!response?.success) showPageToast('操作失败: ' + (response?.error || '未知错误'), 'error');
+        })
+        .catch(() => {});
+    });
+    row.appendChild(button);
+  });
+  bar.appendChild(row);
+  document.body.appendChild(bar);
+}
+
+/** 最近一次填充前各元素的原值：{ snapshots, siteId, filledAt } */
+let lastFillSnapshot = null;
+
+/**
+ * 记录元素写入前的值；同一元素只记第一次（即填充前的原值）
+ */
+function rememberFillSnapshot(snapshots, element, standardField) {
+  if (!element || snapshots.some(snap => snap.element === element)) return;
+  snapshots.push(snapshotElementValue(element, standardField));
+}
+
+/**
+ * 按元素类型记录当前值或选中状态
+ */
+function snapshotElementValue(element, standardField) {
+  const base = { element, standardField };
+  if (element.classList?.contains('CodeMirror') && element.CodeMirror?.getValue) {
+    return { ...base, kind: 'codemirror', value: element.CodeMirror.getValue() };
+  }
+  if (element.getAttribute?.('contenteditable') === 'true' || element.classList?.contains?.('ProseMirror')) {
+    return { ...base, kind: 'contenteditable', html: element.innerHTML };
+  }
+  if (element.tagName === 'SELECT') {
+    return { ...base, kind: 'select', selected: Array.from(element.options).map(o => o.selected) };
+  }
+  if (element.tagName === 'INPUT' && element.type === 'file') {
+    return { ...base, kind: 'file', files: Array.from(element.files || []) };
+  }
+  if (element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio')) {
+    return { ...base, kind: 'checked', checked: element.checked };
+  }
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
+    return { ...base, kind: 'value', value: element.value };
+  }
+  // 自定义下拉（按钮 / combobox）：选项最终落在所在表单的原生控件（checkbox、隐藏 input、select）上，一并记录
+  const container = element.closest?.('form') || element.parentElement;
+  const controls = Array.from(container?.querySelectorAll('input, select') || [])
+    .filter(el => el.type !== 'file' && el.type !== 'submit' && el.type !== 'button');
+  return { ...base, kind: 'controls', controls: controls.map(el => snapshotElementValue(el, standardField)) };
+}
+
+/**
+ * 把元素恢复为快照值，并触发与填充时相同的 input/change 事件；值没变的不动
+ * @returns {boolean} 是否有改动
+ */
+function restoreElementValue(snap) {
+  const el = snap.element;
+  if (!el?.isConnected) return false;
+  switch (snap.kind) {
+    case 'value':
+      if (el.value === snap.value) return false;
+      fillInputElement(el, snap.value);
+      return true;
+    case 'checked':
+      if (el.checked === snap.checked) return false;
+      // 单选项无法点击取消，由同组原先选中的那项点回来即可
+      if (el.type === 'radio' && !snap.checked) return false;
+      el.click();
+      return true;
+    case 'select': {
+      const options = Array.from(el.options);
+      if (options.every((o, i) => o.selected === !!snap.selected[i])) return false;
+      options.forEach((o, i) => { o.selected = !!snap.selected[i]; });
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+    case 'file': {
+      const current = Array.from(el.files || []);
+      if (current.length === snap.files.length && current.every((f, i) => f === snap.files[i])) return false;
+      const dt = new DataTransfer();
+      snap.files.forEach(f => dt.items.add(f));
+      el.files = dt.files;
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+    case 'contenteditable':
+      if (el.innerHTML === snap.html) return false;
+      el.innerHTML = snap.html;
+      el.dispatchEvent(new InputEvent('input', { inputType: 'insertReplacementText', bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    case 'codemirror':
+      if (el.CodeMirror.getValue() === snap.value) return false;
+      el.CodeMirror.setValue(snap.value);
+      el.CodeMirror.save?.();
+      return true;
+    case 'controls':
+      // 先恢复取消选中，再恢复选中，避免单选组中途状态
+      return snap.controls
+        .slice()
+        .sort((a, b) => Number(!!a.checked) - Number(!!b.checked))
+        .map(restoreElementValue)
+        .some(Boolean);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 撤销最近一次填充：按填充顺序的逆序恢复原值
+ * @returns {{ restoredCount: number }}
+ */
+function undoLastFill() {
+  if (!lastFillSnapshot) return { restoredCount: 0 };
+  const restoredCount = lastFillSnapshot.snapshots
+    .slice()
+    .reverse()
+    .filter(restoreElementValue)
+    .length;
+  lastFillSnapshot = null;
+  pageState.canUndo = false;
+  console.log(`${TAG} [撤销] 已恢复 ${restoredCount} 个字段`);
+  return { restoredCount };
+}
+
+/** 自动提交前的倒计时（秒），期间可取消 */
+const AUTO_SUBMIT_COUNTDOWN_S = 5;
+
+/** 提交按钮文字 */
+const SUBMIT_TEXT_PATTERNS = [/submit/i, /launch/i, /publish/i, /提交/, /发布/, /收录/, /^send\b/i, /^post\b/i, /\badd\s+(?:my\s+|your\s+)?(?:tool|site|product|startup|app|listing)/i];
+
+/** 明显不是提交表单的按钮 */
+const SUBMIT_NEGATIVE_PATTERNS = [/cancel/i, /reset/i, /^back\b/i, /previous/i, /search/i, /log\s*in|sign\s*(?:in|up)/i, /subscribe|newsletter/i, /取消/, /返回/, /上一步/, /搜索/, /登录/, /注册/, /订阅/];
+
+/** 候选按钮至少达到此分才视为提交按钮 */
+const SUBMIT_MIN_SCORE = 3;
+
+/** 正在进行的自动提交倒计时：{ timer, panel } */
+let autoSubmitCountdown = null;
+
+/**
+ * 找表单的提交按钮：type=submit（含表单内未写 type 的 button）、按钮文字（Submit/提交/Launch 等）、
+ * 是否与已映射字段同在一个 form、是否位于最后一个已映射字段之后，综合打分取最高
+ * @returns {{ element: Element, score: number, text: string }|null}
+ */
+function findSubmitButton() {
+  const mappedElements = (pageState.fieldMappings || []).map(m => resolveMappingElement(m)).filter(Boolean);
+  const mappedForms = new Set(mappedElements.map(el => el.closest('form')).filter(Boolean));
+  const lastField = mappedElements.reduce((last, el) =>
+    (!last || (last.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)) ? el : last, null);
+
+  let best = null;
+  for (const { root } of collectFormScopes()) {
+    root.querySelectorAll('button, input[type="submit"], input[type="image"], input[type="button"], [role="button"], a').forEach(el => {
+      if (el.disabled || !isElementVisible(el)) return;
+      const text = (el.tagName === 'INPUT' ? el.value || el.alt : el.textContent || el.getAttribute('aria-label') || '')
+        .replace(/\s+/g, ' ').trim();
+      if (text.length > 40) return;
+
+      const form = el.form || el.closest('form');
+      const type = (el.getAttribute('type') || '').toLowerCase();
+      let score = 0;
+      if (type === 'submit' || type === 'image' || (el.tagName === 'BUTTON' && !type && form)) score += 3;
+      if (SUBMIT_TEXT_PATTERNS.some(re => re.test(text))) score += 3;
+      if (SUBMIT_NEGATIVE_PATTERNS.some(re => re.test(text))) score -= 6;
+      if (form && mappedForms.has(form)) score += 2;
+      if (lastField && (lastField.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING)) score += 1;
+      if (el.tagName === 'A') score -= 1;
+      if (!best || score > best.score) best = { element: el, score, text };
+    });
+  }
+  return best && best.score >= SUBMIT_MIN_SCORE ? best : null;
+}
+
+/**
+ * 向 background 询问当前页是否允许自动提交（导航站单独设置优先，否则跟随 settings.autoSubmit）
+ */
+async function getAutoSubmitPolicy() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getAutoSubmitPolicy', url: getRootFrameWindow().location.href });
+    return response?.success ? response.result : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 填充完成后：允许自动提交且无验证码、无填充错误、已到最后一步时，找到提交按钮并开始倒计时
+ * @returns {{ status: 'off'|'skipped'|'scheduled', reason?: string, buttonText?: string, countdown?: number }}
+ */
+async function scheduleAutoSubmit(fillResult) {
+  const policy = await getAutoSubmitPolicy();
+  if (!policy?.enabled) return { status: 'off' };
+
+  const skip = (reason) => {
+    console.log(`${TAG} [自动提交] 跳过：${reason}`);
+    return { status: 'skipped', reason };
+  };
+  if (!fillResult.filledCount) return skip('没有填充任何字段');
+  if (fillResult.wizard?.hasNext) return skip('多步表单尚未到最后一步');
+  if (fillResult.errors?.length) return skip('有字段填充失败，请检查后手动提交');
+  if (fillResult.hasCaptcha || checkForCaptcha()) return skip('检测到验证码，请完成后手动提交');
+  const submit = findSubmitButton();
+  if (!submit) return skip('没有找到提交按钮');
+
+  startAutoSubmitCountdown(submit);
+  return { status: 'scheduled', buttonText: submit.text, countdown: AUTO_SUBMIT_COUNTDOWN_S };
+}
+
+/**
+ * 自动提交结果的简短说明（拼在页面提示后面）
+ */
+function describeAutoSubmit(autoSubmit) {
+  if (autoSubmit?.status === 'scheduled') return `，${autoSubmit.countdown} 秒后自动提交`;
+  if (autoSubmit?.status === 'skipped') return `；未自动提交：${autoSubmit.reason}`;
+  return '';
+}
+
+/**
+ * 页面左下角倒计时面板：到点前再查一次验证码，然后点击提交按钮；可取消或立即提交
+ */
+function startAutoSubmitCountdown(submit) {
+  cancelAutoSubmit();
+  const panel = document.createElement('div');
+  panel.id = 'nav-submitter-submit-countdown';
+  panel.style.cssText = 'position:fixed;left:16px;bottom:16px;z-index:2147483647;padding:10px 14px;max-width:320px;' +
+    'border-radius:6px;background:#fef3c7;color:#92400e;box-shadow:0 2px 8px rgba(0,0,0,.15);' +
+    'font:13px/1.5 -apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;';
+  const text = document.createElement('span');
+  panel.appendChild(text);
+  [
+    { label: '立即提交', onClick: () => submitNow() },
+    { label: '取消', onClick: () => { cancelAutoSubmit(); showPageToast('已取消自动提交', 'info'); } }
+  ].forEach(({ label, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = 'margin-left:10px;padding:2px 10px;border:1px solid currentColor;border-radius:4px;' +
+      'background:transparent;color:inherit;font:inherit;cursor:pointer;';
+    button.addEventListener('click', onClick);
+    panel.appendChild(button);
+  });
+  document.body.appendChild(panel);
+
+  let remaining = AUTO_SUBMIT_COUNTDOWN_S;
+  const render = () => { text.textContent = `外链提交助手：${remaining} 秒后点击「${submit.text || '提交'}」`; };
+  const submitNow = () => {
+    cancelAutoSubmit();
+    if (checkForCaptcha()) {
+      showPageToast('出现了验证码，请完成后手动提交', 'error');
+      return;
+    }
+    if (!submit.element.isConnected) {
+      showPageToast('提交按钮已不在页面上，请手动提交', 'error');
+      return;
+    }
+    console.log(`${TAG} [自动提交] 点击「${submit.text}」`);
+    simulateClick(submit.element);
+  };
+  render();
+  const timer = setInterval(() => {
+    remaining -= 1;
+    if (remaining <= 0) submitNow();
+    else render();
+  }, 1000);
+  autoSubmitCountdown = { timer, panel };
+}
+
+/**
+ * 取消正在进行的自动提交倒计时
+ */
+function cancelAutoSubmit() {
+  if (!autoSubmitCountdown) return;
+  clearInterval(autoSubmitCountdown.timer);
+  autoSubmitCountdown.panel.remove();
+  autoSubmitCountdown = null;
+}
 
-      // Website URL：根据输入框是否已有 https:// 前缀动态决定填完整 URL 还是仅填域名+路径
-      if (mapping.standardField === 'siteUrl') {
-        value = getUrlValueForInput(element, value);
-      }
+/** 预览浮层节点的标记属性，清除时按此查找 */
+const PREVIEW_ATTR = 'data-nav-submitter-preview';
 
-      // longDescription/Introduction：只填真正的 textarea；若当前是 wrapper 或未找到，用 label 备用查找
-      if (mapping.standardField === 'longDescription') {
-        if (element.tagName !== 'TEXTAREA' && element.tagName !== 'INPUT') {
-          const fallbackTa = findIntroductionTextarea();
-          if (fallbackTa) element = fallbackTa;
-          else { continue; }
-        }
-      }
+/** 预览标记颜色：将填充 / 有映射但站点无内容 / 映射找不到元素或必填无值 / 未映射 */
+const PREVIEW_COLORS = { ok: '#059669', empty: '#d97706', missing: '#dc2626', unmapped: '#6b7280' };
 
-      // CodeMirror 编辑器（SimpleMDE 等）
-      if (element.classList && element.classList.contains('CodeMirror')) {
-        fillCodeMirror(element, value);
-        filledCount++;
-        console.log(`${TAG} Filled ${mapping.standardField}:`, value);
-        await new Promise(r => setTimeout(r, FILL_FIELD_DELAY_MS));
-        continue;
-      }
-      // contenteditable / ProseMirror（如 auraplusplus Short Description）
-      if (element.getAttribute?.('contenteditable') === 'true' || element.classList?.contains?.('ProseMirror')) {
-        fillContentEditable(element, value);
-        filledCount++;
-        console.log(`${TAG} Filled ${mapping.standardField}:`, value);
-        await new Promise(r => setTimeout(r, FILL_FIELD_DELAY_MS));
-        continue;
-      }
+/** 当前预览：{ siteId, overlays: [{ element, box }] }，无预览时为 null */
+let activePreview = null;
 
-      // Set value based on element type（含自定义下拉 Categories/Tags/Pricing；同一逻辑控件只填一次）
-      if (element.tagName === 'SELECT') {
-        fillSelectElement(element, value, siteData, mapping.standardField);
-        filledCount++;
-        if (['category', 'pricing', 'tags'].includes(mapping.standardField)) filledOnceByField.add(mapping.standardField);
-      } else if ((mapping.standardField === 'category' || mapping.standardField === 'tags' || mapping.standardField === 'pricing') && element.tagName !== 'SELECT') {
-        const filled = await fillCustomSelect(element, value, siteData, mapping.standardField);
-        if (filled) {
-          filledCount++;
-          filledOnceByField.add(mapping.standardField);
-        }
-      } else if (element.tagName === 'TEXTAREA' || element.type === 'text' || element.type === 'url' || element.type === 'email') {
-        fillInputElement(element, value);
-        filledCount++;
-      } else {
-        // Try to set value for other types
-        element.value = value;
-        element.dispatchEvent(new Event('input', { bubbles: true }));
-        element.dispatchEvent(new Event('change', { bubbles: true }));
-        filledCount++;
-      }
+/**
+ * 预览填充（不写入任何值）：在每个映射元素上框出并标注标准字段与将要填入的值，
+ * 同时标出未映射的字段和将留空的必填项。用户可右键绑定/解除绑定调整，预览随之刷新，确认后再填充。
+ * @returns {{ items: Array, unmapped: Array, requiredEmpty: string[] }}
+ */
+async function previewFill(siteId) {
+  const siteData = await getSiteDataForPage(siteId);
+  if (!siteData) {
+    throw new Error('Site not found or no site selected');
+  }
+  if (!pageState.fieldMappings) {
+    const result = await recognizeForm(false);
+    if (result.status !== 'success') {
+      throw new Error('Failed to recognize form: ' + (result.message || result.error));
+    }
+  }
 
-      console.log(`${TAG} Filled ${mapping.standardField}:`, value);
-    } catch (error) {
-      errors.push(`Failed to fill ${mapping.standardField}: ${error.message}`);
+  clearFillPreview();
+  activePreview = { siteId: siteId || siteData.id, overlays: [] };
+
+  const mappedElements = new Set();
+  const items = [];
+  for (const mapping of pageState.fieldMappings) {
+    const label = FIELD_LABELS[mapping.standardField] || mapping.standardField;
+    const element = resolveMappingElement(mapping);
+    if (!element) {
+      items.push({ standardField: mapping.standardField, label, status: 'missing', required: false });
+      continue;
     }
-    // 时间隔离：同一时间只填充一个字段，避免下拉/编辑器等未就绪导致错乱
-    await new Promise(r => setTimeout(r, FILL_FIELD_DELAY_MS));
+    // 同一控件的多条映射（如 66 个分类 checkbox）只标一次，与 fillForm 只填一次一致
+    if (mappedElements.has(element)) continue;
+    mappedElements.add(element);
+
+    const value = getSiteFieldValueForFill(element, mapping.standardField, siteData);
+    const required = isRequiredElement(element);
+    const status = value === undefined ? 'empty' : 'ok';
+    const valueText = describePreviewValue(value);
+    items.push({ standardField: mapping.standardField, label, status, required, value: valueText });
+    drawPreviewOverlay(element, status === 'ok' ? `${label}：${valueText}` : `${label}：站点无内容`,
+      status === 'ok' ? 'ok' : (required ? 'missing' : 'empty'));
   }
 
-  // Check for CAPTCHA
-  const hasCaptcha = checkForCaptcha();
+  const unmapped = [];
+  getFormMetadata().fields.forEach(field => {
+    const element = findElementByLocator(field.locator);
+    if (!element || !isElementVisible(element)) return;
+    if ([...mappedElements].some(el => el === element || el.contains(element))) return;
+    const label = field.label || field.placeholder || field.name || field.locatorDesc;
+    const required = field.required || isRequiredElement(element);
+    unmapped.push({ label, required });
+    drawPreviewOverlay(element, required ? `未映射（必填）：${label}` : `未映射：${label}`, required ? 'missing' : 'unmapped');
+  });
 
-  // Record submission
-  await recordSubmission(siteId, window.location.hostname, filledCount, errors);
+  const requiredEmpty = [
+    ...items.filter(it => it.required && it.status !== 'ok').map(it => it.label),
+    ...unmapped.filter(f => f.required).map(f => f.label)
+  ];
+  const submit = findSubmitButton();
+  if (submit) drawPreviewOverlay(submit.element, `提交按钮：${submit.text}`, 'unmapped');
+  showPreviewBar(items, unmapped, requiredEmpty);
+  console.log(`${TAG} [预览] 将填充 ${items.filter(it => it.status === 'ok').length} 个字段，未映射 ${unmapped.length} 个，必填留空 ${requiredEmpty.length} 个`);
+  return { items, unmapped, requiredEmpty, submitButton: submit?.text || null };
+}
 
-  return {
-    filledCount,
-    totalFields: pageState.fieldMappings.length,
-    errors,
-    hasCaptcha
-  };
+/**
+ * 绑定/解除绑定后刷新正在显示的预览
+ */
+function refreshFillPreview() {
+  if (!activePreview) return;
+  previewFill(activePreview.siteId).catch(error => console.warn(`${TAG} [预览] 刷新失败: ${error.message}`));
 }
 
 /**
- * 从右键事件目标解析出「可填充」的输入元素（input/textarea/contenteditable 或常见富文本编辑器）
- * 兼容 TipTap、Quill、ProseMirror、CodeMirror 等，确保「Description」等字段能被识别
+ * 移除预览标记与操作栏
  */
-function getEditableElementFromTarget(target) {
-  if (!target || !target.nodeType || target.nodeType !== Node.ELEMENT_NODE) return null;
-  const el = target;
-  if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') {
-    return el;
-  }
-  if (el.getAttribute?.('contenteditable') === 'true' || el.getAttribute?.('contenteditable') === '') {
-    return el;
-  }
-  if (el.classList?.contains?.('ProseMirror') || el.classList?.contains?.('tiptap') || el.classList?.contains?.('ql-editor')) {
-    return el;
-  }
-  const editable = el.closest?.('[contenteditable="true"], [contenteditable=""], .ProseMirror, .tiptap, .ql-editor, .CodeMirror');
-  if (editable) {
-    return editable;
-  }
-  const codeMirror = el.closest?.('.CodeMirror');
-  if (codeMirror) return codeMirror;
-  if (el.getAttribute?.('role') === 'textbox') return el;
-  const roleTextbox = el.closest?.('[role="textbox"]');
-  if (roleTextbox) return roleTextbox;
-  return null;
+function clearFillPreview() {
+  if (!activePreview) return;
+  activePreview.overlays.forEach(({ box }) => box.remove());
+  document.getElementById('nav-submitter-preview-bar')?.remove();
+  window.removeEventListener('scroll', positionPreviewOverlays, true);
+  window.removeEventListener('resize', positionPreviewOverlays);
+  activePreview = null;
 }
 
 /**
- * 右键菜单「填充单个字段」：只做一件事 —— 用当前站点（popup 已选）的该字段值，填到右键所在的输入框。
- * 点哪个字段就填哪个字段的 value，无其它逻辑。
+ * 字段是否必填：required / aria-required，或 label 带 * / required
  */
-async function fillSingleField(standardField) {
-  const el = lastContextMenuTarget;
-  lastContextMenuTarget = null;
+function isRequiredElement(element) {
+  if (element.required || element.getAttribute?.('aria-required') === 'true') return true;
+  const label = getFieldLabel(element) || '';
+  return /\*\s*$|\brequired\b|必填/i.test(label);
+}
 
-  if (!el || !document.contains(el)) {
-    throw new Error('请在要填充的输入框内右键，再选择字段');
-  }
+/**
+ * 预览里展示的值：图片显示为「图片文件」，长文本截断
+ */
+function describePreviewValue(value) {
+  if (value === undefined) return '';
+  const str = String(value);
+  if (str.startsWith('data:')) return '（图片文件）';
+  return str.length > 60 ? str.slice(0, 60) + '…' : str;
+}
 
-  const siteData = await getSiteData(null);
-  if (!siteData) {
-    throw new Error('请先在 popup 中选择当前站点');
+/**
+ * 在元素所在文档里画一个框和角标（不拦截鼠标，右键绑定照常可用）
+ */
+function drawPreviewOverlay(element, text, kind) {
+  const doc = element.ownerDocument;
+  const box = doc.createElement('div');
+  box.setAttribute(PREVIEW_ATTR, kind);
+  box.style.cssText = 'position:absolute;pointer-events:none;z-index:2147483646;box-sizing:border-box;' +
+    `border:2px ${kind === 'unmapped' ? 'dashed' : 'solid'} ${PREVIEW_COLORS[kind]};border-radius:4px;`;
+  const badge = doc.createElement('div');
+  badge.textContent = text;
+  badge.style.cssText = 'position:absolute;left:-2px;bottom:100%;max-width:360px;padding:1px 6px;white-space:nowrap;' +
+    'overflow:hidden;text-overflow:ellipsis;border-radius:3px 3px 0 0;color:#fff;' +
+    `background:${PREVIEW_COLORS[kind]};font:11px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;`;
+  box.appendChild(badge);
+  doc.body.appendChild(box);
+
+  if (activePreview.overlays.length === 0) {
+    window.addEventListener('scroll', positionPreviewOverlays, true);
+    window.addEventListener('resize', positionPreviewOverlays);
   }
+  activePreview.overlays.push({ element, box });
+  positionPreviewOverlay(element, box);
+}
 
-  const value = getSiteFieldValueForFill(el, standardField, siteData);
-  if (value === undefined) {
-    throw new Error(`当前站点的「${standardField}」无内容可填`);
-  }
+function positionPreviewOverlay(element, box) {
+  const rect = element.getBoundingClientRect();
+  const win = element.ownerDocument.defaultView;
+  box.style.display = element.isConnected && (rect.width || rect.height) ? '' : 'none';
+  box.style.left = `${rect.left + win.scrollX - 2}px`;
+  box.style.top = `${rect.top + win.scrollY - 2}px`;
+  box.style.width = `${rect.width + 4}px`;
+  box.style.height = `${rect.height + 4}px`;
+}
 
-  fillOneElement(el, standardField, value, siteData);
-  const preview = typeof value === 'string' ? value.slice(0, 60) + (value.length > 60 ? '…' : '') : value;
-  console.log(`${TAG} [右键] 已填充 ${standardField}，取值:`, preview);
-  return { filledCount: 1, errors: [] };
+function positionPreviewOverlays() {
+  activePreview?.overlays.forEach(({ element, box }) => positionPreviewOverlay(element, box));
+}
+
+/**
+ * 预览操作栏：汇总 + 确认填充 / 刷新 / 关闭
+ */
+function showPreviewBar(items, unmapped, requiredEmpty) {
+  const bar = document.createElement('div');
+  bar.id = 'nav-submitter-preview-bar';
+  bar.style.cssText = 'position:fixed;right:16px;top:16px;z-index:2147483647;padding:10px 14px;max-width:340px;' +
+    'border-radius:6px;background:#fff;color:#1f2937;box-shadow:0 2px 12px rgba(0,0,0,.2);' +
+    'font:13px/1.6 -apple-system,BlinkMacSystemFont,"Segoe UI",sans-serif;';
+
+  const okCount = items.filter(it => it.status === 'ok').length;
+  const lines = [`外链提交助手 · 填充预览：将填充 ${okCount} 个字段`];
+  const emptyCount = items.filter(it => it.status === 'empty').length;
+  if (emptyCount) lines.push(`${emptyCount} 个字段站点资料为空`);
+  const missing = items.filter(it => it.status === 'missing');
+  if (missing.length) lines.push(`找不到元素：${missing.map(it => it.label).join('、')}`);
+  if (unmapped.length) lines.push(`${unmapped.length} 个字段未映射（右键「绑定为字段」可补上）`);
+  if (requiredEmpty.length) lines.push(`必填但不会填写：${requiredEmpty.join('、')}`);
+  lines.forEach((line, i) => {
+    const p = document.createElement('div');
+    p.textContent = line;
+    if (i === 0) p.style.fontWeight = '600';
+    else if (line.startsWith('必填') || line.startsWith('找不到')) p.style.color = PREVIEW_COLORS.missing;
+    bar.appendChild(p);
+  });
+
+  const siteId = activePreview.siteId;
+  const actions = [
+    {
+      label: '确认填充',
+      onClick: () => fillFormSteps(siteId)
+        .then(result => showUndoFillToast(`已填充 ${result.filledCount} 个字段${describeAutoSubmit(result.autoSubmit)}`))
+        .catch(error => showPageToast('填充失败: ' + error.message, 'error'))
+    },
+    { label: '刷新', onClick: () => refreshFillPreview() },
+    { label: '关闭', onClick: () => clearFillPreview() }
+  ];
+  const row = document.createElement('div');
+  row.style.marginTop = '8px';
+  actions.forEach(({ label, onClick }, i) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = 'margin-right:8px;padding:2px 10px;border-radius:4px;font:inherit;cursor:pointer;' +
+      (i === 0 ? `border:1px solid ${PREVIEW_COLORS.ok};background:${PREVIEW_COLORS.ok};color:#fff;` : 'border:1px solid #d1d5db;background:#fff;color:inherit;');
+    button.addEventListener('click', onClick);
+    row.appendChild(button);
+  });
+  bar.appendChild(row);
+  document.body.appendChild(bar);
 }
 
 /** 从当前站点取该字段的填充值（仅此一处决定填什么内容） */
@@ -1031,9 +2896,65 @@ function getSiteFieldValueForFill(element, standardField, siteData) {
   let v = siteData[standardField];
   if (v == null || (typeof v === 'string' && !v.trim())) return undefined;
   if (standardField === 'siteUrl') v = getUrlValueForInput(element, v);
+  if (LENGTH_AWARE_FIELDS.includes(standardField)) v = fitTextToField(element, standardField, v, siteData).value;
   return v;
 }
 
+/** 有长度限制时可互相替换的文案字段，由短到长 */
+const LENGTH_AWARE_FIELDS = ['tagline', 'shortDescription', 'longDescription'];
+
+/**
+ * 在 maxLength 内截断：优先句末（。！？. ! ?，且至少保留一半），其次词边界，没有空格（如中文）时硬截断
+ */
+function truncateAtBoundary(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const minKeep = maxLength * 0.5;
+  let sentenceEnd = -1;
+  for (const m of text.matchAll(/[。！？]|[.!?](?=\s|$)/g)) {
+    if (m.index + 1 > maxLength) break;
+    sentenceEnd = m.index + 1;
+  }
+  if (sentenceEnd >= minKeep) return text.slice(0, sentenceEnd).trim();
+  const wordEnd = text.slice(0, maxLength + 1).search(/\s\S*$/);
+  if (wordEnd > 0) return text.slice(0, wordEnd).replace(/[\s,;:，；：、-]+$/, '');
+  return text.slice(0, maxLength);
+}
+
+/**
+ * 让文案符合字段长度限制：本字段文案合适就用；否则换用长度合适的标语 / 简短描述 / 详细描述（取最长的一个）；
+ * 都不合适时在句子边界截断
+ * @returns {{ value: string, adjustment: Object|null }} adjustment 供 popup 提示：{ standardField, via, originalLength, length, maxLength, minLength }
+ */
+function fitTextToField(element, standardField, value, siteData) {
+  const text = String(value);
+  if (!LENGTH_AWARE_FIELDS.includes(standardField)) return { value: text, adjustment: null };
+  const { maxLength, minLength } = getFieldLengthLimits(element);
+  const fits = t => (!maxLength || t.length <= maxLength) && (!minLength || t.length >= minLength);
+  if (fits(text)) return { value: text, adjustment: null };
+
+  const adjust = (fitted, via) => ({
+    value: fitted,
+    adjustment: { standardField, via, originalLength: text.length, length: fitted.length, maxLength, minLength }
+  });
+  const others = LENGTH_AWARE_FIELDS
+    .filter(field => field !== standardField && typeof siteData[field] === 'string' && siteData[field].trim())
+    .map(field => ({ field, text: siteData[field].trim() }));
+  const fitting = others.filter(c => fits(c.text));
+  if (fitting.length) {
+    const best = fitting.reduce((a, b) => (b.text.length > a.text.length ? b : a));
+    return adjust(best.text, best.field);
+  }
+
+  // 截断：优先本字段文案，它不够最少字数时改截更长的文案
+  if (maxLength) {
+    const source = [{ field: standardField, text }, ...others.sort((a, b) => a.text.length - b.text.length)]
+      .find(c => !minLength || c.text.length >= minLength);
+    const truncated = source && truncateAtBoundary(source.text, maxLength);
+    if (truncated && fits(truncated)) return adjust(truncated, source.field === standardField ? 'truncate' : `truncate:${source.field}`);
+  }
+  return { value: text, adjustment: null };
+}
+
 /** 把 value 写入一个元素（仅负责写入，不负责取值） */
 function fillOneElement(element, standardField, value, siteData) {
   if (standardField === 'logo' && element.type === 'file') {
@@ -2036,43 +3957,316 @@ async function getSiteData(siteId) {
   });
 }
 
+/** 站点档案里可按语言覆盖的文案字段（site.variants[lang]） */
+const PROFILE_VARIANT_FIELDS = ['siteName', 'tagline', 'shortDescription', 'longDescription'];
+
 /**
- * Record submission in storage
+ * 语言代码归一：zh-CN / zh_TW → zh，en-US → en
  */
-async function recordSubmission(siteId, domain, filledCount, errors) {
-  return new Promise((resolve) => {
-    chrome.storage.local.get(['submissionRecords'], (result) => {
-      const records = result.submissionRecords || {};
-      const key = `${siteId}_${domain}`;
-
-      records[key] = {
-        siteId,
-        domain,
-        submittedAt: new Date().toISOString(),
-        status: errors.length === 0 ? 'success' : 'partial',
-        filledCount,
-        errorCount: errors.length,
-        errors
-      };
+function normalizeLanguageCode(code) {
+  return String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+}
 
-      chrome.storage.local.set({ submissionRecords: records }, () => {
-        resolve();
-      });
+/**
+ * 按表单 label / placeholder 的文字判断语言：有假名为 ja、有谚文为 ko、有汉字为 zh；
+ * 只有拉丁字母时返回 'latin'（可能是任一西文），文字太少返回 ''
+ */
+function detectFormTextLanguage() {
+  const texts = [];
+  collectFormScopes().forEach(({ root }) => {
+    root.querySelectorAll('label, legend').forEach(el => texts.push(el.textContent || ''));
+    root.querySelectorAll('input[placeholder], textarea[placeholder]').forEach(el => texts.push(el.placeholder));
+  });
+  const text = texts.join(' ');
+  const count = re => (text.match(re) || []).length;
+  if (count(/[\u3040-\u30ff]/g) >= 2) return 'ja';
+  if (count(/[\uac00-\ud7af]/g) >= 2) return 'ko';
+  if (count(/[\u4e00-\u9fff]/g) >= 2) return 'zh';
+  return count(/[a-z]/gi) >= 10 ? 'latin' : '';
+}
+
+/**
+ * 本页对应的导航站（由 background 按地址 / 批量任务匹配），没有时为 null
+ */
+async function getNavSiteForPage() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getNavSiteForPage', url: getRootFrameWindow().location.href });
+    return response?.success ? response.result : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * 本页填充用的文案语言：导航站上设置的语言 > 表单文字为中日韩 > <html lang> > 表单文字为西文时用 en
+ * @returns {Promise<{ language: string, source: string }>}
+ */
+async function resolveFillLanguage() {
+  const navSite = await getNavSiteForPage();
+  if (navSite?.language && !['multi', 'other'].includes(navSite.language)) {
+    return { language: navSite.language, source: `导航站「${navSite.name}」设置` };
+  }
+  const textLanguage = detectFormTextLanguage();
+  if (textLanguage && textLanguage !== 'latin') return { language: textLanguage, source: '表单文字' };
+  let htmlLang = '';
+  try {
+    htmlLang = normalizeLanguageCode(getRootFrameWindow().document.documentElement.lang);
+  } catch (_) {}
+  if (htmlLang) return { language: htmlLang, source: '<html lang>' };
+  if (textLanguage === 'latin') return { language: 'en', source: '表单文字' };
+  return { language: '', source: '' };
+}
+
+/**
+ * 用 site.variants[language] 中填写了的字段覆盖默认文案；
+ * 本页语言就是默认文案的语言时只标记 fillLanguage，没有该语言版本时原样返回
+ */
+function applyProfileVariant(site, language) {
+  const variant = language && site.variants?.[language];
+  if (!variant) return language && language === site.language ? { ...site, fillLanguage: language } : site;
+  const localized = { ...site, fillLanguage: language };
+  PROFILE_VARIANT_FIELDS.forEach(field => {
+    if (variant[field]) localized[field] = variant[field];
+  });
+  return localized;
+}
+
+/**
+ * 填充 / 预览用的站点数据：档案有多语言版本时按本页语言选用
+ */
+async function getSiteDataForPage(siteId) {
+  const site = await getSiteData(siteId);
+  if (!site?.variants || Object.keys(site.variants).length === 0) return site;
+  const { language, source } = await resolveFillLanguage();
+  const localized = applyProfileVariant(site, language);
+  if (localized !== site) console.log(`${TAG} 使用 ${language} 文案（依据: ${source}）`);
+  return localized;
+}
+
+/**
+ * 记录本次填充：交给 background 按当前页匹配导航站，写入 `${siteId}_${navSiteId}` 的提交历史
+ */
+async function recordSubmission(siteId, filledCount, errors, hasCaptcha) {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'recordFill',
+      siteId,
+      url: getRootFrameWindow().location.href,
+      filledCount,
+      errors,
+      hasCaptcha
+    });
+  } catch (error) {
+    console.warn(`${TAG} 记录提交失败: ${error.message}`);
+  }
+}
+
+/** 提交后在本页等待结果提示的最长时间（整页跳转的情况由 background 接手） */
+const SUBMIT_OUTCOME_TIMEOUT_MS = 15000;
+
+/** DOM 停止变化多久后检查一次结果 */
+const SUBMIT_OUTCOME_SETTLE_MS = 300;
+
+/** 「已收到、待审核」类提示 */
+const SUBMIT_PENDING_PATTERNS = [/under review/i, /pending (?:review|approval|moderation)/i, /will be (?:reviewed|approved|published)/i, /awaiting (?:review|approval)/i, /审核/, /待审/];
+
+/** 提交成功类提示 */
+const SUBMIT_SUCCESS_PATTERNS = [/thank(?:s| you)/i, /success(?:fully)?/i, /submitted/i, /received/i, /提交成功/, /感谢/, /已收到/, /成功/];
+
+/** 提交失败 / 校验不通过类提示 */
+const SUBMIT_FAILURE_PATTERNS = [/error/i, /fail(?:ed|ure)?/i, /invalid/i, /unsuccessful/i, /required/i, /already (?:exists|submitted|listed|taken)/i, /try again/i, /失败/, /错误/, /必填/, /已存在/, /不能为空/];
+
+/** 可能承载提交结果的页面元素：提示条、toast、错误/成功样式、标题 */
+const SUBMIT_MESSAGE_SELECTOR = '[role="alert"], [role="status"], [aria-live], [class*="toast"], [class*="alert"], [class*="notice"], ' +
+  '[class*="message"], [class*="success"], [class*="error"], [class*="invalid"], .invalid-feedback, .help-block, h1, h2, h3';
+
+/** 最近一次填充：{ siteId, elements }，用户提交含这些元素的表单时更新提交记录 */
+let lastFill = null;
+
+/** 已在等待本次提交的结果时为 true，避免 submit 与点击重复触发 */
+let watchingSubmission = false;
+
+/**
+ * 页面上当前可见的提示文字（去重、截短）
+ */
+function collectPageMessages() {
+  const texts = new Set();
+  collectFormScopes().forEach(({ root }) => {
+    root.querySelectorAll(SUBMIT_MESSAGE_SELECTOR).forEach(el => {
+      if (!isElementVisible(el)) return;
+      const text = (el.textContent || '').replace(/\s+/g, ' ').trim();
+      if (text.length >= 2 && text.length <= 300) texts.add(text);
+    });
+  });
+  return Array.from(texts);
+}
+
+/**
+ * 表单校验不通过的字段：原生约束（required / pattern 等）与 aria-invalid，附带页面给出的说明
+ */
+function collectValidationMessages() {
+  const messages = [];
+  collectFormScopes().forEach(({ root }) => {
+    root.querySelectorAll('input, textarea, select, [aria-invalid="true"]').forEach(el => {
+      if (!isElementVisible(el)) return;
+      const label = getFieldLabel(el) || el.name || el.placeholder || '';
+      if (el.validity && !el.validity.valid && el.validationMessage) {
+        messages.push(label ? `${label}: ${el.validationMessage}` : el.validationMessage);
+      } else if (el.getAttribute('aria-invalid') === 'true') {
+        const describedBy = (el.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean)
+          .map(id => el.getRootNode().getElementById?.(id)?.textContent.trim())
+          .filter(Boolean)
+          .join(' ');
+        messages.push(label ? `${label}: ${describedBy || '格式不正确'}` : (describedBy || '格式不正确'));
+      }
+    });
+  });
+  return [...new Set(messages)].slice(0, 8);
+}
+
+/**
+ * 根据页面提示判断提交结果
+ * @param {Set<string>|null} baseline - 提交前已有的提示文字（只看新出现的）；null 表示提交后跳转到的新页面，此时不看表单校验
+ * @returns {{ status: 'submitted'|'failed'|'pending', messages: string[], signal: string }|null}
+ */
+function detectSubmissionOutcome(baseline) {
+  if (baseline) {
+    const invalid = collectValidationMessages();
+    if (invalid.length) return { status: 'failed', messages: invalid, signal: 'validation' };
+  }
+  const texts = collectPageMessages().filter(t => !baseline?.has(t));
+  const matching = (patterns) => texts.filter(t => patterns.some(re => re.test(t))).slice(0, 5);
+
+  const pending = matching(SUBMIT_PENDING_PATTERNS);
+  if (pending.length) return { status: 'pending', messages: pending, signal: 'text' };
+  const failed = matching(SUBMIT_FAILURE_PATTERNS);
+  if (failed.length) return { status: 'failed', messages: failed, signal: 'text' };
+  const success = matching(SUBMIT_SUCCESS_PATTERNS);
+  if (success.length) return { status: 'submitted', messages: success, signal: 'text' };
+  return null;
+}
+
+/**
+ * 提交后监听本页变化，直到出现结果提示、URL 变化（SPA 跳转）或超时
+ * @returns {Promise<object|null>}
+ */
+function watchSubmissionOutcome(startUrl, baseline) {
+  return new Promise((resolve) => {
+    let settleTimer = null;
+    const check = () => {
+      const outcome = detectSubmissionOutcome(baseline);
+      if (outcome) finish(outcome);
+      else if (window.location.href !== startUrl) finish({ status: 'submitted', messages: [], signal: 'url' });
+    };
+    const finish = (outcome) => {
+      observer.disconnect();
+      clearTimeout(settleTimer);
+      clearTimeout(timeoutTimer);
+      resolve(outcome);
+    };
+    const observer = new MutationObserver(() => {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(check, SUBMIT_OUTCOME_SETTLE_MS);
     });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: ['class', 'style', 'hidden', 'aria-invalid'] });
+    settleTimer = setTimeout(check, SUBMIT_OUTCOME_SETTLE_MS);
+    const timeoutTimer = setTimeout(() => finish(null), SUBMIT_OUTCOME_TIMEOUT_MS);
+  });
+}
+
+/**
+ * 用户（或自动提交）提交了刚填充过的表单：通知 background 记录本次提交并监听请求 / 跳转，
+ * 同时在本页等待结果提示
+ */
+function onSubmitAttempt(form, button) {
+  if (!lastFill || watchingSubmission || wizardNavigating) return;
+  // 多步表单的「下一步」不算提交
+  if (button && isWizardNextText(button)) return;
+  const related = form
+    ? lastFill.elements.some(el => form.contains(el))
+    : button === findSubmitButton()?.element;
+  if (!related) return;
+
+  watchingSubmission = true;
+  const startUrl = window.location.href;
+  const baseline = new Set(collectPageMessages());
+  chrome.runtime.sendMessage({
+    action: 'submissionStarted',
+    siteId: lastFill.siteId,
+    url: startUrl,
+    formAction: form?.action || null,
+    clickedAt: Date.now()
+  }).catch(() => {});
+  console.log(`${TAG} [提交] 已提交表单，等待结果…`);
+
+  watchSubmissionOutcome(startUrl, baseline).then(outcome => {
+    watchingSubmission = false;
+    chrome.runtime.sendMessage({ action: 'submissionOutcome', outcome }).catch(() => {});
   });
 }
 
+/**
+ * 页面提示提交结果
+ */
+function showSubmissionOutcomeToast(outcome) {
+  if (!outcome) return;
+  const detail = outcome.messages?.length ? `：${outcome.messages.slice(0, 2).join('；')}` : '';
+  if (outcome.status === 'failed') showPageToast(`提交未通过${detail}`, 'error');
+  else if (outcome.status === 'pending') showPageToast('已提交，等待审核', 'success');
+  else showPageToast('已提交', 'success');
+}
+
+if (!HANDLED_BY_PARENT_FRAME) {
+  document.addEventListener('submit', (e) => onSubmitAttempt(e.target, e.submitter || null), true);
+  // 原生校验不通过时不会触发 submit，点击提交按钮时也开始监听
+  document.addEventListener('click', (e) => {
+    if (!lastFill) return;
+    const target = e.composedPath?.()[0] || e.target;
+    const button = target?.closest?.('button, input[type="submit"], input[type="image"], [role="button"]');
+    if (!button) return;
+    const type = (button.getAttribute('type') || '').toLowerCase();
+    const form = button.form || button.closest('form');
+    if (form && (type === 'submit' || type === 'image' || (button.tagName === 'BUTTON' && !type))) {
+      onSubmitAttempt(form, button);
+    } else if (button === findSubmitButton()?.element) {
+      onSubmitAttempt(null, button);
+    }
+  }, true);
+}
+
+// 选项页编辑 / 删除本页映射后同步到内存，避免继续用旧映射填充
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.fieldMappings || !pageState.fieldMappings) return;
+  const data = changes.fieldMappings.newValue?.[getCacheKey()];
+  const array = Array.isArray(data) ? data : (data?.mappings || null);
+  pageState.fieldMappings = array && array.length > 0 ? array : null;
+});
+
 // Auto-detect form on page load
 console.log(`${TAG} Content script loaded on ${window.location.hostname}`);
 
-// Notify popup that page is ready
-chrome.runtime.sendMessage({
-  action: 'pageReady',
-  url: window.location.href,
-  domain: window.location.hostname
-}).catch(() => {
-  // Popup might not be open, that's fine
-});
+// 同源子 frame 由根 frame 统一处理，不单独检查 / 通知
+if (!HANDLED_BY_PARENT_FRAME) {
+  // 页面加载时检查本页缓存映射是否已过期（网站改版）；开启自动重新识别时直接重识别
+  refreshMappingStaleness()
+    .then(async (staleness) => {
+      if (staleness && await isAutoRerecognizeEnabled()) {
+        await rerecognizeForm(false);
+      }
+    })
+    .catch(() => {});
+
+  // Notify background that page is ready；已登记导航站的提交页会收到自动填充设置
+  chrome.runtime.sendMessage({
+    action: 'pageReady',
+    url: window.location.href,
+    domain: window.location.hostname
+  }).then(response => {
+    if (response?.success) return handleAutoFillOnLoad(response.result);
+  }).catch(() => {
+    // Background 未就绪时忽略
+  });
+}
 
 // Listen for page changes (SPA navigation)
 let lastUrl = window.location.href;
@@ -2086,8 +4280,17 @@ new MutationObserver(() => {
       fieldMappings: null,
       domain: window.location.hostname,
       recognitionStatus: 'idle',
-      recognitionMethod: null
+      recognitionMethod: null,
+      mappingStale: null,
+      wizardStep: 1,
+      wizardIndicated: false,
+      wizard: null,
+      canUndo: false
     };
+    lastFillSnapshot = null;
+    if (!watchingSubmission) lastFill = null;
+    clearFillPreview();
+    cancelAutoSubmit();
     console.log(`${TAG} Page navigation detected`);
   }
 }).observe(document.body, { childList: true, subtree: true });
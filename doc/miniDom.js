@@ -0,0 +1,163 @@
+/**
+ * 自测用的最小 HTML → DOM：只实现 lib 在 offscreen 文档里用到的那部分接口
+ * （querySelectorAll('tag') / querySelectorAll('tag[attr]')、getAttribute、textContent、childNodes、
+ * document.head / body / title），够解析 doc/fixtures 下的样例，不是通用的 HTML 解析器
+ */
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/** 内容按原文保留、不解析标签的元素 */
+const RAW_TEXT_TAGS = ['script', 'style', 'title', 'textarea'];
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+class TextNode {
+  constructor(value) {
+    this.nodeType = 3;
+    this.nodeName = '#text';
+    this.nodeValue = value;
+  }
+
+  get textContent() {
+    return this.nodeValue;
+  }
+}
+
+class ElementNode {
+  constructor(localName, attributes = {}) {
+    this.nodeType = 1;
+    this.localName = localName;
+    this.nodeName = localName.toUpperCase();
+    this.attributes = attributes;
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  appendChild(node) {
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  getAttribute(name) {
+    const key = name.toLowerCase();
+    return key in this.attributes ? this.attributes[key] : null;
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  /** 后代元素，按文档顺序 */
+  descendants() {
+    return this.childNodes.flatMap(node => (node.nodeType === 1 ? [node, ...node.descendants()] : []));
+  }
+
+  querySelectorAll(selector) {
+    const match = /^([a-z][a-z0-9-]*)(?:\[([a-z-]+)\])?$/i.exec(selector.trim());
+    if (!match) throw new Error(`miniDom 不支持的选择器: ${selector}`);
+    const [, tag, attribute] = match;
+    return this.descendants().filter(el => el.localName === tag.toLowerCase() && (!attribute || el.getAttribute(attribute) !== null));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+class DocumentNode extends ElementNode {
+  constructor() {
+    super('#document');
+    this.nodeType = 9;
+  }
+
+  get documentElement() {
+    return this.childNodes.find(node => node.nodeType === 1) || null;
+  }
+
+  get head() {
+    return this.querySelector('head');
+  }
+
+  get body() {
+    return this.querySelector('body');
+  }
+
+  /** 同浏览器：第一个不在 <svg> 里的 <title> */
+  get title() {
+    const title = this.querySelectorAll('title').find(el => {
+      for (let node = el.parentNode; node; node = node.parentNode) {
+        if (node.localName === 'svg') return false;
+      }
+      return true;
+    });
+    return title ? title.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const re = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = re.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+  }
+  return attributes;
+}
+
+/**
+ * 解析 HTML 文本
+ * @param {string} html
+ * @returns {DocumentNode}
+ */
+function parseHtml(html) {
+  const doc = new DocumentNode();
+  const stack = [doc];
+  const current = () => stack[stack.length - 1];
+  const tokenRe = /<!--[\s\S]*?-->|<![^>]*>|<\/([a-z][a-z0-9-]*)\s*>|<([a-z][a-z0-9-]*)([^>]*?)(\/?)>/gi;
+  let index = 0;
+  let match;
+
+  const addText = text => {
+    if (text) current().appendChild(new TextNode(decodeEntities(text)));
+  };
+
+  while ((match = tokenRe.exec(html))) {
+    addText(html.slice(index, match.index));
+    index = tokenRe.lastIndex;
+    const [, endTag, startTag, attributes, selfClosing] = match;
+
+    if (endTag) {
+      const position = stack.map(node => node.localName).lastIndexOf(endTag.toLowerCase());
+      if (position > 0) stack.length = position;
+    } else if (startTag) {
+      const el = current().appendChild(new ElementNode(startTag.toLowerCase(), parseAttributes(attributes)));
+      if (RAW_TEXT_TAGS.includes(el.localName)) {
+        const close = new RegExp(`</${el.localName}\\s*>`, 'ig');
+        close.lastIndex = index;
+        const end = close.exec(html);
+        const text = html.slice(index, end ? end.index : html.length);
+        if (text) el.appendChild(new TextNode(el.localName === 'script' || el.localName === 'style' ? text : decodeEntities(text)));
+        index = end ? close.lastIndex : html.length;
+        tokenRe.lastIndex = index;
+      } else if (!selfClosing && !VOID_TAGS.includes(el.localName)) {
+        stack.push(el);
+      }
+    }
+  }
+  addText(html.slice(index));
+  return doc;
+}
+
+module.exports = { parseHtml };
@@ -0,0 +1,57 @@
+/**
+ * 导航站筛选与排序自测（lib/navSiteFilters.js）
+ * 运行方式: node doc/test-nav-site-filters.js
+ */
+
+const { test, assertEqual, importLib, printHeader, printSummary } = require('./testHarness');
+
+const NAV_SITES = [
+  { name: 'Fazier', submitUrl: 'https://fazier.com/submit', category: 'AI', pricingType: 'free', linkType: 'dofollow', language: 'en', dr: 55, traffic: 120000, reviewDays: 3, createdAt: '2026-03-01' },
+  { name: 'Toolfame', submitUrl: 'https://toolfame.com/', category: 'AI', pricingType: 'paid', linkType: 'nofollow', language: 'en', dr: 40, requiresLogin: true, backlinkRequired: true, createdAt: '2026-05-10' },
+  { name: '快导航', submitUrl: 'https://kuaidh.cn/tijiao', category: '工具', pricingType: 'free', language: 'zh', traffic: 8000, reviewDays: 7, notes: '需要友链', createdAt: '2026-01-20' },
+  { name: 'Uneed', submitUrl: 'https://uneed.best/submit', pricingType: 'free', linkType: 'dofollow', language: 'en', dr: '62', traffic: '', reviewDays: 1 }
+];
+
+const names = list => list.map(ns => ns.name);
+
+(async () => {
+  const { matchesNavSiteFilters, sortNavSites, queryNavSites } = await importLib('navSiteFilters.js');
+
+  printHeader('导航站筛选与排序自测');
+
+  test('筛选：空条件全部通过，搜索匹配名称 / 网址 / 分类 / 备注（不区分大小写）', () => {
+    assertEqual(NAV_SITES.every(ns => matchesNavSiteFilters(ns, {})), true, '空条件');
+    assertEqual(names(queryNavSites(NAV_SITES, { search: 'SUBMIT' })), ['Fazier', 'Uneed'], '网址');
+    assertEqual(names(queryNavSites(NAV_SITES, { search: '友链' })), ['快导航'], '备注');
+  });
+
+  test('筛选：各条件同时满足，是否类条件区分 yes / no，最低 DR 排除没填 DR 的', () => {
+    assertEqual(names(queryNavSites(NAV_SITES, { category: 'AI', pricingType: 'free' })), ['Fazier'], '分类 + 收费');
+    assertEqual(names(queryNavSites(NAV_SITES, { linkType: 'dofollow', language: 'en' })), ['Fazier', 'Uneed'], '链接类型 + 语言');
+    assertEqual(names(queryNavSites(NAV_SITES, { requiresLogin: 'yes' })), ['Toolfame'], '需要登录');
+    assertEqual(names(queryNavSites(NAV_SITES, { backlinkRequired: 'no' })), ['Fazier', '快导航', 'Uneed'], '不需要反链');
+    assertEqual(names(queryNavSites(NAV_SITES, { minDr: '50' })), ['Fazier', 'Uneed'], '最低 DR');
+    assertEqual(names(queryNavSites(NAV_SITES, { minDr: '' })), names(NAV_SITES), '最低 DR 为空');
+  });
+
+  test('排序：DR / 流量从高到低、审核天数从短到长，没填的排最后', () => {
+    assertEqual(names(sortNavSites(NAV_SITES, 'dr')), ['Uneed', 'Fazier', 'Toolfame', '快导航'], 'dr');
+    assertEqual(names(sortNavSites(NAV_SITES, 'traffic')), ['Fazier', '快导航', 'Toolfame', 'Uneed'], 'traffic');
+    assertEqual(names(sortNavSites(NAV_SITES, 'reviewDays')), ['Uneed', 'Fazier', '快导航', 'Toolfame'], 'reviewDays');
+  });
+
+  test('排序：名称、最近添加；未知排序保持原顺序且不改原数组', () => {
+    assertEqual(names(sortNavSites(NAV_SITES, 'createdAt')), ['Toolfame', 'Fazier', '快导航', 'Uneed'], 'createdAt');
+    assertEqual(names(sortNavSites(NAV_SITES, 'name')).slice(0, 3), ['Fazier', 'Toolfame', 'Uneed'], 'name');
+    const sorted = sortNavSites(NAV_SITES, 'unknown');
+    assertEqual(names(sorted), names(NAV_SITES), '未知排序');
+    assertEqual(sorted !== NAV_SITES, true, '返回副本');
+  });
+
+  test('先筛选再排序', () => {
+    assertEqual(names(queryNavSites(NAV_SITES, { pricingType: 'free' }, 'reviewDays')), ['Uneed', 'Fazier', '快导航'], 'free + reviewDays');
+    assertEqual(queryNavSites(null, {}, 'dr'), [], 'null 列表');
+  });
+
+  printSummary();
+})();
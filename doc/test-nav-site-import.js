@@ -0,0 +1,75 @@
+/**
+ * 导航站导入解析自测（lib/navSiteImport.js）
+ * 运行方式: node doc/test-nav-site-import.js
+ */
+
+const { test, assertEqual, importLib, printHeader, printSummary } = require('./testHarness');
+
+(async () => {
+  const {
+    detectImportFormat,
+    parseTxtList,
+    parseCsv,
+    guessCsvMapping,
+    parseImportText,
+    buildImportPreview
+  } = await importLib('navSiteImport.js');
+
+  printHeader('导航站导入解析自测');
+
+  test('CSV：引号内换行与 "" 转义', () => {
+    const { headers, rows } = parseCsv('name,notes,submitUrl\r\n"Fazier","Launch ""today""\nfree tier",fazier.com\n');
+    assertEqual(headers, ['name', 'notes', 'submitUrl'], 'headers');
+    assertEqual(rows, [['Fazier', 'Launch "today"\nfree tier', 'fazier.com']], 'rows');
+  });
+
+  test('CSV：Tab 分隔，空行跳过', () => {
+    const { headers, rows } = parseCsv('名称\t网址\tDR\nToolfame\thttps://toolfame.com/submit\t45\n\nUneed\tuneed.best\t60');
+    assertEqual(headers, ['名称', '网址', 'DR'], 'headers');
+    assertEqual(rows, [['Toolfame', 'https://toolfame.com/submit', '45'], ['Uneed', 'uneed.best', '60']], 'rows');
+  });
+
+  test('CSV：去掉 UTF-8 BOM', () => {
+    const { headers } = parseCsv('\uFEFFname,url\nA,a.com');
+    assertEqual(headers, ['name', 'url'], 'headers');
+  });
+
+  test('表头映射：Website Name 归名称，Domain Name 归网址，每个字段只用一次', () => {
+    assertEqual(
+      guessCsvMapping(['Website Name', 'Submit URL', 'Category', 'DR', 'Pricing', 'Link Type', 'Review Days', 'Notes']),
+      ['name', 'submitUrl', 'category', 'dr', 'pricingType', 'linkType', 'reviewDays', 'notes'],
+      '英文表头'
+    );
+    assertEqual(guessCsvMapping(['Domain Name', 'Title']), ['submitUrl', 'name'], 'Domain Name');
+    assertEqual(guessCsvMapping(['网站名称', '提交地址', '分类', '备注']), ['name', 'submitUrl', 'category', 'notes'], '中文表头');
+    assertEqual(guessCsvMapping(['Site', 'URL', 'Link', 'Foo']), ['name', 'submitUrl', '', ''], '重复与未知列');
+  });
+
+  test('格式识别与 TXT 解析', () => {
+    assertEqual(detectImportFormat('sites.json', ''), 'json', '扩展名');
+    assertEqual(detectImportFormat('', 'name,url\nA,a.com'), 'csv', '内容为 CSV');
+    assertEqual(detectImportFormat('', 'https://a.com/submit,\nb.com'), 'txt', '首行是网址');
+    assertEqual(parseTxtList('# 注释\nFazier  fazier.com\n\nnot a url'), [
+      { raw: 'Fazier  fazier.com', name: 'Fazier', submitUrl: 'fazier.com' },
+      { raw: 'not a url' }
+    ], 'TXT');
+  });
+
+  test('预览：与已有列表及文件内按域名去重，数字与选项字段规整', () => {
+    const { candidates } = parseImportText(
+      'Website Name,Submit URL,DR,Pricing\n' +
+      'Fazier,https://www.fazier.com/submit,"1,200",Free\n' +
+      'Toolfame,toolfame.com,45,PAID\n' +
+      'Toolfame again,https://toolfame.com/other,,\n' +
+      'Broken,not a url,,\n',
+      'csv'
+    );
+    const preview = buildImportPreview(candidates, [{ name: 'Fazier 官方', submitUrl: 'https://fazier.com/' }]);
+    assertEqual(preview.map(p => p.status), ['duplicate', 'new', 'duplicate', 'invalid'], 'status');
+    assertEqual(preview.map(p => p.reason), ['已存在：Fazier 官方', '', '文件中重复', '不是有效的网址或域名'], 'reason');
+    assertEqual(preview[0].navSite.dr, 1200, 'dr 去掉千分位');
+    assertEqual(preview[1].navSite, { name: 'Toolfame', submitUrl: 'https://toolfame.com/', dr: 45, pricingType: 'paid' }, 'navSite');
+  });
+
+  printSummary();
+})();
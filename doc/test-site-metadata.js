@@ -0,0 +1,82 @@
+/**
+ * 站点元数据解析自测（lib/siteMetadata.js + doc/fixtures/site-metadata/*.html，用 doc/miniDom.js 解析）
+ * 运行方式: node doc/test-site-metadata.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { test, assertEqual, importLib, printHeader, printSummary } = require('./testHarness');
+const { parseHtml } = require('./miniDom');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/site-metadata');
+
+/** 样例页面解析成 DOM，对应 offscreen 文档里 DOMParser 的结果 */
+function fixture(name) {
+  return parseHtml(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf-8'));
+}
+
+(async () => {
+  const { extractSiteMetadata, buildProfileFromMetadata } = await importLib('siteMetadata.js');
+
+  printHeader('站点元数据解析自测');
+
+  test('saas-jsonld.html：JSON-LD 优先，OG 与图标兜底', () => {
+    const metadata = extractSiteMetadata(fixture('saas-jsonld.html'), 'https://acme.dev/');
+    assertEqual(metadata.description, 'Acme reviews every pull request in seconds, flags bugs & security issues and suggests fixes.', 'description');
+    assertEqual(metadata.ogImage, 'https://acme.dev/static/og-cover.png', 'ogImage');
+    assertEqual(metadata.icons.map(icon => icon.rel), ['icon', 'apple-touch-icon'], 'icons（不含 mask-icon）');
+    assertEqual(metadata.jsonLd.type, 'SoftwareApplication', 'jsonLd.type');
+    assertEqual(metadata.emails, ['support@acme.dev', 'partners@example.com'], 'emails（不含 logo@2x.png）');
+
+    assertEqual(buildProfileFromMetadata(metadata), {
+      siteName: 'Acme',
+      tagline: 'Ship faster with AI code review',
+      shortDescription: 'Acme reviews every pull request in seconds, flags bugs & security issues and suggests fixes.',
+      email: 'hello@acme.dev',
+      logoUrl: 'https://cdn.acme.dev/brand/logo-512.png',
+      screenshotUrl: 'https://cdn.acme.dev/shots/dashboard.png'
+    }, 'profile');
+  });
+
+  test('basic-meta.html：只有 title / description / favicon，忽略注释和脚本里的内容', () => {
+    const metadata = extractSiteMetadata(fixture('basic-meta.html'), 'https://pixelnotes.app/home/');
+    assertEqual(metadata.jsonLd, null, 'jsonLd');
+    assertEqual(metadata.ogImage, '', 'ogImage');
+    assertEqual(metadata.emails, ['team@pixelnotes.app'], 'emails');
+
+    assertEqual(buildProfileFromMetadata(metadata), {
+      siteName: 'Pixel Notes',
+      tagline: 'Simple note taking for designers',
+      shortDescription: 'Pixel Notes keeps sketches, screenshots & ideas in one place — free for personal use.',
+      email: 'team@pixelnotes.app',
+      logoUrl: 'https://pixelnotes.app/home/favicon.png',
+      screenshotUrl: ''
+    }, 'profile');
+  });
+
+  test('chinese-og.html：og:site_name 与中文标题', () => {
+    const metadata = extractSiteMetadata(fixture('chinese-og.html'), 'https://kuaijian.cn/');
+    assertEqual(buildProfileFromMetadata(metadata), {
+      siteName: '快剪',
+      tagline: '在线视频剪辑工具，三分钟出片',
+      shortDescription: '浏览器里剪视频：自动字幕、模板和一键导出。',
+      email: 'bd@kuaijian.cn',
+      logoUrl: 'https://kuaijian.cn/favicon.ico',
+      screenshotUrl: 'https://kuaijian.cn/images/share.jpg'
+    }, 'profile');
+  });
+
+  test('minimal.html：没有元数据时字段为空，Logo 用 /favicon.ico', () => {
+    const metadata = extractSiteMetadata(fixture('minimal.html'), 'https://example.org/launch');
+    assertEqual(buildProfileFromMetadata(metadata), {
+      siteName: '',
+      tagline: '',
+      shortDescription: '',
+      email: '',
+      logoUrl: 'https://example.org/favicon.ico',
+      screenshotUrl: ''
+    }, 'profile');
+  });
+
+  printSummary();
+})();
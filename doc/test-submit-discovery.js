@@ -0,0 +1,90 @@
+/**
+ * 提交页发现自测（lib/submitDiscovery.js）
+ * 运行方式: node doc/test-submit-discovery.js
+ */
+
+const { test, assertEqual, importLib, printHeader, printSummary } = require('./testHarness');
+
+/** extractSubmitLinks 只用到 querySelectorAll('a[href]')、getAttribute 与 textContent，用普通对象代替 DOM */
+function fakeDoc(links) {
+  const anchors = links.map(({ text = '', ...attrs }) => ({
+    textContent: text,
+    getAttribute: name => (name in attrs ? attrs[name] : null)
+  }));
+  return { querySelectorAll: () => anchors };
+}
+
+(async () => {
+  const {
+    getHomepageUrl,
+    extractSubmitLinks,
+    buildDiscoveryCandidates,
+    scoreSubmitForm,
+    pickBestSubmitPage
+  } = await importLib('submitDiscovery.js');
+
+  printHeader('提交页发现自测');
+
+  test('getHomepageUrl：域名或站内任意网址 → 首页', () => {
+    assertEqual(getHomepageUrl('toolfame.com'), 'https://toolfame.com/', '域名');
+    assertEqual(getHomepageUrl('http://www.uneed.best/tools?page=2'), 'http://www.uneed.best/', '站内网址');
+    assertEqual(getHomepageUrl('not a url'), '', '无效输入');
+  });
+
+  test('extractSubmitLinks：文字与路径打分，只要同站（含 www.）链接，同一地址去掉 # 后只保留一条', () => {
+    const doc = fakeDoc([
+      { href: '/submit', text: 'Submit your tool' },
+      { href: '/submit#form', text: 'Submit' },
+      { href: 'https://www.acme.dev/add-your-app', text: '' },
+      { href: '/launch-guide', text: 'Read our very long guide on how to launch a product successfully' },
+      { href: '/new', 'aria-label': '提交网站' },
+      { href: '/pricing', text: 'Add your product' },
+      { href: 'https://other.com/submit', text: 'Submit' },
+      { href: '/', text: 'Submit' },
+      { href: 'mailto:hi@acme.dev', text: 'Submit by email' },
+      { href: '/about', text: 'About' }
+    ]);
+    assertEqual(extractSubmitLinks(doc, 'https://acme.dev/'), [
+      { url: 'https://acme.dev/submit', text: 'Submit your tool', score: 5 },
+      { url: 'https://acme.dev/launch-guide', text: 'Read our very long guide on how to launch a product successfully', score: 4 },
+      { url: 'https://acme.dev/new', text: '提交网站', score: 3 },
+      { url: 'https://acme.dev/pricing', text: 'Add your product', score: 3 },
+      { url: 'https://www.acme.dev/add-your-app', text: '', score: 2 }
+    ], 'links');
+  });
+
+  test('buildDiscoveryCandidates：先首页链接（最多 5 个），再常见提交路径，去重', () => {
+    const links = ['/submit', '/a', '/b', '/c', '/d', '/e'].map(p => ({ url: 'https://acme.dev' + p }));
+    assertEqual(buildDiscoveryCandidates('https://acme.dev/', links), [
+      'https://acme.dev/submit',
+      'https://acme.dev/a',
+      'https://acme.dev/b',
+      'https://acme.dev/c',
+      'https://acme.dev/d',
+      'https://acme.dev/submit-tool',
+      'https://acme.dev/add'
+    ], '有链接');
+    assertEqual(buildDiscoveryCandidates('https://acme.dev/', []), [
+      'https://acme.dev/submit',
+      'https://acme.dev/submit-tool',
+      'https://acme.dev/add'
+    ], '无链接');
+  });
+
+  test('scoreSubmitForm / pickBestSubmitPage：登录表单为 0，缺网址字段减半，低于阈值不选', () => {
+    assertEqual(scoreSubmitForm(null), 0, '无表单');
+    assertEqual(scoreSubmitForm({ fieldCount: 3, passwordCount: 1, standardFields: ['email'] }), 0, '登录表单');
+    assertEqual(scoreSubmitForm({ fieldCount: 6, passwordCount: 0, standardFields: ['siteUrl', 'siteName', 'email'] }), 8.5, '提交表单');
+    assertEqual(scoreSubmitForm({ fieldCount: 4, passwordCount: 0, standardFields: ['email', 'siteName'] }), 2, '无网址字段');
+    assertEqual(scoreSubmitForm({ fieldCount: 40, passwordCount: 0, standardFields: [] }), 1.5, '字段数封顶');
+
+    assertEqual(pickBestSubmitPage([
+      { url: 'https://acme.dev/contact', score: 2 },
+      { url: 'https://acme.dev/submit', score: 8.5 },
+      { url: 'https://acme.dev/add', score: 8.5 }
+    ]), { url: 'https://acme.dev/submit', score: 8.5 }, '同分取靠前的');
+    assertEqual(pickBestSubmitPage([{ url: 'https://acme.dev/contact', score: 2 }]), null, '都低于阈值');
+  });
+
+  printSummary();
+})();
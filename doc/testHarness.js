@@ -0,0 +1,67 @@
+/**
+ * doc/test-*.js 共用的自测工具：test / assertEqual、载入 lib 模块、打印标题与汇总
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LIB_DIR = path.join(__dirname, '../lib');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`❌ ${name}`);
+    console.log(`   错误: ${e.message}`);
+    failed++;
+  }
+}
+
+function assertEqual(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const b = JSON.stringify(expected);
+  if (a !== b) throw new Error(`${label}: 期望 ${b}，实际 ${a}`);
+}
+
+function toDataUrl(source) {
+  return 'data:text/javascript;charset=utf-8,' + encodeURIComponent(source);
+}
+
+/** lib 下模块的源码，其中 import 的同目录模块递归替换成 data: URL */
+function inlineLibSource(file) {
+  const source = fs.readFileSync(path.join(LIB_DIR, file), 'utf-8');
+  return source.replace(/(from\s+)'\.\/([\w.-]+\.js)'/g, (match, from, dependency) => from + JSON.stringify(toDataUrl(inlineLibSource(dependency))));
+}
+
+/**
+ * 载入 lib 下的 ES module（仓库没有 package.json，以 data: URL 载入）
+ * @param {string} file - 相对 lib/ 的文件名，如 'navSiteImport.js'
+ */
+function importLib(file) {
+  return import(toDataUrl(inlineLibSource(file)));
+}
+
+function printHeader(title) {
+  console.log('='.repeat(60));
+  console.log(title);
+  console.log('='.repeat(60));
+}
+
+function printSummary() {
+  console.log('\n' + '='.repeat(60));
+  console.log(`通过: ${passed}  失败: ${failed}`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+module.exports = {
+  test,
+  assertEqual,
+  importLib,
+  printHeader,
+  printSummary
+};
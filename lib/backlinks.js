@@ -0,0 +1,110 @@
+/**
+ * Backlinks - fetch a listing page and analyse the links it has to a site
+ * analyzeBacklinks needs a DOM Document: the service worker has none, so background.js parses in the offscreen document.
+ */
+
+/** rel values that stop a link from passing authority */
+export const NOFOLLOW_RELS = ['nofollow', 'ugc', 'sponsored'];
+
+/** Listing page fetch gives up after this long */
+const LISTING_FETCH_TIMEOUT_MS = 20000;
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Whether href (relative to pageUrl) points at siteUrl: same host without www.; when siteUrl has a path, links must be that path or below it
+ */
+export function isLinkToSite(href, pageUrl, siteUrl) {
+  try {
+    const site = new URL(siteUrl);
+    const url = new URL(href, pageUrl);
+    if (!/^https?:$/.test(url.protocol) || normalizeHost(url.hostname) !== normalizeHost(site.hostname)) return false;
+    const sitePath = site.pathname.replace(/\/+$/, '');
+    // "/app" covers "/app" and "/app/…", not "/apple"
+    return !sitePath || url.pathname === sitePath || url.pathname.startsWith(sitePath + '/');
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Anchors in doc that link to siteUrl, with rel flags and anchor text.
+ * A page-level <meta name="robots" content="nofollow"> makes every link nofollow.
+ * @returns {{ links: Array<{ href: string, text: string, rel: string[], dofollow: boolean }>, pageNofollow: boolean }}
+ */
+export function analyzeBacklinks(doc, pageUrl, siteUrl) {
+  const robots = Array.from(doc.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+    .map(meta => (meta.getAttribute('content') || '').toLowerCase());
+  const pageNofollow = robots.some(content => /\b(nofollow|none)\b/.test(content));
+
+  const links = Array.from(doc.querySelectorAll('a[href]'))
+    .filter(a => isLinkToSite(a.getAttribute('href'), pageUrl, siteUrl))
+    .map(a => {
+      const rel = (a.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+      const img = a.querySelector('img[alt]');
+      const text = (a.textContent || '').replace(/\s+/g, ' ').trim() || img?.getAttribute('alt') || a.getAttribute('title') || '';
+      return {
+        href: new URL(a.getAttribute('href'), pageUrl).href,
+        text: text.slice(0, 200),
+        rel,
+        dofollow: !pageNofollow && !rel.some(r => NOFOLLOW_RELS.includes(r))
+      };
+    });
+  return { links, pageNofollow };
+}
+
+/**
+ * Overall link type for a page: 'dofollow' when any link is followed, otherwise the first blocking rel; 'none' without links
+ */
+export function getBacklinkType(links, pageNofollow = false) {
+  if (!links?.length) return 'none';
+  if (links.some(link => link.dofollow)) return 'dofollow';
+  if (pageNofollow) return 'nofollow';
+  for (const rel of NOFOLLOW_RELS) {
+    if (links.some(link => link.rel.includes(rel))) return rel;
+  }
+  return 'nofollow';
+}
+
+/**
+ * Fetch listingUrl and look for links to siteUrl
+ * @param {(html: string, pageUrl: string, siteUrl: string) => Promise<{ links: Array, pageNofollow: boolean }>} parseLinks - runs analyzeBacklinks on the html
+ * @returns {Promise<{ status: 'listed'|'not_found'|'error', httpStatus: number|null, pageUrl: string, links: Array, linkType: string, error: string|null, checkedAt: string }>}
+ */
+export async function verifyBacklinks(listingUrl, siteUrl, parseLinks) {
+  const checkedAt = new Date().toISOString();
+  const failed = (httpStatus, error) => ({ status: 'error', httpStatus, pageUrl: listingUrl, links: [], linkType: 'none', error, checkedAt });
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LISTING_FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(listingUrl, { signal: controller.signal, credentials: 'omit', redirect: 'follow' });
+    clearTimeout(timeoutId);
+    if (!response.ok) return failed(response.status, `HTTP ${response.status}`);
+
+    const pageUrl = response.url || listingUrl;
+    const html = await response.text();
+    const { links, pageNofollow } = await parseLinks(html, pageUrl, siteUrl);
+    return {
+      status: links.length ? 'listed' : 'not_found',
+      httpStatus: response.status,
+      pageUrl,
+      links: links.slice(0, 10),
+      linkType: getBacklinkType(links, pageNofollow),
+      error: null,
+      checkedAt
+    };
+  } catch (error) {
+    clearTimeout(timeoutId);
+    return failed(null, error.name === 'AbortError' ? `请求超时（${LISTING_FETCH_TIMEOUT_MS / 1000}秒）` : error.message);
+  }
+}
+
+export default {
+  NOFOLLOW_RELS,
+  isLinkToSite,
+  analyzeBacklinks,
+  getBacklinkType,
+  verifyBacklinks
+};
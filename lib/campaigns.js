@@ -0,0 +1,154 @@
+/**
+ * Campaigns - submit one site profile to a queue of nav sites
+ * Stored under `campaigns` so progress survives browser restarts; the runner lives in background.js.
+ */
+
+import { getRecordKey } from './submissionRecords.js';
+import { matchesNavSiteFilters } from './navSiteFilters.js';
+
+const STORAGE_KEY = 'campaigns';
+
+/** Item statuses that need no further work */
+export const FINAL_ITEM_STATUSES = ['done', 'skipped', 'failed'];
+
+/** Record statuses that count as already submitted (used to skip nav sites when building a campaign) */
+const SUBMITTED_RECORD_STATUSES = ['submitted', 'pending', 'listed', 'not_found'];
+
+async function readCampaigns() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  return data[STORAGE_KEY] || [];
+}
+
+async function writeCampaigns(campaigns) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: campaigns });
+}
+
+/**
+ * All campaigns, newest first
+ */
+export async function getCampaigns() {
+  const campaigns = await readCampaigns();
+  return campaigns.slice().sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Get a campaign by id
+ */
+export async function getCampaign(id) {
+  const campaigns = await readCampaigns();
+  return campaigns.find(c => c.id === id) || null;
+}
+
+/**
+ * Insert or replace a campaign
+ */
+export async function saveCampaign(campaign) {
+  const campaigns = await readCampaigns();
+  const index = campaigns.findIndex(c => c.id === campaign.id);
+  const updated = { ...campaign, updatedAt: new Date().toISOString() };
+  if (index >= 0) campaigns[index] = updated;
+  else campaigns.push(updated);
+  await writeCampaigns(campaigns);
+  return updated;
+}
+
+/**
+ * Patch one queue item (re-reads the stored campaign so concurrent updates are kept)
+ */
+export async function updateCampaignItem(campaignId, index, patch) {
+  const campaign = await getCampaign(campaignId);
+  if (!campaign?.items[index]) return null;
+  const items = campaign.items.map((item, i) => (i === index ? { ...item, ...patch } : item));
+  return saveCampaign({ ...campaign, items });
+}
+
+/**
+ * Delete a campaign
+ */
+export async function deleteCampaign(id) {
+  const campaigns = await readCampaigns();
+  await writeCampaigns(campaigns.filter(c => c.id !== id));
+}
+
+/**
+ * Build a new (idle) campaign object; call saveCampaign to persist it
+ */
+export function createCampaign({ name, siteId, navSiteIds }) {
+  const now = new Date().toISOString();
+  return {
+    id: 'camp_' + Date.now(),
+    name,
+    siteId,
+    state: 'idle', // idle, running, paused, done
+    currentIndex: 0,
+    tabId: null,
+    items: navSiteIds.map(navSiteId => ({
+      navSiteId,
+      status: 'pending', // pending, opening, filling, waiting, done, skipped, failed
+      attempts: 0,
+      lastError: null,
+      fill: null,
+      outcome: null
+    })),
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Progress counts for display
+ */
+export function getCampaignProgress(campaign) {
+  const count = status => campaign.items.filter(item => item.status === status).length;
+  const done = count('done');
+  const skipped = count('skipped');
+  const failed = count('failed');
+  return {
+    total: campaign.items.length,
+    done,
+    skipped,
+    failed,
+    remaining: campaign.items.length - done - skipped - failed
+  };
+}
+
+/**
+ * Index of the next item still to process, starting at fromIndex and wrapping around; -1 when none is left
+ */
+export function getNextItemIndex(campaign, fromIndex = 0) {
+  const total = campaign.items.length;
+  for (let offset = 0; offset < total; offset++) {
+    const index = (fromIndex + offset) % total;
+    if (!FINAL_ITEM_STATUSES.includes(campaign.items[index].status)) return index;
+  }
+  return -1;
+}
+
+/**
+ * Nav sites eligible for a campaign of siteId
+ * @param {{ skipSubmitted?: boolean }} filters - plus any metadata filter of matchesNavSiteFilters (category, pricingType, linkType, …)
+ */
+export function selectNavSitesForCampaign(navSites, submissionRecords, siteId, filters = {}) {
+  return (navSites || []).filter(navSite => {
+    if (!navSite.submitUrl) return false;
+    if (!matchesNavSiteFilters(navSite, filters)) return false;
+    if (filters.skipSubmitted) {
+      const record = (submissionRecords || {})[getRecordKey(siteId, navSite.id)];
+      if (record && SUBMITTED_RECORD_STATUSES.includes(record.status)) return false;
+    }
+    return true;
+  });
+}
+
+export default {
+  FINAL_ITEM_STATUSES,
+  getCampaigns,
+  getCampaign,
+  saveCampaign,
+  updateCampaignItem,
+  deleteCampaign,
+  createCampaign,
+  getCampaignProgress,
+  getNextItemIndex,
+  selectNavSitesForCampaign
+};
@@ -0,0 +1,53 @@
+/**
+ * Follow-ups - when to look at a submission again
+ * Records carry `followUpDate` (YYYY-MM-DD, local time) and `listingUrl`; background.js checks due ones on an alarm
+ * (listing pages are verified with lib/backlinks.js).
+ */
+
+/** Days after a submit/pending outcome before the first follow-up */
+export const FOLLOW_UP_DEFAULT_DAYS = 7;
+
+/** Days to wait before checking again when the listing does not link to us yet */
+export const FOLLOW_UP_RECHECK_DAYS = 3;
+
+/**
+ * Local date as YYYY-MM-DD (what <input type="date"> uses)
+ */
+export function getDateString(date = new Date()) {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 10);
+}
+
+/**
+ * dateString + days, as YYYY-MM-DD
+ */
+export function addDays(dateString, days) {
+  const date = new Date(dateString + 'T00:00:00');
+  date.setDate(date.getDate() + days);
+  return getDateString(date);
+}
+
+/**
+ * Whether a record's follow-up is due (listed records are done)
+ */
+export function isFollowUpDue(record, today = getDateString()) {
+  return !!record.followUpDate && record.followUpDate <= today && record.status !== 'listed';
+}
+
+/**
+ * Records due for follow-up that have not been handled today
+ * @returns {Array<[string, object]>} [recordKey, record] pairs
+ */
+export function getDueFollowUps(records, today = getDateString()) {
+  return Object.entries(records || {})
+    .filter(([, record]) => isFollowUpDue(record, today) && record.followUpNotifiedOn !== today);
+}
+
+export default {
+  FOLLOW_UP_DEFAULT_DAYS,
+  FOLLOW_UP_RECHECK_DAYS,
+  getDateString,
+  addDays,
+  isFollowUpDue,
+  getDueFollowUps
+};
@@ -126,64 +126,70 @@ export async function recognizeFormFields(formMetadata, config) {
   };
 }
 
+/** Output languages for generated copy (site profile language codes) */
+const COPY_LANGUAGE_NAMES = {
+  zh: 'Simplified Chinese',
+  en: 'English',
+  ja: 'Japanese',
+  ko: 'Korean',
+  fr: 'French',
+  de: 'German',
+  es: 'Spanish'
+};
+
+/** Per-type length target and token budget for generated copy */
+const COPY_TYPES = {
+  tagline: { maxLength: 60, maxTokens: 400, what: 'catchy taglines/slogans' },
+  short: { maxLength: 160, maxTokens: 800, what: 'short, compelling descriptions' },
+  long: { maxLength: 1200, maxTokens: 2500, what: 'detailed descriptions (2-3 paragraphs)' }
+};
+
 /**
- * Generate website description using LLM (optional feature)
- * This is separate from form filling - user-triggered only
+ * Generate website copy using LLM (optional feature)
+ * This is separate from form filling - user-triggered only (site editor Generate / Improve buttons)
+ * @param {{ siteName: string, siteUrl: string, existingDescription?: string, category?: string }} siteData
+ * @param {'short'|'long'|'tagline'} descriptionType
+ * @param {Object} config - LLM config (endpoint, apiKey, model)
+ * @param {{ mode?: 'generate'|'improve', count?: number, language?: string }} [options] - improve rewrites existingDescription;
+ *   language is a profile language code (zh, en, …), otherwise the language of existingDescription is kept
+ * @returns {Promise<string[]>} candidate texts
  */
-export async function generateDescription(siteData, descriptionType = 'short', config) {
+export async function generateDescription(siteData, descriptionType = 'short', config, options = {}) {
   const { siteName, siteUrl, existingDescription, category } = siteData;
+  const { mode = 'generate', count = 3, language } = options;
+  const type = COPY_TYPES[descriptionType] || COPY_TYPES.short;
 
-  let prompt = '';
-  let maxLength = 100;
-
-  if (descriptionType === 'short') {
-    maxLength = 150;
-    prompt = `Generate a short, compelling description (under ${maxLength} characters) for a website.
-
-Website: ${siteName}
-URL: ${siteUrl}
-Category: ${category || 'Not specified'}
-${existingDescription ? `Existing description (for reference or improvement): ${existingDescription}` : ''}
+  if (mode === 'improve' && !existingDescription) {
+    throw new Error('Nothing to improve: existing text is empty');
+  }
 
-Requirements:
-- Write in a professional, engaging tone
-- Highlight the main value proposition
-- Include relevant keywords for SEO
-- Keep it concise and impactful
-- Return ONLY the description text, nothing else`;
-  } else if (descriptionType === 'long') {
-    maxLength = 500;
-    prompt = `Generate a detailed description for a website.
+  const languageRule = COPY_LANGUAGE_NAMES[language]
+    ? `- Write in ${COPY_LANGUAGE_NAMES[language]}`
+    : '- Write in the same language as the existing text; use English if there is none';
+  const task = mode === 'improve'
+    ? `Improve the following text into ${count} better ${type.what} for a website. Keep every fact, fix grammar, make it clearer and more engaging.
 
-Website: ${siteName}
-URL: ${siteUrl}
-Category: ${category || 'Not specified'}
-${existingDescription ? `Existing description (to expand upon): ${existingDescription}` : ''}
+Text to improve: ${existingDescription}`
+    : `Generate ${count} ${type.what} for a website.
+${existingDescription ? `\nExisting copy (for reference): ${existingDescription}` : ''}`;
 
-Requirements:
-- Write 2-3 paragraphs
-- Describe key features and benefits
-- Include relevant keywords
-- Professional and engaging tone
-- Return ONLY the description text, nothing else`;
-  } else if (descriptionType === 'tagline') {
-    maxLength = 50;
-    prompt = `Generate a catchy tagline/slogan (under ${maxLength} characters) for a website.
+  const prompt = `${task}
 
 Website: ${siteName}
 URL: ${siteUrl}
 Category: ${category || 'Not specified'}
 
 Requirements:
-- Short, memorable, and impactful
-- Capture the essence of the website
-- Return ONLY the tagline text, nothing else`;
-  }
+- Each candidate under ${type.maxLength} characters
+- Highlight the main value proposition; professional, engaging tone
+- Make the candidates clearly different from each other
+${languageRule}
+- Respond with JSON only: {"candidates": ["...", "..."]}`;
 
   const messages = [
     {
       role: 'system',
-      content: 'You are a copywriting expert specializing in website descriptions and marketing copy.'
+      content: 'You are a copywriting expert specializing in website descriptions and marketing copy. Always respond with valid JSON.'
     },
     {
       role: 'user',
@@ -191,16 +197,32 @@ Requirements:
     }
   ];
 
-  const result = await callChatCompletion(config, messages, {
-    maxTokens: 300,
-    timeout: 20000
-  });
+  const result = await callChatCompletion({ ...config, maxTokens: type.maxTokens, timeout: 60000 }, messages);
 
   if (!result.success) {
     throw new Error('LLM API call failed');
   }
 
-  return result.content.trim().replace(/^["']|["']$/g, '');
+  return parseCopyCandidates(result.content);
+}
+
+/**
+ * Candidate texts from the model reply: {"candidates": [...]}, a bare array, or plain text as a single candidate
+ */
+function parseCopyCandidates(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  let candidates;
+  try {
+    const data = JSON.parse(text);
+    candidates = Array.isArray(data) ? data : data.candidates || Object.values(data).find(Array.isArray) || [];
+  } catch (_) {
+    candidates = [text];
+  }
+  const cleaned = candidates
+    .map(c => String(typeof c === 'object' && c ? c.text || '' : c).trim().replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+  if (cleaned.length === 0) throw new Error('Failed to parse LLM response');
+  return Array.from(new Set(cleaned));
 }
 
 /**
@@ -0,0 +1,66 @@
+/**
+ * Nav Site Filters - filter and sort nav sites by their metadata
+ * Metadata fields on a nav site (all optional, entered by hand):
+ *   pricingType 'free'|'paid', price, backlinkRequired, linkType 'dofollow'|'nofollow',
+ *   reviewDays, language, requiresLogin, dr, traffic
+ * Shared by the Nav Sites tab and campaign selection.
+ */
+
+/**
+ * Whether a nav site matches every set filter; empty values mean "any"
+ * @param {{ search?: string, category?: string, pricingType?: string, linkType?: string, language?: string,
+ *   requiresLogin?: 'yes'|'no', backlinkRequired?: 'yes'|'no', minDr?: number|string }} filters
+ */
+export function matchesNavSiteFilters(navSite, filters = {}) {
+  if (filters.search) {
+    const query = filters.search.toLowerCase();
+    const haystack = [navSite.name, navSite.submitUrl, navSite.category, navSite.notes].filter(Boolean).join(' ').toLowerCase();
+    if (!haystack.includes(query)) return false;
+  }
+  if (filters.category && (navSite.category || '') !== filters.category) return false;
+  if (filters.pricingType && navSite.pricingType !== filters.pricingType) return false;
+  if (filters.linkType && navSite.linkType !== filters.linkType) return false;
+  if (filters.language && navSite.language !== filters.language) return false;
+  if (filters.requiresLogin && !!navSite.requiresLogin !== (filters.requiresLogin === 'yes')) return false;
+  if (filters.backlinkRequired && !!navSite.backlinkRequired !== (filters.backlinkRequired === 'yes')) return false;
+  if (filters.minDr !== undefined && filters.minDr !== '' && !(Number(navSite.dr) >= Number(filters.minDr))) return false;
+  return true;
+}
+
+/** Sort orders: numbers without a value sort last */
+const SORTERS = {
+  name: (a, b) => String(a.name || '').localeCompare(String(b.name || '')),
+  createdAt: (a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')),
+  dr: (a, b) => compareNumbers(a.dr, b.dr, true),
+  traffic: (a, b) => compareNumbers(a.traffic, b.traffic, true),
+  reviewDays: (a, b) => compareNumbers(a.reviewDays, b.reviewDays)
+};
+
+function compareNumbers(a, b, descending = false) {
+  const hasA = a !== undefined && a !== null && a !== '';
+  const hasB = b !== undefined && b !== null && b !== '';
+  if (!hasA || !hasB) return hasB - hasA;
+  return descending ? Number(b) - Number(a) : Number(a) - Number(b);
+}
+
+/**
+ * Sorted copy; unknown sort keys keep the stored order
+ * @param {'name'|'createdAt'|'dr'|'traffic'|'reviewDays'|''} sortBy
+ */
+export function sortNavSites(navSites, sortBy) {
+  const sorter = SORTERS[sortBy];
+  return sorter ? navSites.slice().sort(sorter) : navSites.slice();
+}
+
+/**
+ * Filter then sort
+ */
+export function queryNavSites(navSites, filters = {}, sortBy = '') {
+  return sortNavSites((navSites || []).filter(navSite => matchesNavSiteFilters(navSite, filters)), sortBy);
+}
+
+export default {
+  matchesNavSiteFilters,
+  sortNavSites,
+  queryNavSites
+};
@@ -0,0 +1,238 @@
+/**
+ * Nav Site Import - parse TXT / CSV / JSON lists of nav sites and preview them against the existing list
+ * Pure functions (no chrome.* / DOM), used by the import dialog in options.
+ */
+
+/** Fields a CSV column can be mapped to */
+export const IMPORT_FIELDS = ['name', 'submitUrl', 'category', 'notes', 'pricingType', 'price', 'linkType', 'language', 'reviewDays', 'dr', 'traffic'];
+
+/** Numeric nav site fields (CSV / JSON strings are converted) */
+const NUMBER_FIELDS = ['reviewDays', 'dr', 'traffic'];
+
+/** Option fields stored lower-case (free / paid, dofollow / nofollow, zh / en …) */
+const LOWERCASE_FIELDS = ['pricingType', 'linkType', 'language'];
+
+/** Header keywords → field, checked in order (first unused match wins); specific names come before generic ones like "link" / "type" */
+const HEADER_PATTERNS = [
+  ['linkType', /follow|link\s*type|\brel\b|链接类型/i],
+  ['pricingType', /pricing|free|paid|收费|付费/i],
+  ['dr', /^(dr|da)$|domain\s*rating|authority/i],
+  ['reviewDays', /review|审核/i],
+  ['traffic', /traffic|visits|流量/i],
+  ['price', /price|cost|价格|费用/i],
+  ['language', /lang|语言/i],
+  // "Website Name" / "网站名称" name the site, so they are checked before submitUrl's "website"; "Domain Name" is still a URL
+  ['name', /(?<!domain\s?)\bname\b|名称|网站名|站点名/i],
+  ['submitUrl', /submit|url|link|domain|website|网址|地址|链接|域名/i],
+  ['name', /^(name|title|site|名称|站点|网站名|标题)/i],
+  ['category', /categor|type|分类|类别/i],
+  ['notes', /note|remark|comment|备注|说明/i]
+];
+
+/**
+ * Hostname without www., '' when url is not a valid URL
+ */
+export function getHostKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * "toolfame.com" / "//toolfame.com/submit" / "https://toolfame.com" → absolute https URL; '' if it is not a domain or URL
+ */
+export function normalizeSubmitUrl(input) {
+  let value = String(input || '').trim();
+  if (!value) return '';
+  if (value.startsWith('//')) value = 'https:' + value;
+  else if (!/^[a-z][a-z\d+.-]*:\/\//i.test(value)) value = 'https://' + value;
+  try {
+    const url = new URL(value);
+    if (!/^https?:$/.test(url.protocol) || !/\.[a-z\d-]{2,}$/i.test(url.hostname)) return '';
+    return url.href;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Guess the format from the file name, falling back to the content
+ * @returns {'txt'|'csv'|'json'}
+ */
+export function detectImportFormat(fileName, text) {
+  const ext = String(fileName || '').toLowerCase().match(/\.(\w+)$/)?.[1];
+  if (ext === 'json' || ext === 'csv' || ext === 'txt') return ext;
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  const firstLine = trimmed.split(/\r?\n/)[0] || '';
+  return /,|\t/.test(firstLine) && !/^https?:\/\//i.test(firstLine) ? 'csv' : 'txt';
+}
+
+/**
+ * One domain or URL per line; blank lines and lines starting with # are skipped.
+ * Text before the URL on the same line (e.g. "Fazier  fazier.com") becomes the name.
+ */
+export function parseTxtList(text) {
+  return String(text || '').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const tokens = line.split(/[\s,;|]+/).filter(Boolean);
+      const urlIndex = tokens.findIndex(token => normalizeSubmitUrl(token));
+      if (urlIndex < 0) return { raw: line };
+      const name = tokens.filter((_, i) => i !== urlIndex).join(' ');
+      return { raw: line, name, submitUrl: tokens[urlIndex] };
+    });
+}
+
+/**
+ * Minimal RFC 4180 parser: quoted fields, "" escapes, newlines inside quotes; comma or tab delimited
+ * @returns {{ headers: string[], rows: string[][] }}
+ */
+export function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/)[0] || '';
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  const rows = records.filter(r => r.some(cell => cell.trim()));
+  return { headers: (rows[0] || []).map(h => h.trim()), rows: rows.slice(1) };
+}
+
+/**
+ * Column index → field guess for CSV headers; each field is used once, unknown columns map to ''
+ */
+export function guessCsvMapping(headers) {
+  const used = new Set();
+  return headers.map(header => {
+    const key = header.toLowerCase().replace(/[\s_-]/g, '');
+    const exact = IMPORT_FIELDS.find(field => field.toLowerCase() === key);
+    const match = exact || HEADER_PATTERNS.find(([field, re]) => !used.has(field) && re.test(header))?.[0] || '';
+    if (!match || used.has(match)) return '';
+    used.add(match);
+    return match;
+  });
+}
+
+/**
+ * CSV rows → candidates using a column mapping from guessCsvMapping (possibly edited by the user)
+ */
+export function csvRowsToCandidates(rows, mapping) {
+  return rows.map(row => {
+    const candidate = { raw: row.join(', ') };
+    mapping.forEach((field, index) => {
+      if (field && row[index] != null && row[index].trim() !== '') candidate[field] = row[index].trim();
+    });
+    return candidate;
+  });
+}
+
+/**
+ * JSON array, or { navSites: [...] } as written by the backup
+ */
+export function parseJsonList(text) {
+  const data = JSON.parse(text);
+  const items = Array.isArray(data) ? data : data.navSites || [];
+  return items.map(item => (typeof item === 'string' ? { raw: item, submitUrl: item } : { raw: JSON.stringify(item), ...item }));
+}
+
+/**
+ * Parse a file's text in the given format into candidates ({ raw, name?, submitUrl?, … })
+ * @param {string[]} [csvMapping] - column mapping for CSV; guessed from the header when omitted
+ */
+export function parseImportText(text, format, csvMapping) {
+  if (format === 'json') return { candidates: parseJsonList(text) };
+  if (format === 'csv') {
+    const { headers, rows } = parseCsv(text);
+    const mapping = csvMapping || guessCsvMapping(headers);
+    return { candidates: csvRowsToCandidates(rows, mapping), headers, mapping };
+  }
+  return { candidates: parseTxtList(text) };
+}
+
+/**
+ * Normalize candidates into nav sites and mark each as new / duplicate / invalid.
+ * Duplicates are matched by hostname (without www.) against existing nav sites and earlier rows of the same import.
+ * @returns {Array<{ status: 'new'|'duplicate'|'invalid', reason: string, raw: string, navSite: object|null }>}
+ */
+export function buildImportPreview(candidates, existingNavSites) {
+  const existingHosts = new Map();
+  (existingNavSites || []).forEach(ns => {
+    const host = getHostKey(ns.submitUrl);
+    if (host && !existingHosts.has(host)) existingHosts.set(host, ns.name || host);
+  });
+  const seen = new Set();
+
+  return candidates.map(candidate => {
+    const submitUrl = normalizeSubmitUrl(candidate.submitUrl);
+    if (!submitUrl) return { status: 'invalid', reason: '不是有效的网址或域名', raw: candidate.raw, navSite: null };
+
+    const host = getHostKey(submitUrl);
+    const navSite = { ...candidate, name: (candidate.name || '').trim() || host, submitUrl };
+    delete navSite.raw;
+    delete navSite.id;
+    NUMBER_FIELDS.forEach(field => {
+      if (navSite[field] == null || navSite[field] === '') return;
+      const number = Number(String(navSite[field]).replace(/[,\s]/g, ''));
+      navSite[field] = Number.isFinite(number) ? number : null;
+    });
+    LOWERCASE_FIELDS.forEach(field => {
+      if (typeof navSite[field] === 'string') navSite[field] = navSite[field].trim().toLowerCase();
+    });
+
+    if (existingHosts.has(host)) {
+      return { status: 'duplicate', reason: `已存在：${existingHosts.get(host)}`, raw: candidate.raw, navSite };
+    }
+    if (seen.has(host)) return { status: 'duplicate', reason: '文件中重复', raw: candidate.raw, navSite };
+    seen.add(host);
+    return { status: 'new', reason: '', raw: candidate.raw, navSite };
+  });
+}
+
+export default {
+  IMPORT_FIELDS,
+  getHostKey,
+  normalizeSubmitUrl,
+  detectImportFormat,
+  parseTxtList,
+  parseCsv,
+  guessCsvMapping,
+  csvRowsToCandidates,
+  parseJsonList,
+  parseImportText,
+  buildImportPreview
+};
@@ -0,0 +1,94 @@
+/**
+ * Screenshots - captures of a site taken from a browser tab (chrome.tabs.captureVisibleTab in background.js)
+ * A site profile keeps several captures in `screenshots` (newest first); `screenshotDataUrl` is the one used for filling.
+ */
+
+/**
+ * Viewport presets (CSS pixels); mobile only narrows the viewport, it does not emulate a phone user agent.
+ * A window that cannot reach the size (Chrome's minimum window width, a small screen) is captured at the closest
+ * size it allows, and the entry records that real viewport
+ */
+export const SCREENSHOT_PRESETS = {
+  desktop: { label: '1280×800', width: 1280, height: 800 },
+  desktopWide: { label: '1440×900', width: 1440, height: 900 },
+  mobile: { label: '手机 390×844', width: 390, height: 844 }
+};
+
+export const DEFAULT_SCREENSHOT_PRESET = 'desktop';
+
+/** Captures kept per site profile; the oldest (other than the current one) is dropped */
+export const MAX_SITE_SCREENSHOTS = 6;
+
+/** Full-page captures stop at this page height (CSS pixels) */
+export const MAX_FULL_PAGE_HEIGHT = 10000;
+
+/** Encoded captures are kept under this size, like uploaded screenshots */
+export const MAX_SCREENSHOT_BYTES = 1024 * 1024;
+
+/** Wider captures are scaled down to this many pixels */
+export const MAX_SCREENSHOT_WIDTH = 1920;
+
+/**
+ * Scroll positions for a full-page capture: one per viewport height until the (capped) page height is covered
+ */
+export function getCaptureScrollPositions(pageHeight, viewportHeight, maxHeight = MAX_FULL_PAGE_HEIGHT) {
+  const height = Math.min(pageHeight, maxHeight);
+  if (!(viewportHeight > 0)) return [0];
+  const positions = [];
+  for (let y = 0; y < height; y += viewportHeight) positions.push(y);
+  return positions.length ? positions : [0];
+}
+
+/**
+ * Screenshot entry as stored on a site profile
+ * width / height are the image pixels; viewportWidth / viewportHeight the CSS viewport the page was captured at
+ */
+export function createScreenshotEntry({ dataUrl, preset, fullPage, width, height, viewportWidth, viewportHeight, url }) {
+  return {
+    id: 'shot_' + Date.now(),
+    dataUrl,
+    preset,
+    fullPage: !!fullPage,
+    width,
+    height,
+    viewportWidth,
+    viewportHeight,
+    url,
+    capturedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Label for a capture: the viewport it was actually taken at (older entries fall back to the preset label)
+ */
+export function getScreenshotLabel(shot) {
+  const preset = SCREENSHOT_PRESETS[shot.preset];
+  if (!shot.viewportWidth || !shot.viewportHeight) return preset?.label || shot.preset || '';
+  return `${shot.preset === 'mobile' ? '手机 ' : ''}${shot.viewportWidth}×${shot.viewportHeight}`;
+}
+
+/**
+ * Site with a new capture added (newest first, at most MAX_SITE_SCREENSHOTS)
+ * @param {{ makeCurrent?: boolean }} options - use it as screenshotDataUrl (always when the site has none)
+ */
+export function addSiteScreenshot(site, entry, { makeCurrent = false } = {}) {
+  const current = makeCurrent || !site.screenshotDataUrl ? entry.dataUrl : site.screenshotDataUrl;
+  const screenshots = [entry, ...(site.screenshots || [])];
+  while (screenshots.length > MAX_SITE_SCREENSHOTS) {
+    screenshots.splice(screenshots.findLastIndex(shot => shot.dataUrl !== current), 1);
+  }
+  return { ...site, screenshots, screenshotDataUrl: current };
+}
+
+export default {
+  SCREENSHOT_PRESETS,
+  DEFAULT_SCREENSHOT_PRESET,
+  MAX_SITE_SCREENSHOTS,
+  MAX_FULL_PAGE_HEIGHT,
+  MAX_SCREENSHOT_BYTES,
+  MAX_SCREENSHOT_WIDTH,
+  getCaptureScrollPositions,
+  createScreenshotEntry,
+  getScreenshotLabel,
+  addSiteScreenshot
+};
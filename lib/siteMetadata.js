@@ -0,0 +1,248 @@
+/**
+ * Site Metadata - read what a homepage says about itself: <title>, meta description, Open Graph, icons,
+ * JSON-LD Organization / SoftwareApplication data and contact emails, then turn it into site profile suggestions.
+ * Works on a parsed Document: background.js hands the page HTML to the offscreen document (DOMParser), and
+ * doc/test-site-metadata.js runs it in node against the fixtures in doc/fixtures/site-metadata/ through a small DOM shim.
+ */
+
+/** JSON-LD @type values that describe the company behind a site */
+const ORGANIZATION_TYPES = ['Organization', 'Corporation', 'LocalBusiness'];
+
+/** JSON-LD @type values that describe the product itself (preferred over the organization) */
+const APPLICATION_TYPES = ['SoftwareApplication', 'WebApplication', 'MobileApplication', 'Product'];
+
+/** Title separators between the site name and a slogan ("Acme – Ship faster") */
+const TITLE_SEPARATOR = /\s*[|｜]\s*|\s+[-–—·•]\s+|:\s+/;
+
+/** Email-looking strings that are really asset names (logo@2x.png) */
+const ASSET_EXTENSION = /\.(png|jpe?g|gif|webp|svg|ico|css|js)$/i;
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+/** Elements whose text is not page content */
+const NON_CONTENT_TAGS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT'];
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function resolveUrl(value, pageUrl) {
+  if (!value) return '';
+  try {
+    const url = new URL(value.trim(), pageUrl);
+    return /^(https?|data):$/.test(url.protocol) ? url.href : '';
+  } catch (_) {
+    return '';
+  }
+}
+
+/** Largest side from a sizes attribute ("180x180", "16x16 32x32", "any") */
+function parseIconSize(sizes) {
+  if (/\bany\b/i.test(sizes || '')) return 512;
+  return Math.max(0, ...Array.from(String(sizes || '').matchAll(/(\d+)x(\d+)/gi), m => Math.max(+m[1], +m[2])));
+}
+
+function getHostname(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+function toArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/** URL out of a JSON-LD image value: "…", { url }, { contentUrl } or an array of those */
+function getJsonLdImage(value, pageUrl) {
+  for (const item of toArray(value)) {
+    const url = typeof item === 'string' ? item : item?.url || item?.contentUrl;
+    const resolved = resolveUrl(url, pageUrl);
+    if (resolved) return resolved;
+  }
+  return '';
+}
+
+function hasType(node, types) {
+  return toArray(node?.['@type']).some(type => types.includes(String(type).replace(/^.*[/#]/, '')));
+}
+
+/** Every object in the JSON-LD blocks, including @graph members and nested publisher / author / brand */
+function collectJsonLdNodes(blocks) {
+  const nodes = [];
+  const visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      nodes.push(value);
+      ['@graph', 'publisher', 'author', 'creator', 'brand', 'provider', 'mainEntity'].forEach(key => visit(value[key]));
+    }
+  };
+  blocks.forEach(visit);
+  return nodes;
+}
+
+function readJsonLd(doc, pageUrl) {
+  const blocks = [];
+  Array.from(doc.querySelectorAll('script[type]')).forEach(script => {
+    if (!/application\/ld\+json/i.test(script.getAttribute('type'))) return;
+    try {
+      blocks.push(JSON.parse(script.textContent.trim().replace(/^<!--|-->$/g, '')));
+    } catch (_) {
+      // Broken JSON-LD is common; skip the block
+    }
+  });
+
+  const nodes = collectJsonLdNodes(blocks);
+  const application = nodes.find(node => hasType(node, APPLICATION_TYPES));
+  const organization = nodes.find(node => hasType(node, ORGANIZATION_TYPES));
+  if (!application && !organization) return null;
+
+  const pick = key => application?.[key] ?? organization?.[key];
+  const contactEmails = [organization, application]
+    .flatMap(node => [node?.email, ...toArray(node?.contactPoint).map(point => point?.email)])
+    .filter(email => typeof email === 'string');
+
+  return {
+    type: String(toArray((application || organization)['@type'])[0]),
+    name: cleanText(typeof pick('name') === 'string' ? pick('name') : ''),
+    description: cleanText(typeof pick('description') === 'string' ? pick('description') : ''),
+    slogan: cleanText(typeof pick('slogan') === 'string' ? pick('slogan') : ''),
+    logo: getJsonLdImage(organization?.logo, pageUrl) || getJsonLdImage(application?.logo, pageUrl),
+    screenshot: getJsonLdImage(application?.screenshot, pageUrl) || getJsonLdImage(application?.image, pageUrl),
+    emails: contactEmails.map(email => email.replace(/^mailto:/i, '').trim().toLowerCase())
+  };
+}
+
+/** Text nodes of the page, leaving out scripts, styles and templates */
+function getContentText(node) {
+  if (node.nodeType === 3) return node.nodeValue;
+  if (node.nodeType !== 1 || NON_CONTENT_TAGS.includes(node.nodeName.toUpperCase())) return '';
+  return Array.from(node.childNodes, getContentText).join(' ');
+}
+
+function findEmails(doc, pageUrl) {
+  const found = [];
+  Array.from(doc.querySelectorAll('a[href]')).forEach(anchor => {
+    const href = anchor.getAttribute('href').trim();
+    if (!/^mailto:/i.test(href)) return;
+    try {
+      found.push(decodeURIComponent(href.slice(7).split('?')[0]));
+    } catch (_) {
+      found.push(href.slice(7).split('?')[0]);
+    }
+  });
+  const text = doc.body ? getContentText(doc.body) : '';
+  found.push(...(text.match(EMAIL_PATTERN) || []));
+
+  const host = getHostname(pageUrl);
+  const emails = Array.from(new Set(found.map(email => email.trim().toLowerCase())))
+    .filter(email => /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i.test(email) && !ASSET_EXTENSION.test(email));
+  // Addresses on the site's own domain first
+  return emails.sort((a, b) => (b.endsWith('@' + host) || b.endsWith('.' + host)) - (a.endsWith('@' + host) || a.endsWith('.' + host)));
+}
+
+/**
+ * Metadata of a page
+ * @param {Document} doc - parsed page (DOMParser in the offscreen document)
+ * @param {string} pageUrl - final URL of the page (relative icon / image URLs are resolved against it)
+ * @returns {{ url: string, title: string, description: string, siteName: string, ogTitle: string,
+ *   ogDescription: string, ogImage: string, icons: Array<{ url: string, rel: string, size: number }>,
+ *   jsonLd: object|null, emails: string[] }}
+ */
+export function extractSiteMetadata(doc, pageUrl) {
+  const head = doc.head || doc;
+
+  const meta = {};
+  Array.from(head.querySelectorAll('meta')).forEach(el => {
+    const key = (el.getAttribute('property') || el.getAttribute('name') || el.getAttribute('itemprop') || '').toLowerCase();
+    const content = cleanText(el.getAttribute('content'));
+    if (key && content && !(key in meta)) meta[key] = content;
+  });
+
+  const icons = Array.from(head.querySelectorAll('link[rel]'))
+    .map(el => ({ rel: el.getAttribute('rel').toLowerCase().trim(), href: el.getAttribute('href'), sizes: el.getAttribute('sizes') }))
+    .filter(link => /(^|\s)(icon|apple-touch-icon(-precomposed)?)(\s|$)/.test(link.rel) && link.href)
+    .map(link => ({
+      url: resolveUrl(link.href, pageUrl),
+      rel: link.rel,
+      size: parseIconSize(link.sizes) || (/apple-touch-icon/.test(link.rel) ? 180 : 0)
+    }))
+    .filter(icon => icon.url);
+
+  return {
+    url: pageUrl,
+    title: cleanText(doc.title),
+    description: meta.description || '',
+    siteName: meta['og:site_name'] || meta['application-name'] || '',
+    ogTitle: meta['og:title'] || meta['twitter:title'] || '',
+    ogDescription: meta['og:description'] || meta['twitter:description'] || '',
+    ogImage: resolveUrl(meta['og:image'] || meta['og:image:url'] || meta['og:image:secure_url'] || meta['twitter:image'], pageUrl),
+    icons,
+    jsonLd: readJsonLd(doc, pageUrl),
+    emails: findEmails(doc, pageUrl)
+  };
+}
+
+/**
+ * Best logo: JSON-LD logo, then the largest apple-touch-icon / icon, then /favicon.ico
+ */
+export function pickLogoUrl(metadata) {
+  if (metadata.jsonLd?.logo) return metadata.jsonLd.logo;
+  const best = metadata.icons.slice().sort((a, b) => b.size - a.size)[0];
+  if (best) return best.url;
+  try {
+    return new URL('/favicon.ico', metadata.url).href;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Split "Acme – Ship faster with AI" into a name and a slogan; the part that looks like the domain is the name
+ */
+export function splitTitle(title, pageUrl, knownName = '') {
+  const parts = String(title || '').split(TITLE_SEPARATOR).map(part => part.trim()).filter(Boolean);
+  if (parts.length < 2) return { name: parts[0] || '', slogan: '' };
+
+  const squash = text => text.toLowerCase().replace(/[^a-z0-9\u4e00-\u9fff]/g, '');
+  const hostLabel = squash(getHostname(pageUrl).split('.')[0] || '');
+  const known = squash(knownName);
+  let nameIndex = parts.findIndex(part => (known && squash(part) === known) || (hostLabel && squash(part) === hostLabel));
+  if (nameIndex < 0) nameIndex = parts.findIndex(part => hostLabel && (squash(part).includes(hostLabel) || hostLabel.includes(squash(part))));
+  if (nameIndex < 0) nameIndex = 0;
+
+  const rest = parts.filter((_, i) => i !== nameIndex);
+  return { name: parts[nameIndex], slogan: rest.sort((a, b) => b.length - a.length)[0] || '' };
+}
+
+/**
+ * Site profile suggestions from extractSiteMetadata; empty strings for what the page does not say
+ * @returns {{ siteName: string, tagline: string, shortDescription: string, email: string, logoUrl: string, screenshotUrl: string }}
+ */
+export function buildProfileFromMetadata(metadata) {
+  const jsonLd = metadata.jsonLd || {};
+  const knownName = jsonLd.name || metadata.siteName;
+  const fromTitle = splitTitle(metadata.title || metadata.ogTitle, metadata.url, knownName);
+  const fromOgTitle = splitTitle(metadata.ogTitle, metadata.url, knownName);
+  const shortDescription = metadata.description || metadata.ogDescription || jsonLd.description || '';
+  const slogan = jsonLd.slogan || fromTitle.slogan || fromOgTitle.slogan;
+
+  return {
+    siteName: knownName || fromTitle.name || fromOgTitle.name,
+    tagline: slogan && slogan !== shortDescription ? slogan : '',
+    shortDescription,
+    email: [...(jsonLd.emails || []), ...metadata.emails][0] || '',
+    logoUrl: pickLogoUrl(metadata),
+    screenshotUrl: jsonLd.screenshot || metadata.ogImage
+  };
+}
+
+export default {
+  extractSiteMetadata,
+  pickLogoUrl,
+  splitTitle,
+  buildProfileFromMetadata
+};
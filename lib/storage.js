@@ -3,6 +3,8 @@
  * Provides typed APIs for all data operations
  */
 
+import submissionRecords from './submissionRecords.js';
+
 // Standard field names used across the extension
 export const STANDARD_FIELDS = {
   SITE_NAME: 'siteName',
@@ -244,47 +246,27 @@ async function getAllFieldMappings() {
 }
 
 // ============ Submission Records ============
+// 统一由 submissionRecords.js 维护（key: `${siteId}_${navSiteId}`，含每次尝试的 history）
 
 /**
  * Get submission record for a site + nav site pair
  */
 async function getSubmissionRecord(siteId, navSiteId) {
-  const data = await get(STORAGE_KEYS.SUBMISSION_RECORDS);
-  const key = `${siteId}_${navSiteId}`;
-  return data[STORAGE_KEYS.SUBMISSION_RECORDS]?.[key] || null;
+  return submissionRecords.getRecord(siteId, navSiteId);
 }
 
 /**
  * Get all submission records for a site
  */
 async function getSubmissionRecordsForSite(siteId) {
-  const data = await get(STORAGE_KEYS.SUBMISSION_RECORDS);
-  const records = data[STORAGE_KEYS.SUBMISSION_RECORDS] || {};
-  return Object.entries(records)
-    .filter(([key]) => key.startsWith(siteId + '_'))
-    .map(([key, record]) => ({ key, ...record }));
+  return submissionRecords.getRecordsForSite(siteId);
 }
 
 /**
  * Create or update submission record
  */
 async function upsertSubmissionRecord(siteId, navSiteId, recordData) {
-  const data = await get(STORAGE_KEYS.SUBMISSION_RECORDS);
-  const records = data[STORAGE_KEYS.SUBMISSION_RECORDS] || {};
-  const key = `${siteId}_${navSiteId}`;
-
-  records[key] = {
-    ...records[key],
-    ...recordData,
-    updatedAt: new Date().toISOString()
-  };
-
-  if (!records[key].createdAt) {
-    records[key].createdAt = new Date().toISOString();
-  }
-
-  await set({ [STORAGE_KEYS.SUBMISSION_RECORDS]: records });
-  return records[key];
+  return submissionRecords.upsertRecord(siteId, navSiteId, recordData);
 }
 
 // ============ Settings ============
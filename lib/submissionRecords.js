@@ -0,0 +1,313 @@
+/**
+ * Submission Records - one record per site profile + nav site pair
+ * Key: `${siteId}_${navSiteId}`. Each record keeps the latest attempt's fields at the top level
+ * and an append-only `history` of every attempt (fill result, outcome, URL).
+ */
+
+const STORAGE_KEY = 'submissionRecords';
+
+/**
+ * Record key for a site + nav site pair
+ */
+export function getRecordKey(siteId, navSiteId) {
+  return `${siteId}_${navSiteId}`;
+}
+
+/**
+ * 规范化提交页地址用于匹配：去掉 www.、末尾斜杠、查询串与 hash，只比较 host + path
+ */
+export function getSubmitUrlKey(url) {
+  try {
+    const u = new URL(url);
+    return u.hostname.replace(/^www\./, '') + (u.pathname.replace(/\/+$/, '') || '/');
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Hostname without www., '' for invalid URLs
+ */
+function getHost(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * 按 submitUrl 的 host + path 找当前页面对应的导航站
+ */
+export function findNavSiteForUrl(navSites, url) {
+  const key = getSubmitUrlKey(url);
+  if (!key) return null;
+  return (navSites || []).find(ns => ns.submitUrl && getSubmitUrlKey(ns.submitUrl) === key) || null;
+}
+
+/**
+ * 提交记录用的导航站匹配：先按 host + path；提交后跳转到同站其它页面（感谢页等）时再按 host
+ */
+export function matchNavSiteForRecord(navSites, url) {
+  const exact = findNavSiteForUrl(navSites, url);
+  if (exact) return exact;
+  const host = getHost(url);
+  if (!host) return null;
+  return (navSites || []).find(ns => ns.submitUrl && getHost(ns.submitUrl) === host) || null;
+}
+
+async function readRecords() {
+  const data = await chrome.storage.local.get(STORAGE_KEY);
+  return data[STORAGE_KEY] || {};
+}
+
+async function writeRecords(records) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: records });
+}
+
+/** Tail of the update queue: read-modify-writes in this context run one at a time */
+let updateQueue = Promise.resolve();
+
+/**
+ * Run `mutate(records)` as one serialized update. Only the keys it changed or deleted are written back,
+ * over a fresh read, so records written by another context in the meantime are kept.
+ * @returns {Promise<*>} what mutate returns
+ */
+function updateRecords(mutate) {
+  const run = updateQueue.then(async () => {
+    const records = await readRecords();
+    const before = { ...records };
+    const result = await mutate(records);
+    const changedKeys = Array.from(new Set([...Object.keys(before), ...Object.keys(records)]))
+      .filter(key => records[key] !== before[key]);
+    if (changedKeys.length) {
+      const latest = await readRecords();
+      changedKeys.forEach(key => {
+        if (key in records) latest[key] = records[key];
+        else delete latest[key];
+      });
+      await writeRecords(latest);
+    }
+    return result;
+  });
+  updateQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Id for a history entry; unique even for attempts written in the same millisecond
+ */
+function createAttemptId(prefix = 'att_') {
+  return prefix + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * All records keyed by `${siteId}_${navSiteId}`
+ */
+export async function getAllRecords() {
+  return readRecords();
+}
+
+/**
+ * Get the record for a site + nav site pair
+ */
+export async function getRecord(siteId, navSiteId) {
+  const records = await readRecords();
+  return records[getRecordKey(siteId, navSiteId)] || null;
+}
+
+/**
+ * All records of a site profile
+ */
+export async function getRecordsForSite(siteId) {
+  const records = await readRecords();
+  return Object.entries(records)
+    .filter(([, record]) => record.siteId === siteId)
+    .map(([key, record]) => ({ key, ...record }));
+}
+
+/**
+ * All records of a nav site
+ */
+export async function getRecordsForNavSite(navSiteId) {
+  const records = await readRecords();
+  return Object.entries(records)
+    .filter(([, record]) => record.navSiteId === navSiteId)
+    .map(([key, record]) => ({ key, ...record }));
+}
+
+/**
+ * Merge fields into a record without touching its history
+ */
+export async function upsertRecord(siteId, navSiteId, recordData) {
+  return updateRecords(records => {
+    const key = getRecordKey(siteId, navSiteId);
+    const now = new Date().toISOString();
+    records[key] = {
+      siteId,
+      navSiteId,
+      history: [],
+      createdAt: now,
+      ...records[key],
+      ...recordData,
+      updatedAt: now
+    };
+    return records[key];
+  });
+}
+
+/**
+ * Append a fill attempt to the pair's history and make it the record's latest state
+ * @param {{ url: string, filledCount: number, errors: string[], hasCaptcha: boolean, navSiteName?: string }} attempt
+ */
+export async function appendAttempt(siteId, navSiteId, attempt) {
+  return updateRecords(records => {
+    const key = getRecordKey(siteId, navSiteId);
+    const now = new Date().toISOString();
+    const errors = attempt.errors || [];
+    const entry = {
+      id: createAttemptId(),
+      at: now,
+      url: attempt.url || null,
+      filledCount: attempt.filledCount || 0,
+      errorCount: errors.length,
+      errors,
+      hasCaptcha: !!attempt.hasCaptcha,
+      status: errors.length === 0 ? 'success' : 'partial',
+      outcome: null
+    };
+    const record = records[key] || { siteId, navSiteId, history: [], createdAt: now };
+    records[key] = {
+      ...record,
+      navSiteName: attempt.navSiteName || record.navSiteName,
+      status: entry.status,
+      submittedAt: now,
+      url: entry.url,
+      filledCount: entry.filledCount,
+      errorCount: entry.errorCount,
+      errors,
+      hasCaptcha: entry.hasCaptcha,
+      outcome: null,
+      history: [...(record.history || []), entry],
+      updatedAt: now
+    };
+    return records[key];
+  });
+}
+
+/**
+ * Attach a detected outcome (submitted / pending / failed) to the latest attempt of the pair.
+ * Without any earlier attempt a new history entry is appended so the outcome is not lost.
+ */
+export async function recordOutcome(siteId, navSiteId, outcome) {
+  return updateRecords(records => {
+    const key = getRecordKey(siteId, navSiteId);
+    const now = new Date().toISOString();
+    const record = records[key] || { siteId, navSiteId, history: [], createdAt: now };
+    const history = [...(record.history || [])];
+    const last = history[history.length - 1];
+    if (last && !last.outcome) {
+      history[history.length - 1] = { ...last, status: outcome.status, outcome };
+    } else {
+      history.push({ id: createAttemptId(), at: now, url: outcome.url || null, filledCount: 0, errorCount: 0, errors: [], hasCaptcha: false, status: outcome.status, outcome });
+    }
+    records[key] = { ...record, status: outcome.status, outcome, history, updatedAt: now };
+    return records[key];
+  });
+}
+
+/**
+ * Store a listing check (see lib/followUps.js checkListing) on the pair's record.
+ * 'listed' / 'not_found' become the record's status; a failed check ('error') leaves the status alone.
+ * @param {object} [patch] - extra record fields, e.g. a rescheduled followUpDate
+ */
+export async function recordListingCheck(siteId, navSiteId, check, patch = {}) {
+  return updateRecords(records => {
+    const key = getRecordKey(siteId, navSiteId);
+    const record = records[key];
+    if (!record) return null;
+    records[key] = {
+      ...record,
+      ...patch,
+      status: check.status === 'error' ? record.status : check.status,
+      listingCheck: check,
+      updatedAt: new Date().toISOString()
+    };
+    return records[key];
+  });
+}
+
+/**
+ * Migrate records written as `${siteId}_${hostname}` (before records were keyed by nav site).
+ * A legacy record whose domain matches a nav site's submitUrl host is folded into that pair's history;
+ * records that match no nav site are kept untouched.
+ * @returns {{ migrated: number, unmatched: number }}
+ */
+export async function migrateHostnameRecords(navSites) {
+  return updateRecords(records => {
+    const navSiteIds = new Set((navSites || []).map(ns => ns.id));
+    let migrated = 0;
+    let unmatched = 0;
+
+    for (const [key, record] of Object.entries(records)) {
+      if (record.navSiteId && navSiteIds.has(record.navSiteId)) continue;
+      if (!record.domain || !record.siteId) continue;
+      const host = record.domain.replace(/^www\./, '');
+      const navSite = (navSites || []).find(ns => ns.submitUrl && getHost(ns.submitUrl) === host);
+      if (!navSite) {
+        unmatched++;
+        continue;
+      }
+
+      const targetKey = getRecordKey(record.siteId, navSite.id);
+      const legacyEntry = {
+        id: createAttemptId('att_legacy_'),
+        at: record.submittedAt || record.createdAt || new Date().toISOString(),
+        url: record.outcome?.url || null,
+        filledCount: record.filledCount || 0,
+        errorCount: record.errorCount || 0,
+        errors: record.errors || [],
+        hasCaptcha: !!record.hasCaptcha,
+        status: record.status,
+        outcome: record.outcome || null
+      };
+      const target = records[targetKey] || { siteId: record.siteId, navSiteId: navSite.id, createdAt: legacyEntry.at };
+      const history = [...(target.history || []), legacyEntry].sort((a, b) => String(a.at).localeCompare(String(b.at)));
+      const latest = history[history.length - 1];
+      records[targetKey] = {
+        ...target,
+        navSiteName: navSite.name,
+        status: latest.status,
+        submittedAt: latest.at,
+        url: latest.url,
+        filledCount: latest.filledCount,
+        errorCount: latest.errorCount,
+        errors: latest.errors,
+        hasCaptcha: latest.hasCaptcha,
+        outcome: latest.outcome,
+        history,
+        updatedAt: new Date().toISOString()
+      };
+      if (targetKey !== key) delete records[key];
+      migrated++;
+    }
+
+    return { migrated, unmatched };
+  });
+}
+
+export default {
+  getRecordKey,
+  getSubmitUrlKey,
+  findNavSiteForUrl,
+  matchNavSiteForRecord,
+  getAllRecords,
+  getRecord,
+  getRecordsForSite,
+  getRecordsForNavSite,
+  upsertRecord,
+  appendAttempt,
+  recordOutcome,
+  recordListingCheck,
+  migrateHostnameRecords
+};
@@ -0,0 +1,128 @@
+/**
+ * Submit Discovery - find the submit page of a nav site that was added by domain only
+ * background.js fetches the homepage, extractSubmitLinks (run in the offscreen document) lists likely submit links,
+ * then each candidate is opened in a background tab where the content script reports the form it sees
+ * (getFormMetadata + keyword recognition); scoreSubmitForm ranks those reports.
+ */
+
+import { normalizeSubmitUrl } from './navSiteImport.js';
+
+/** Link text or href that points at a submit page */
+export const SUBMIT_LINK_PATTERN = /submit|add[-_\s]?(a[-_\s]?|your[-_\s]?)?(tool|site|app|product|startup|listing|link)|launch|list[-_\s]?your|提交|收录|投稿|入驻/i;
+
+/** Common submit paths probed when the homepage has no matching link */
+export const SUBMIT_PROBE_PATHS = ['/submit', '/submit-tool', '/add'];
+
+/** Homepage links opened at most (best scored first) */
+const MAX_LINK_CANDIDATES = 5;
+
+/** Below this score a page is not taken as the submit page */
+export const MIN_SUBMIT_FORM_SCORE = 3;
+
+/** Weight of each recognized standard field when scoring a form */
+const FIELD_WEIGHTS = {
+  siteUrl: 4,
+  siteName: 2,
+  tagline: 2,
+  shortDescription: 2,
+  longDescription: 2,
+  email: 1,
+  category: 1,
+  tags: 1,
+  pricing: 1,
+  logo: 1,
+  screenshot: 1
+};
+
+function normalizeHost(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Homepage ("https://host/") of a domain or any URL on the site; '' when input is not a domain or URL
+ */
+export function getHomepageUrl(input) {
+  const url = normalizeSubmitUrl(input);
+  return url ? new URL(url).origin + '/' : '';
+}
+
+/**
+ * Same-site links in doc whose text or href looks like a submit page, best first
+ * @returns {Array<{ url: string, text: string, score: number }>}
+ */
+export function extractSubmitLinks(doc, pageUrl) {
+  const pageHost = normalizeHost(new URL(pageUrl).hostname);
+  const byUrl = new Map();
+
+  doc.querySelectorAll('a[href]').forEach(a => {
+    let url;
+    try {
+      url = new URL(a.getAttribute('href'), pageUrl);
+    } catch (_) {
+      return;
+    }
+    if (!/^https?:$/.test(url.protocol) || normalizeHost(url.hostname) !== pageHost) return;
+    url.hash = '';
+    if (url.pathname === '/' && !url.search) return;
+
+    const text = ((a.textContent || '').replace(/\s+/g, ' ').trim() || a.getAttribute('aria-label') || a.getAttribute('title') || '').slice(0, 80);
+    let score = 0;
+    if (SUBMIT_LINK_PATTERN.test(text)) score += text.length <= 40 ? 3 : 2;
+    if (SUBMIT_LINK_PATTERN.test(url.pathname)) score += 2;
+    if (!score) return;
+
+    const existing = byUrl.get(url.href);
+    if (!existing || existing.score < score) byUrl.set(url.href, { url: url.href, text, score });
+  });
+
+  return Array.from(byUrl.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pages to open, in order: matching homepage links, then the probe paths
+ */
+export function buildDiscoveryCandidates(homepageUrl, links) {
+  const urls = [
+    ...(links || []).slice(0, MAX_LINK_CANDIDATES).map(link => link.url),
+    ...SUBMIT_PROBE_PATHS.map(path => new URL(path, homepageUrl).href)
+  ];
+  return Array.from(new Set(urls));
+}
+
+/**
+ * Score the form the content script saw on a page (higher = more like a submit form); 0 for no form or a login form
+ * @param {{ fieldCount: number, passwordCount: number, standardFields: string[] }} assessment
+ */
+export function scoreSubmitForm(assessment) {
+  if (!assessment?.fieldCount) return 0;
+  // A small form with a password field is a login / sign-up page
+  if (assessment.passwordCount > 0 && assessment.fieldCount <= 4) return 0;
+
+  const standardFields = new Set(assessment.standardFields || []);
+  let score = Math.min(assessment.fieldCount, 12) * 0.25;
+  standardFields.forEach(field => { score += FIELD_WEIGHTS[field] || 0; });
+  if (!standardFields.has('siteUrl')) score /= 2;
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Best scored page (earlier candidates win ties), or null when none reaches MIN_SUBMIT_FORM_SCORE
+ * @param {Array<{ url: string, score: number }>} results
+ */
+export function pickBestSubmitPage(results) {
+  return (results || []).reduce((best, result) => {
+    if (result.score < MIN_SUBMIT_FORM_SCORE) return best;
+    return !best || result.score > best.score ? result : best;
+  }, null);
+}
+
+export default {
+  SUBMIT_LINK_PATTERN,
+  SUBMIT_PROBE_PATHS,
+  MIN_SUBMIT_FORM_SCORE,
+  getHomepageUrl,
+  extractSubmitLinks,
+  buildDiscoveryCandidates,
+  scoreSubmitForm,
+  pickBestSubmitPage
+};
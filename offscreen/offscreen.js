@@ -0,0 +1,35 @@
+/**
+ * Offscreen document - DOM parsing for the service worker (which has no DOMParser)
+ */
+
+import { analyzeBacklinks } from '../lib/backlinks.js';
+import { extractSubmitLinks } from '../lib/submitDiscovery.js';
+import { extractSiteMetadata } from '../lib/siteMetadata.js';
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') return false;
+
+  if (request.action === 'parseBacklinks') {
+    try {
+      const doc = new DOMParser().parseFromString(request.html, 'text/html');
+      sendResponse({ success: true, result: analyzeBacklinks(doc, request.pageUrl, request.siteUrl) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  } else if (request.action === 'extractSubmitLinks') {
+    try {
+      const doc = new DOMParser().parseFromString(request.html, 'text/html');
+      sendResponse({ success: true, result: extractSubmitLinks(doc, request.pageUrl) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  } else if (request.action === 'extractSiteMetadata') {
+    try {
+      const doc = new DOMParser().parseFromString(request.html, 'text/html');
+      sendResponse({ success: true, result: extractSiteMetadata(doc, request.pageUrl) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+  return false;
+});
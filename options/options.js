@@ -3,19 +3,201 @@
  * Main logic for the settings/management page
  */
 
+import { getRecordKey, upsertRecord, migrateHostnameRecords } from '../lib/submissionRecords.js';
+import { getDateString, isFollowUpDue } from '../lib/followUps.js';
+import {
+  FINAL_ITEM_STATUSES,
+  createCampaign,
+  saveCampaign,
+  deleteCampaign,
+  getCampaignProgress,
+  selectNavSitesForCampaign
+} from '../lib/campaigns.js';
+import { queryNavSites } from '../lib/navSiteFilters.js';
+import { IMPORT_FIELDS, detectImportFormat, parseImportText, buildImportPreview } from '../lib/navSiteImport.js';
+import { generateDescription, getDefaultProviderConfig } from '../lib/llmService.js';
+import { SCREENSHOT_PRESETS, DEFAULT_SCREENSHOT_PRESET, addSiteScreenshot, getScreenshotLabel } from '../lib/screenshots.js';
+
 // State
 let currentTab = 'sites';
 let sites = [];
 let navSites = [];
 let fieldMappings = {};
+let submissionRecords = {};
+let campaigns = [];
 let settings = {};
 /** 当前编辑中待保存的 Logo 图片（data URL），用于文件上传类表单项 */
 let pendingLogoDataUrl = null;
 /** 当前编辑中待保存的界面截图（data URL），对应 App Image 等上传框 */
 let pendingScreenshotDataUrl = null;
+/** 当前编辑中的截图列表（从标签页截取，最新在前），保存时写入站点的 screenshots */
+let pendingScreenshots = [];
 
 const MAX_IMAGE_BYTES = 1024 * 1024; // 1MB
 
+// 标准字段 → 展示名称（识别缓存编辑用，与 popup 一致）
+const FIELD_LABELS = {
+  siteUrl: '网站 URL',
+  siteName: '网站名称',
+  email: '联系邮箱',
+  category: '分类',
+  tags: '标签',
+  pricing: '定价 (Pricing)',
+  tagline: '标语',
+  shortDescription: '简短描述',
+  longDescription: '详细描述',
+  logo: 'Logo',
+  screenshot: '界面截图'
+};
+
+// 映射来源 → 展示名称
+const METHOD_LABELS = {
+  bind: '绑定',
+  ai: 'AI',
+  keyword: '关键词'
+};
+
+/** 导航站「打开提交页时」的自动填充方式 */
+const NAV_SITE_AUTO_FILL_LABELS = {
+  off: '不处理',
+  offer: '提示是否填充',
+  auto: '直接填充'
+};
+
+/** 导航站收费方式 */
+const NAV_SITE_PRICING_LABELS = {
+  free: '免费',
+  paid: '付费'
+};
+
+/** 导航站给的链接类型 */
+const NAV_SITE_LINK_TYPE_LABELS = {
+  dofollow: 'Dofollow',
+  nofollow: 'Nofollow'
+};
+
+/** 导航站语言 */
+const NAV_SITE_LANGUAGE_LABELS = {
+  zh: '中文',
+  en: '英文',
+  ja: '日文',
+  ko: '韩文',
+  multi: '多语言',
+  other: '其他'
+};
+
+/** 站点档案文案可填写的语言版本 */
+const PROFILE_LANGUAGE_LABELS = {
+  zh: '中文',
+  en: '英文',
+  ja: '日文',
+  ko: '韩文',
+  fr: '法文',
+  de: '德文',
+  es: '西班牙文'
+};
+
+/** 多语言版本中可覆盖的文案字段 */
+const PROFILE_VARIANT_FIELD_LABELS = {
+  siteName: '网站名称',
+  tagline: '标语/口号',
+  shortDescription: '简短描述',
+  longDescription: '详细描述'
+};
+
+/** 「从网址获取」可预填的文本字段（与站点弹窗里的输入框 id 相同） */
+const SITE_METADATA_TEXT_FIELDS = ['siteName', 'tagline', 'shortDescription', 'email'];
+
+/** 站点弹窗中可用 AI 生成 / 润色的文案字段 → generateDescription 的类型 */
+const COPY_FIELD_TYPES = {
+  tagline: 'tagline',
+  shortDescription: 'short',
+  longDescription: 'long'
+};
+
+/** 导入时 CSV 列可对应的导航站字段 */
+const IMPORT_FIELD_LABELS = {
+  name: '名称',
+  submitUrl: '提交页 / 域名',
+  category: '分类',
+  notes: '备注',
+  pricingType: '收费方式',
+  price: '价格',
+  linkType: '链接类型',
+  language: '语言',
+  reviewDays: '审核天数',
+  dr: 'DR',
+  traffic: '月流量'
+};
+
+/** 导入预览中每行的状态 */
+const IMPORT_STATUS_LABELS = {
+  new: '新增',
+  duplicate: '重复',
+  invalid: '无效'
+};
+
+/** 导航站列表排序方式 */
+const NAV_SITE_SORT_LABELS = {
+  name: '按名称',
+  createdAt: '最近添加',
+  dr: 'DR 从高到低',
+  traffic: '流量从高到低',
+  reviewDays: '审核最快'
+};
+
+/** 提交记录状态：填充阶段（success/partial）与提交后检测到的结果（submitted/pending/failed） */
+const SUBMISSION_STATUS_LABELS = {
+  success: '已填充',
+  partial: '部分填充',
+  submitted: '已提交',
+  pending: '待审核',
+  failed: '提交失败',
+  listed: '已收录',
+  not_found: '未找到链接'
+};
+
+/** 收录页上指向站点的链接类型 */
+const BACKLINK_TYPE_LABELS = {
+  dofollow: 'Dofollow',
+  nofollow: 'Nofollow',
+  ugc: 'UGC',
+  sponsored: 'Sponsored',
+  none: '未找到链接'
+};
+
+/** 收录跟进列表包含的记录状态（另外有跟进日期或收录页地址的也列出） */
+const FOLLOW_UP_STATUSES = ['submitted', 'pending', 'listed', 'not_found'];
+
+/** 批量任务状态 */
+const CAMPAIGN_STATE_LABELS = {
+  idle: '未开始',
+  running: '进行中',
+  paused: '已暂停',
+  done: '已完成'
+};
+
+/** 批量任务中每个导航站的处理状态 */
+const CAMPAIGN_ITEM_STATUS_LABELS = {
+  pending: '待处理',
+  opening: '打开中',
+  filling: '填充中',
+  waiting: '等待提交',
+  done: '已提交',
+  skipped: '已跳过',
+  failed: '失败'
+};
+
+/** 展开了导航站明细的批量任务（重新渲染后保持展开） */
+const expandedCampaigns = new Set();
+
+/** 导航站「自动提交」：跟随全局设置或单独开启/关闭 */
+const NAV_SITE_AUTO_SUBMIT_LABELS = {
+  inherit: '跟随全局设置',
+  on: '开启',
+  off: '关闭'
+};
+
 /**
  * 将图片文件压缩到 < 1MB，返回 data URL（使用 Canvas 缩放 + JPEG 质量）
  */
@@ -130,6 +312,36 @@ function cacheElements() {
   elements.addNavSiteBtn = document.getElementById('addNavSiteBtn');
   elements.addFirstNavSiteBtn = document.getElementById('addFirstNavSiteBtn');
   elements.importNavSitesBtn = document.getElementById('importNavSitesBtn');
+  elements.navSiteFilters = document.getElementById('navSiteFilters');
+  elements.navSiteCount = document.getElementById('navSiteCount');
+
+  // Campaigns
+  elements.campaignsList = document.getElementById('campaignsList');
+  elements.noCampaignsHint = document.getElementById('noCampaignsHint');
+  elements.addCampaignBtn = document.getElementById('addCampaignBtn');
+
+  // Follow-ups
+  elements.followUpSite = document.getElementById('followUpSite');
+  elements.followUpDueOnly = document.getElementById('followUpDueOnly');
+  elements.followUpList = document.getElementById('followUpList');
+  elements.noFollowUpsHint = document.getElementById('noFollowUpsHint');
+
+  // Backlinks
+  elements.backlinkSite = document.getElementById('backlinkSite');
+  elements.backlinkType = document.getElementById('backlinkType');
+  elements.backlinkSummary = document.getElementById('backlinkSummary');
+  elements.backlinkTable = document.getElementById('backlinkTable');
+  elements.backlinkList = document.getElementById('backlinkList');
+  elements.noBacklinksHint = document.getElementById('noBacklinksHint');
+
+  // History
+  elements.historySite = document.getElementById('historySite');
+  elements.historyStatus = document.getElementById('historyStatus');
+  elements.historyFrom = document.getElementById('historyFrom');
+  elements.historyTo = document.getElementById('historyTo');
+  elements.historySummary = document.getElementById('historySummary');
+  elements.historyList = document.getElementById('historyList');
+  elements.noHistoryHint = document.getElementById('noHistoryHint');
 
   // Mappings
   elements.mappingsList = document.getElementById('mappingsList');
@@ -157,6 +369,8 @@ function cacheElements() {
   elements.llmModel = document.getElementById('llmModel');
   elements.testLlmBtn = document.getElementById('testLlmBtn');
   elements.autoSubmit = document.getElementById('autoSubmit');
+  elements.autoRerecognizeStale = document.getElementById('autoRerecognizeStale');
+  elements.wizardAutoNext = document.getElementById('wizardAutoNext');
   elements.saveSettingsBtn = document.getElementById('saveSettingsBtn');
 
   // Modal
@@ -190,6 +404,25 @@ function setupEventListeners() {
   elements.addNavSiteBtn?.addEventListener('click', () => openNavSiteModal());
   elements.addFirstNavSiteBtn?.addEventListener('click', () => openNavSiteModal());
   elements.importNavSitesBtn?.addEventListener('click', importNavSites);
+  elements.navSiteFilters?.addEventListener('input', renderNavSitesTab);
+
+  // Campaigns
+  elements.addCampaignBtn?.addEventListener('click', openCampaignModal);
+
+  // Follow-ups
+  [elements.followUpSite, elements.followUpDueOnly].forEach(el => {
+    el?.addEventListener('change', renderFollowUpsTab);
+  });
+
+  // Backlinks
+  [elements.backlinkSite, elements.backlinkType].forEach(el => {
+    el?.addEventListener('change', renderBacklinksTab);
+  });
+
+  // History
+  [elements.historySite, elements.historyStatus, elements.historyFrom, elements.historyTo].forEach(el => {
+    el?.addEventListener('change', renderHistoryTab);
+  });
 
   // Mappings
   elements.clearAllMappingsBtn?.addEventListener('click', clearAllMappings);
@@ -221,6 +454,8 @@ async function loadData() {
   sites = result.sites || [];
   navSites = result.navSites || [];
   fieldMappings = result.fieldMappings || {};
+  submissionRecords = result.submissionRecords || {};
+  campaigns = (result.campaigns || []).slice().sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
   settings = result.settings || {
     llmConfig: { enabled: false, endpoint: '', apiKey: '', model: '' },
     autoSubmit: false
@@ -267,6 +502,18 @@ function renderCurrentTab() {
     case 'navSites':
       renderNavSitesTab();
       break;
+    case 'campaigns':
+      renderCampaignsTab();
+      break;
+    case 'history':
+      renderHistoryTab();
+      break;
+    case 'followUps':
+      renderFollowUpsTab();
+      break;
+    case 'backlinks':
+      renderBacklinksTab();
+      break;
     case 'mappings':
       renderMappingsTab();
       break;
@@ -314,6 +561,12 @@ function renderSitesTab() {
             <span class="detail-label">分类:</span>
             <span class="detail-value">${escapeHtml(site.category || '-')}</span>
           </div>
+          ${Object.keys(site.variants || {}).length ? `
+          <div class="detail-row">
+            <span class="detail-label">多语言:</span>
+            <span class="detail-value">${escapeHtml(Object.keys(site.variants).map(lang => PROFILE_LANGUAGE_LABELS[lang] || lang).join('、'))}</span>
+          </div>
+          ` : ''}
         </div>
       </div>
     </div>
@@ -353,19 +606,35 @@ function renderSitesTab() {
 function renderNavSitesTab() {
   if (navSites.length === 0) {
     elements.navSitesList.classList.add('hidden');
+    elements.navSiteFilters.classList.add('hidden');
+    elements.navSiteCount.textContent = '';
     elements.noNavSitesHint.classList.remove('hidden');
     return;
   }
 
   elements.navSitesList.classList.remove('hidden');
+  elements.navSiteFilters.classList.remove('hidden');
   elements.noNavSitesHint.classList.add('hidden');
 
-  elements.navSitesList.innerHTML = navSites.map(navSite => `
+  // 筛选控件只建一次（避免搜索框失去焦点），分类选项随导航站更新
+  if (!elements.navSiteFilters.dataset.initialized) {
+    elements.navSiteFilters.innerHTML = buildNavSiteFilterControls('navSiteFilter', { search: true, sort: true });
+    elements.navSiteFilters.dataset.initialized = '1';
+  } else {
+    refreshCategoryOptions(document.getElementById('navSiteFilterCategory'));
+  }
+  const filtered = queryNavSites(navSites, readNavSiteFilters('navSiteFilter'), document.getElementById('navSiteFilterSort').value);
+  elements.navSiteCount.textContent = filtered.length === navSites.length
+    ? `共 ${navSites.length} 个导航站`
+    : `显示 ${filtered.length} / ${navSites.length} 个导航站`;
+
+  elements.navSitesList.innerHTML = filtered.map(navSite => `
     <div class="item-card">
       <div class="item-header">
         <h3 class="item-title">${escapeHtml(navSite.name || 'Unnamed')}</h3>
         <div class="item-actions">
           <button class="btn-icon" data-action="open" data-url="${escapeHtml(navSite.submitUrl || '')}" title="打开">🔗</button>
+          <button class="btn-icon" data-action="discover" data-id="${navSite.id}" title="查找提交页">🔍</button>
           <button class="btn-icon" data-action="edit" data-id="${navSite.id}" title="编辑">✏️</button>
           <button class="btn-icon" data-action="delete" data-id="${navSite.id}" title="删除">🗑️</button>
         </div>
@@ -379,6 +648,19 @@ function renderNavSitesTab() {
           <span class="detail-label">分类:</span>
           <span class="detail-value">${escapeHtml(navSite.category || '-')}</span>
         </div>
+        ${renderNavSiteMeta(navSite)}
+        <div class="detail-row">
+          <span class="detail-label">自动填充:</span>
+          <span class="detail-value">${escapeHtml(NAV_SITE_AUTO_FILL_LABELS[navSite.autoFill || 'offer'])}</span>
+        </div>
+        <div class="detail-row">
+          <span class="detail-label">自动提交:</span>
+          <span class="detail-value">${escapeHtml(NAV_SITE_AUTO_SUBMIT_LABELS[navSite.autoSubmit || 'inherit'])}</span>
+        </div>
+        <div class="detail-row">
+          <span class="detail-label">提交状态:</span>
+          <span class="detail-value">${renderNavSiteSubmissionStatus(navSite)}</span>
+        </div>
       </div>
     </div>
   `).join('');
@@ -392,6 +674,8 @@ function renderNavSitesTab() {
 
       if (action === 'open' && url) {
         chrome.tabs.create({ url });
+      } else if (action === 'discover') {
+        discoverNavSiteSubmitUrl(id, e.target);
       } else if (action === 'edit') {
         openNavSiteModal(id);
       } else if (action === 'delete') {
@@ -401,6 +685,667 @@ function renderNavSitesTab() {
   });
 }
 
+/**
+ * 导航站元数据筛选控件（导航站列表与新建批量任务共用），控件 id 为 prefix + Category / PricingType / …
+ */
+function buildNavSiteFilterControls(prefix, { search = false, sort = false } = {}) {
+  const select = (key, anyLabel, labels) => `
+    <select id="${prefix}${key}" class="select">
+      <option value="">${escapeHtml(anyLabel)}</option>
+      ${Object.entries(labels).map(([value, label]) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`).join('')}
+    </select>
+  `;
+  const categories = [...new Set(navSites.map(ns => ns.category).filter(Boolean))];
+  return [
+    search ? `<input type="search" id="${prefix}Search" class="input" placeholder="搜索名称 / 网址 / 备注">` : '',
+    select('Category', '全部分类', Object.fromEntries(categories.map(c => [c, c]))),
+    select('PricingType', '收费不限', NAV_SITE_PRICING_LABELS),
+    select('LinkType', '链接类型不限', NAV_SITE_LINK_TYPE_LABELS),
+    select('Language', '语言不限', NAV_SITE_LANGUAGE_LABELS),
+    select('RequiresLogin', '登录不限', { no: '无需登录', yes: '需要登录' }),
+    select('BacklinkRequired', '回链不限', { no: '无需回链', yes: '需要回链' }),
+    `<input type="number" id="${prefix}MinDr" class="input" min="0" max="100" placeholder="最低 DR">`,
+    sort ? select('Sort', '默认顺序', NAV_SITE_SORT_LABELS) : ''
+  ].join('');
+}
+
+/**
+ * 读取 buildNavSiteFilterControls 生成的筛选条件
+ */
+function readNavSiteFilters(prefix) {
+  const value = key => document.getElementById(prefix + key)?.value.trim() || '';
+  return {
+    search: value('Search'),
+    category: value('Category'),
+    pricingType: value('PricingType'),
+    linkType: value('LinkType'),
+    language: value('Language'),
+    requiresLogin: value('RequiresLogin'),
+    backlinkRequired: value('BacklinkRequired'),
+    minDr: value('MinDr')
+  };
+}
+
+/**
+ * 用当前导航站的分类重建分类下拉，保留已选值
+ */
+function refreshCategoryOptions(select) {
+  const selected = select.value;
+  const categories = [...new Set(navSites.map(ns => ns.category).filter(Boolean))];
+  select.innerHTML = `<option value="">全部分类</option>` + categories.map(c => `
+    <option value="${escapeHtml(c)}" ${c === selected ? 'selected' : ''}>${escapeHtml(c)}</option>
+  `).join('');
+}
+
+/**
+ * 导航站卡片上的收录条件、审核与指标；都没填时不显示
+ */
+function renderNavSiteMeta(navSite) {
+  const terms = [
+    navSite.pricingType === 'paid' ? `付费${navSite.price ? ` ${navSite.price}` : ''}` : NAV_SITE_PRICING_LABELS[navSite.pricingType],
+    NAV_SITE_LINK_TYPE_LABELS[navSite.linkType],
+    navSite.backlinkRequired ? '需回链' : '',
+    navSite.requiresLogin ? '需登录' : ''
+  ].filter(Boolean);
+  const review = [
+    navSite.reviewDays != null ? `审核约 ${navSite.reviewDays} 天` : '',
+    NAV_SITE_LANGUAGE_LABELS[navSite.language]
+  ].filter(Boolean);
+  const metrics = [
+    navSite.dr != null ? `DR ${navSite.dr}` : '',
+    navSite.traffic != null ? `月流量 ${Number(navSite.traffic).toLocaleString()}` : ''
+  ].filter(Boolean);
+  const row = (label, values) => (values.length ? `
+    <div class="detail-row">
+      <span class="detail-label">${label}:</span>
+      <span class="detail-value">${escapeHtml(values.join(' · '))}</span>
+    </div>
+  ` : '');
+  return row('收录条件', terms) + row('审核 / 语言', review) + row('指标', metrics);
+}
+
+/**
+ * 导航站对应的提交记录（每个站点一条，key 为 siteId_navSiteId）
+ */
+function getNavSiteRecords(navSite) {
+  return sites.map(site => submissionRecords[getRecordKey(site.id, navSite.id)]).filter(Boolean);
+}
+
+/**
+ * 各站点在该导航站的最新状态；失败原因放在 title 里
+ */
+function renderNavSiteSubmissionStatus(navSite) {
+  const records = getNavSiteRecords(navSite);
+  if (records.length === 0) return '-';
+  return records.map(record => {
+    const siteName = sites.find(s => s.id === record.siteId)?.siteName || record.siteId;
+    const label = SUBMISSION_STATUS_LABELS[record.status] || record.status;
+    const time = record.outcome?.detectedAt || record.submittedAt;
+    const title = [
+      time ? new Date(time).toLocaleString() : '',
+      ...(record.outcome?.messages || [])
+    ].filter(Boolean).join('\n');
+    return `<span class="submit-status submit-status-${escapeHtml(record.status || '')}" title="${escapeHtml(title)}">${escapeHtml(siteName)} · ${escapeHtml(label)}</span>`;
+  }).join(' ');
+}
+
+/**
+ * 批量任务列表：进度、当前导航站与每个导航站的处理状态
+ */
+function renderCampaignsTab() {
+  if (campaigns.length === 0) {
+    elements.campaignsList.classList.add('hidden');
+    elements.noCampaignsHint.classList.remove('hidden');
+    return;
+  }
+  elements.campaignsList.classList.remove('hidden');
+  elements.noCampaignsHint.classList.add('hidden');
+
+  const getNavSiteName = navSiteId => navSites.find(ns => ns.id === navSiteId)?.name || navSiteId;
+  elements.campaignsList.innerHTML = campaigns.map(campaign => {
+    const siteName = sites.find(s => s.id === campaign.siteId)?.siteName || campaign.siteId;
+    const progress = getCampaignProgress(campaign);
+    const percent = progress.total ? Math.round((progress.total - progress.remaining) / progress.total * 100) : 100;
+    const current = campaign.items[campaign.currentIndex];
+    const running = campaign.state === 'running';
+    return `
+      <div class="item-card">
+        <div class="item-header">
+          <h3 class="item-title">${escapeHtml(campaign.name)} <span class="campaign-state campaign-state-${escapeHtml(campaign.state)}">${escapeHtml(CAMPAIGN_STATE_LABELS[campaign.state] || campaign.state)}</span></h3>
+          <div class="item-actions">
+            ${running
+              ? `<button class="btn-icon" data-action="pause" data-id="${campaign.id}" title="暂停">⏸️</button>`
+              : progress.remaining ? `<button class="btn-icon" data-action="start" data-id="${campaign.id}" title="${campaign.state === 'idle' ? '开始' : '继续'}">▶️</button>` : ''}
+            <button class="btn-icon" data-action="delete" data-id="${campaign.id}" title="删除">🗑️</button>
+          </div>
+        </div>
+        <div class="item-details">
+          <div class="detail-row">
+            <span class="detail-label">站点:</span>
+            <span class="detail-value">${escapeHtml(siteName)}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">进度:</span>
+            <span class="detail-value">
+              <span class="campaign-progress"><span class="campaign-progress-bar" style="width:${percent}%"></span></span>
+              已提交 ${progress.done} · 跳过 ${progress.skipped} · 失败 ${progress.failed} · 剩余 ${progress.remaining} / 共 ${progress.total}
+            </span>
+          </div>
+          ${current && campaign.state !== 'done' ? `
+          <div class="detail-row">
+            <span class="detail-label">当前:</span>
+            <span class="detail-value">${campaign.currentIndex + 1}. ${escapeHtml(getNavSiteName(current.navSiteId))}（${escapeHtml(CAMPAIGN_ITEM_STATUS_LABELS[current.status] || current.status)}）</span>
+          </div>` : ''}
+        </div>
+        <details class="campaign-items" data-id="${campaign.id}" ${expandedCampaigns.has(campaign.id) ? 'open' : ''}>
+          <summary>导航站明细</summary>
+          <ol>
+            ${campaign.items.map((item, index) => `
+              <li class="${index === campaign.currentIndex && campaign.state !== 'done' ? 'campaign-item-current' : ''}">
+                <span class="campaign-item-status campaign-item-status-${escapeHtml(item.status)}">${escapeHtml(CAMPAIGN_ITEM_STATUS_LABELS[item.status] || item.status)}</span>
+                ${escapeHtml(getNavSiteName(item.navSiteId))}
+                ${item.attempts > 1 ? `<span class="timeline-meta">第 ${item.attempts} 次</span>` : ''}
+                ${item.lastError ? `<span class="timeline-meta" title="${escapeHtml(item.lastError)}">${escapeHtml(item.lastError)}</span>` : ''}
+                ${FINAL_ITEM_STATUSES.includes(item.status) ? `<button class="btn-icon" data-action="requeue" data-id="${campaign.id}" data-index="${index}" title="重新排队">🔁</button>` : ''}
+              </li>
+            `).join('')}
+          </ol>
+        </details>
+      </div>
+    `;
+  }).join('');
+
+  elements.campaignsList.querySelectorAll('.btn-icon').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const { action, id, index } = e.currentTarget.dataset;
+      if (action === 'delete') {
+        removeCampaign(id);
+      } else {
+        sendCampaignCommand(action, id, index != null ? Number(index) : undefined);
+      }
+    });
+  });
+  elements.campaignsList.querySelectorAll('.campaign-items').forEach(details => {
+    details.addEventListener('toggle', () => {
+      if (details.open) expandedCampaigns.add(details.dataset.id);
+      else expandedCampaigns.delete(details.dataset.id);
+    });
+  });
+}
+
+/**
+ * 新建批量任务：选站点，按分类 / 是否已提交筛选导航站，再逐个勾选
+ */
+function openCampaignModal() {
+  if (sites.length === 0) {
+    showToast('请先添加站点', 'error');
+    return;
+  }
+  const defaultSiteId = sites.some(s => s.id === settings.currentSiteId) ? settings.currentSiteId : sites[0].id;
+
+  elements.modalTitle.textContent = '新建批量任务';
+  elements.modalBody.innerHTML = `
+    <form id="campaignForm" class="form">
+      <div class="form-group">
+        <label for="campaignName" class="form-label required">任务名称</label>
+        <input type="text" id="campaignName" class="input" required>
+      </div>
+
+      <div class="form-group">
+        <label for="campaignSite" class="form-label required">提交站点</label>
+        <select id="campaignSite" class="select">
+          ${sites.map(site => `
+            <option value="${escapeHtml(site.id)}" ${site.id === defaultSiteId ? 'selected' : ''}>${escapeHtml(site.siteName || site.id)}</option>
+          `).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">导航站</label>
+        <div id="campaignFilters" class="filter-bar filter-bar-wrap">
+          ${buildNavSiteFilterControls('campaignFilter')}
+        </div>
+        <label class="checkbox-label">
+          <input type="checkbox" id="campaignSkipSubmitted" checked>
+          跳过已提交过的（已提交 / 待审核 / 已收录）
+        </label>
+        <label class="checkbox-label">
+          <input type="checkbox" id="campaignSelectAll" checked>
+          <span id="campaignSelectedCount"></span>
+        </label>
+        <div id="campaignNavSites" class="campaign-nav-sites"></div>
+        <div class="form-hint">没有提交页地址的导航站不会列出</div>
+      </div>
+
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancelCampaignBtn">取消</button>
+        <button type="submit" class="btn btn-primary">创建</button>
+      </div>
+    </form>
+  `;
+  openModal();
+
+  const siteSelect = document.getElementById('campaignSite');
+  const nameInput = document.getElementById('campaignName');
+  const listEl = document.getElementById('campaignNavSites');
+  const selectAll = document.getElementById('campaignSelectAll');
+  const countEl = document.getElementById('campaignSelectedCount');
+  const getChecked = () => Array.from(listEl.querySelectorAll('input:checked')).map(input => input.value);
+  const updateCount = () => {
+    const total = listEl.querySelectorAll('input').length;
+    countEl.textContent = `已选 ${getChecked().length} / ${total}`;
+    selectAll.checked = total > 0 && getChecked().length === total;
+  };
+  const renderNavSiteList = () => {
+    const eligible = selectNavSitesForCampaign(navSites, submissionRecords, siteSelect.value, {
+      ...readNavSiteFilters('campaignFilter'),
+      skipSubmitted: document.getElementById('campaignSkipSubmitted').checked
+    });
+    listEl.innerHTML = eligible.length
+      ? eligible.map(ns => `
+        <label class="checkbox-label">
+          <input type="checkbox" value="${escapeHtml(ns.id)}" checked>
+          ${escapeHtml(ns.name || ns.submitUrl)}
+          <span class="timeline-meta">${escapeHtml(ns.category || '')}</span>
+        </label>
+      `).join('')
+      : '<p class="hint">没有符合条件的导航站</p>';
+    updateCount();
+  };
+  const suggestName = () => {
+    if (nameInput.dataset.edited) return;
+    const siteName = sites.find(s => s.id === siteSelect.value)?.siteName || '';
+    nameInput.value = `${siteName} ${new Date().toLocaleDateString()}`.trim();
+  };
+
+  siteSelect.addEventListener('change', () => { suggestName(); renderNavSiteList(); });
+  document.getElementById('campaignFilters').addEventListener('input', renderNavSiteList);
+  document.getElementById('campaignSkipSubmitted').addEventListener('change', renderNavSiteList);
+  nameInput.addEventListener('input', () => { nameInput.dataset.edited = '1'; });
+  listEl.addEventListener('change', updateCount);
+  selectAll.addEventListener('change', () => {
+    listEl.querySelectorAll('input').forEach(input => { input.checked = selectAll.checked; });
+    updateCount();
+  });
+  suggestName();
+  renderNavSiteList();
+
+  document.getElementById('campaignForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveNewCampaign(nameInput.value.trim(), siteSelect.value, getChecked());
+  });
+  document.getElementById('cancelCampaignBtn').addEventListener('click', closeModal);
+}
+
+/**
+ * 保存新建的批量任务（创建后需手动开始）
+ */
+async function saveNewCampaign(name, siteId, navSiteIds) {
+  if (navSiteIds.length === 0) {
+    showToast('请至少选择一个导航站', 'error');
+    return;
+  }
+  try {
+    await saveCampaign(createCampaign({ name, siteId, navSiteIds }));
+    closeModal();
+    await loadData();
+    renderCampaignsTab();
+    showToast(`已创建批量任务（${navSiteIds.length} 个导航站），点击 ▶️ 开始`, 'success');
+  } catch (error) {
+    showToast('创建失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 批量任务控制（开始 / 继续、暂停、重新排队）由 background 执行，进度变化经 storage.onChanged 刷新
+ */
+async function sendCampaignCommand(command, campaignId, itemIndex) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'campaignControl', command, campaignId, itemIndex });
+    if (!response?.success) throw new Error(response?.error || '未知错误');
+  } catch (error) {
+    showToast('操作失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete campaign
+ */
+async function removeCampaign(campaignId) {
+  if (!confirm('确定要删除这个批量任务吗？已写入的提交记录会保留。')) return;
+  try {
+    await deleteCampaign(campaignId);
+    expandedCampaigns.delete(campaignId);
+    await loadData();
+    renderCampaignsTab();
+    showToast('批量任务已删除', 'success');
+  } catch (error) {
+    showToast('删除失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 所有提交尝试（每条带所属导航站与该导航站的第几次尝试），按时间倒序
+ */
+function getSubmissionAttempts(siteId) {
+  const attempts = [];
+  Object.values(submissionRecords)
+    .filter(record => record.navSiteId && (!siteId || record.siteId === siteId))
+    .forEach(record => {
+      const navSite = navSites.find(ns => ns.id === record.navSiteId);
+      (record.history || []).forEach((attempt, index) => {
+        attempts.push({
+          ...attempt,
+          siteId: record.siteId,
+          navSiteId: record.navSiteId,
+          navSiteName: navSite?.name || record.navSiteName || record.navSiteId,
+          attemptNumber: index + 1
+        });
+      });
+    });
+  return attempts.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+}
+
+/**
+ * 提交历史：按站点 / 状态 / 日期筛选的时间线
+ */
+function renderHistoryTab() {
+  const siteSelect = elements.historySite;
+  // 首次打开默认看当前站点，之后保留用户的选择
+  const selectedSite = siteSelect.dataset.initialized ? siteSelect.value : (settings.currentSiteId || '');
+  siteSelect.innerHTML = `<option value="">全部站点</option>` + sites.map(site => `
+    <option value="${escapeHtml(site.id)}" ${site.id === selectedSite ? 'selected' : ''}>${escapeHtml(site.siteName || site.id)}</option>
+  `).join('');
+  siteSelect.dataset.initialized = '1';
+
+  if (elements.historyStatus.options.length === 1) {
+    // 收录状态只在记录上，不在单次尝试上
+    elements.historyStatus.insertAdjacentHTML('beforeend', Object.entries(SUBMISSION_STATUS_LABELS)
+      .filter(([value]) => !['listed', 'not_found'].includes(value))
+      .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join(''));
+  }
+
+  const status = elements.historyStatus.value;
+  const from = elements.historyFrom.value ? new Date(elements.historyFrom.value + 'T00:00:00') : null;
+  const to = elements.historyTo.value ? new Date(elements.historyTo.value + 'T23:59:59.999') : null;
+  const attempts = getSubmissionAttempts(siteSelect.value).filter(attempt => {
+    const at = new Date(attempt.at);
+    if (status && attempt.status !== status) return false;
+    if (from && at < from) return false;
+    if (to && at > to) return false;
+    return true;
+  });
+
+  const navSiteCount = new Set(attempts.map(a => a.navSiteId)).size;
+  const submittedCount = attempts.filter(a => ['submitted', 'pending'].includes(a.status)).length;
+  elements.historySummary.textContent = attempts.length
+    ? `共 ${attempts.length} 次尝试，涉及 ${navSiteCount} 个导航站，其中 ${submittedCount} 次已提交`
+    : '';
+
+  if (attempts.length === 0) {
+    elements.historyList.classList.add('hidden');
+    elements.noHistoryHint.classList.remove('hidden');
+    return;
+  }
+  elements.historyList.classList.remove('hidden');
+  elements.noHistoryHint.classList.add('hidden');
+
+  const showSiteName = !siteSelect.value;
+  elements.historyList.innerHTML = attempts.map(attempt => {
+    const siteName = sites.find(s => s.id === attempt.siteId)?.siteName || attempt.siteId;
+    const messages = attempt.outcome?.messages || [];
+    const url = attempt.outcome?.url || attempt.url;
+    return `
+      <div class="timeline-item">
+        <div class="timeline-time">${escapeHtml(new Date(attempt.at).toLocaleString())}</div>
+        <div class="timeline-body">
+          <div class="timeline-title">
+            <span class="submit-status submit-status-${escapeHtml(attempt.status || '')}">${escapeHtml(SUBMISSION_STATUS_LABELS[attempt.status] || attempt.status || '-')}</span>
+            ${escapeHtml(attempt.navSiteName)}${showSiteName ? ` · ${escapeHtml(siteName)}` : ''}
+            <span class="timeline-meta">第 ${attempt.attemptNumber} 次</span>
+          </div>
+          <div class="timeline-meta">
+            填充 ${attempt.filledCount || 0} 个字段${attempt.errorCount ? `，${attempt.errorCount} 个错误` : ''}${attempt.hasCaptcha ? '，有验证码' : ''}
+          </div>
+          ${attempt.errors?.length ? `<div class="timeline-meta" title="${escapeHtml(attempt.errors.join('\n'))}">错误：${escapeHtml(attempt.errors.slice(0, 2).join('；'))}${attempt.errors.length > 2 ? '…' : ''}</div>` : ''}
+          ${messages.length ? `<div class="timeline-meta">页面提示：${escapeHtml(messages.join('；'))}</div>` : ''}
+          ${url ? `<a class="timeline-link text-truncate" href="${escapeHtml(url)}" target="_blank" rel="noopener">${escapeHtml(url)}</a>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * 收录跟进：已提交的记录按跟进日期排序，可编辑跟进日期 / 收录页并立即检查
+ */
+function renderFollowUpsTab() {
+  const siteSelect = elements.followUpSite;
+  const selectedSite = siteSelect.dataset.initialized ? siteSelect.value : (settings.currentSiteId || '');
+  siteSelect.innerHTML = `<option value="">全部站点</option>` + sites.map(site => `
+    <option value="${escapeHtml(site.id)}" ${site.id === selectedSite ? 'selected' : ''}>${escapeHtml(site.siteName || site.id)}</option>
+  `).join('');
+  siteSelect.dataset.initialized = '1';
+
+  const today = getDateString();
+  const records = Object.values(submissionRecords)
+    .filter(record => record.navSiteId && (!siteSelect.value || record.siteId === siteSelect.value))
+    .filter(record => FOLLOW_UP_STATUSES.includes(record.status) || record.followUpDate || record.listingUrl)
+    .filter(record => !elements.followUpDueOnly.checked || isFollowUpDue(record, today))
+    // 有跟进日期的按日期升序在前，已收录的排最后
+    .sort((a, b) => (a.status === 'listed') - (b.status === 'listed') ||
+      String(a.followUpDate || '9999').localeCompare(String(b.followUpDate || '9999')));
+
+  if (records.length === 0) {
+    elements.followUpList.classList.add('hidden');
+    elements.noFollowUpsHint.classList.remove('hidden');
+    return;
+  }
+  elements.followUpList.classList.remove('hidden');
+  elements.noFollowUpsHint.classList.add('hidden');
+
+  const showSiteName = !siteSelect.value;
+  elements.followUpList.innerHTML = records.map(record => {
+    const navSite = navSites.find(ns => ns.id === record.navSiteId);
+    const siteName = sites.find(s => s.id === record.siteId)?.siteName || record.siteId;
+    const due = isFollowUpDue(record, today);
+    const check = record.listingCheck;
+    const checkText = check
+      ? `${new Date(check.checkedAt).toLocaleString()} · ${check.status === 'error' ? `失败（${check.error || ''}）` : SUBMISSION_STATUS_LABELS[check.status]}` +
+        (check.status === 'listed' && check.linkType ? ` · ${BACKLINK_TYPE_LABELS[check.linkType] || check.linkType}` : '')
+      : '-';
+    const ids = `data-site-id="${escapeHtml(record.siteId)}" data-nav-site-id="${escapeHtml(record.navSiteId)}"`;
+    return `
+      <div class="item-card">
+        <div class="item-header">
+          <h3 class="item-title">
+            ${escapeHtml(navSite?.name || record.navSiteName || record.navSiteId)}${showSiteName ? ` · ${escapeHtml(siteName)}` : ''}
+            <span class="submit-status submit-status-${escapeHtml(record.status || '')}">${escapeHtml(SUBMISSION_STATUS_LABELS[record.status] || record.status || '-')}</span>
+          </h3>
+          <div class="item-actions">
+            ${record.listingUrl ? `<button class="btn-icon" data-action="check" ${ids} title="立即检查收录">🔎</button>` : ''}
+            <button class="btn-icon" data-action="edit" ${ids} title="编辑跟进">✏️</button>
+          </div>
+        </div>
+        <div class="item-details">
+          <div class="detail-row">
+            <span class="detail-label">跟进日期:</span>
+            <span class="detail-value ${due ? 'follow-up-due' : ''}">${escapeHtml(record.followUpDate || '-')}${due ? '（已到期）' : ''}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">收录页:</span>
+            <span class="detail-value text-truncate">${record.listingUrl ? `<a href="${escapeHtml(record.listingUrl)}" target="_blank" rel="noopener">${escapeHtml(record.listingUrl)}</a>` : '-'}</span>
+          </div>
+          <div class="detail-row">
+            <span class="detail-label">上次检查:</span>
+            <span class="detail-value">${escapeHtml(checkText)}</span>
+          </div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  elements.followUpList.querySelectorAll('.btn-icon').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const { action, siteId, navSiteId } = e.currentTarget.dataset;
+      if (action === 'edit') openFollowUpModal(siteId, navSiteId);
+      else if (action === 'check') checkListingNow(siteId, navSiteId, e.currentTarget);
+    });
+  });
+}
+
+/**
+ * 外链报告：每条检查过收录页的记录一行，列出指向站点的链接及其 rel / 锚文本
+ */
+function renderBacklinksTab() {
+  const siteSelect = elements.backlinkSite;
+  const selectedSite = siteSelect.dataset.initialized ? siteSelect.value : (settings.currentSiteId || '');
+  siteSelect.innerHTML = `<option value="">全部站点</option>` + sites.map(site => `
+    <option value="${escapeHtml(site.id)}" ${site.id === selectedSite ? 'selected' : ''}>${escapeHtml(site.siteName || site.id)}</option>
+  `).join('');
+  siteSelect.dataset.initialized = '1';
+
+  if (elements.backlinkType.options.length === 1) {
+    elements.backlinkType.insertAdjacentHTML('beforeend', Object.entries(BACKLINK_TYPE_LABELS)
+      .map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('') +
+      '<option value="error">检查失败</option>');
+  }
+
+  const typeFilter = elements.backlinkType.value;
+  const getType = check => (check.status === 'error' ? 'error' : check.linkType || 'none');
+  const records = Object.values(submissionRecords)
+    .filter(record => record.listingCheck && (!siteSelect.value || record.siteId === siteSelect.value))
+    .sort((a, b) => String(b.listingCheck.checkedAt).localeCompare(String(a.listingCheck.checkedAt)));
+  const rows = records.filter(record => !typeFilter || getType(record.listingCheck) === typeFilter);
+
+  const count = type => records.filter(record => getType(record.listingCheck) === type).length;
+  const followedCount = count('dofollow');
+  const notFollowedCount = records.filter(record => ['nofollow', 'ugc', 'sponsored'].includes(getType(record.listingCheck))).length;
+  elements.backlinkSummary.textContent = records.length
+    ? `共 ${records.length} 个收录页：Dofollow ${followedCount}，Nofollow/UGC/Sponsored ${notFollowedCount}，未找到链接 ${count('none')}，检查失败 ${count('error')}`
+    : '';
+
+  if (rows.length === 0) {
+    elements.backlinkTable.classList.add('hidden');
+    elements.noBacklinksHint.classList.remove('hidden');
+    return;
+  }
+  elements.backlinkTable.classList.remove('hidden');
+  elements.noBacklinksHint.classList.add('hidden');
+
+  const showSiteName = !siteSelect.value;
+  elements.backlinkList.innerHTML = rows.map(record => {
+    const check = record.listingCheck;
+    const type = getType(check);
+    const navSiteName = navSites.find(ns => ns.id === record.navSiteId)?.name || record.navSiteName || record.navSiteId;
+    const siteName = sites.find(s => s.id === record.siteId)?.siteName || record.siteId;
+    const links = (check.links || []).map(link => `
+      <div class="backlink-anchor" title="${escapeHtml(link.href)}">
+        「${escapeHtml(link.text || '(无文字)')}」${link.rel?.length ? ` <span class="timeline-meta">rel="${escapeHtml(link.rel.join(' '))}"</span>` : ''}
+      </div>
+    `).join('');
+    return `
+      <tr>
+        <td>
+          ${escapeHtml(navSiteName)}${showSiteName ? `<div class="timeline-meta">${escapeHtml(siteName)}</div>` : ''}
+        </td>
+        <td><span class="backlink-type backlink-type-${escapeHtml(type)}">${escapeHtml(type === 'error' ? '检查失败' : BACKLINK_TYPE_LABELS[type] || type)}</span></td>
+        <td>${links || escapeHtml(check.error || '-')}</td>
+        <td>${escapeHtml(check.httpStatus != null ? String(check.httpStatus) : '-')}</td>
+        <td class="timeline-meta">${escapeHtml(new Date(check.checkedAt).toLocaleString())}</td>
+        <td class="item-actions">
+          <button class="btn-icon" data-action="check" data-site-id="${escapeHtml(record.siteId)}" data-nav-site-id="${escapeHtml(record.navSiteId)}" title="重新检查">🔎</button>
+          <button class="btn-icon" data-action="open" data-url="${escapeHtml(check.pageUrl || record.listingUrl || '')}" title="打开收录页">🔗</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+
+  elements.backlinkList.querySelectorAll('.btn-icon').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const { action, siteId, navSiteId, url } = e.currentTarget.dataset;
+      if (action === 'check') checkListingNow(siteId, navSiteId, e.currentTarget);
+      else if (action === 'open' && url) chrome.tabs.create({ url });
+    });
+  });
+}
+
+/**
+ * 编辑一条提交记录的跟进日期与收录页地址
+ */
+function openFollowUpModal(siteId, navSiteId) {
+  const record = submissionRecords[getRecordKey(siteId, navSiteId)] || {};
+  const navSite = navSites.find(ns => ns.id === navSiteId);
+
+  elements.modalTitle.textContent = `跟进：${navSite?.name || record.navSiteName || navSiteId}`;
+  elements.modalBody.innerHTML = `
+    <form id="followUpForm" class="form">
+      <div class="form-group">
+        <label for="followUpDate" class="form-label">跟进日期</label>
+        <input type="date" id="followUpDate" class="input" value="${escapeHtml(record.followUpDate || '')}">
+        <div class="form-hint">留空则不提醒</div>
+      </div>
+
+      <div class="form-group">
+        <label for="listingUrl" class="form-label">收录页地址</label>
+        <input type="url" id="listingUrl" class="input" value="${escapeHtml(record.listingUrl || '')}" placeholder="导航站上展示本站点的页面">
+        <div class="form-hint">到期时抓取该页面，检查是否有指向站点网址的链接</div>
+      </div>
+
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancelFollowUpBtn">取消</button>
+        <button type="submit" class="btn btn-primary">保存</button>
+      </div>
+    </form>
+  `;
+  openModal();
+
+  document.getElementById('followUpForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveFollowUp(siteId, navSiteId);
+  });
+  document.getElementById('cancelFollowUpBtn').addEventListener('click', closeModal);
+}
+
+/**
+ * Save follow-up date and listing URL
+ */
+async function saveFollowUp(siteId, navSiteId) {
+  try {
+    await upsertRecord(siteId, navSiteId, {
+      followUpDate: document.getElementById('followUpDate').value || null,
+      listingUrl: document.getElementById('listingUrl').value.trim() || null,
+      // 改了日期后重新允许当天提醒
+      followUpNotifiedOn: null
+    });
+    closeModal();
+    await loadData();
+    renderFollowUpsTab();
+    showToast('跟进信息已保存', 'success');
+  } catch (error) {
+    showToast('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 立即检查收录页（由 background 抓取，不受页面跨域限制）
+ */
+async function checkListingNow(siteId, navSiteId, button) {
+  button.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'checkListing', siteId, navSiteId });
+    if (!response?.success) throw new Error(response?.error || '未知错误');
+    const check = response.result.listingCheck;
+    if (check.status === 'listed') showToast(`已收录：找到指向站点的链接（${BACKLINK_TYPE_LABELS[check.linkType] || check.linkType}）`, 'success');
+    else if (check.status === 'not_found') showToast('收录页上没有找到指向站点的链接', 'error');
+    else showToast('检查失败: ' + check.error, 'error');
+  } catch (error) {
+    showToast('检查失败: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
 /**
  * Render mappings tab
  */
@@ -418,38 +1363,245 @@ function renderMappingsTab() {
 
   elements.mappingsList.innerHTML = domains.map(domain => {
     const mapping = fieldMappings[domain];
-    const mappingCount = mapping.mappings?.length || 0;
+    const items = getMappingItems(domain);
 
     return `
       <div class="mapping-card">
         <div class="mapping-header">
           <h4 class="mapping-title">${escapeHtml(domain)}</h4>
           <div class="mapping-actions">
+            <button class="btn-icon" data-action="add" data-domain="${escapeHtml(domain)}" title="添加字段映射">➕</button>
             <button class="btn-icon" data-action="clear" data-domain="${escapeHtml(domain)}" title="清除缓存">🗑️</button>
           </div>
         </div>
         <div class="mapping-info">
-          <span class="mapping-count">${mappingCount} 个字段映射</span>
+          <span class="mapping-count">${items.length} 个字段映射</span>
           <span class="mapping-date">${mapping.cachedAt ? new Date(mapping.cachedAt).toLocaleString() : '-'}</span>
         </div>
         <div class="mapping-fields">
-          ${mapping.mappings?.map(m => `
-            <div class="mapping-field">
-              <span class="field-name">${escapeHtml(m.standardField || 'unknown')}</span>
+          ${items.map((m, index) => `
+            <div class="mapping-field" title="${escapeHtml(getMappingFieldTitle(m))}">
+              <span class="field-name">${escapeHtml(FIELD_LABELS[m.standardField] || m.standardField || 'unknown')}</span>
+              <span class="field-method">${escapeHtml(METHOD_LABELS[m.method] || m.method || '-')}</span>
               <span class="field-confidence">${Math.round((m.confidence || 0) * 100)}%</span>
+              <button class="btn-icon" data-action="edit-field" data-domain="${escapeHtml(domain)}" data-index="${index}" title="修改定位">✏️</button>
+              <button class="btn-icon" data-action="delete-field" data-domain="${escapeHtml(domain)}" data-index="${index}" title="删除该字段">✖️</button>
             </div>
-          `).join('') || ''}
+          `).join('')}
         </div>
       </div>
     `;
   }).join('');
 
-  // Add event listeners
-  elements.mappingsList.querySelectorAll('[data-action="clear"]').forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      clearMapping(e.target.dataset.domain);
-    });
+  // Add event listeners
+  elements.mappingsList.querySelectorAll('[data-action]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      const { action, domain, index } = e.currentTarget.dataset;
+      if (action === 'clear') {
+        clearMapping(domain);
+      } else if (action === 'add') {
+        openMappingFieldModal(domain, null);
+      } else if (action === 'edit-field') {
+        openMappingFieldModal(domain, Number(index));
+      } else if (action === 'delete-field') {
+        deleteMappingField(domain, Number(index));
+      }
+    });
+  });
+}
+
+/**
+ * 取某个缓存 key 下的映射数组（兼容旧版直接存数组的格式）
+ */
+function getMappingItems(domain) {
+  const data = fieldMappings[domain];
+  if (!data) return [];
+  return Array.isArray(data) ? data : (data.mappings || []);
+}
+
+/**
+ * 写回某个缓存 key 下的映射数组；数组为空时删除整个 key
+ */
+async function saveMappingItems(domain, items) {
+  if (items.length === 0) {
+    delete fieldMappings[domain];
+  } else {
+    const data = fieldMappings[domain];
+    fieldMappings[domain] = {
+      ...(Array.isArray(data) ? {} : data),
+      mappings: items,
+      cachedAt: (!Array.isArray(data) && data?.cachedAt) || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+  }
+  await chrome.storage.local.set({ fieldMappings });
+  elements.summaryMappings.textContent = Object.keys(fieldMappings).length;
+}
+
+/**
+ * 将 locator 对象格式化为可读的定位描述（与 content/formHandler.js formatLocator 一致）
+ */
+function formatLocatorDesc(locator) {
+  if (!locator) return '';
+  const scope = [
+    ...(locator.framePath || []).map(index => `iframe[${index}]`),
+    ...(locator.shadowPath || []).map(host => `shadow(${host})`)
+  ].join(' › ');
+  return scope ? `${scope} › ${formatLocatorBody(locator)}` : formatLocatorBody(locator);
+}
+
+function formatLocatorBody(locator) {
+  switch (locator.type) {
+    case 'id': return `id="${locator.value}"`;
+    case 'name': return `name="${locator.value}" (formIndex=${locator.formIndex ?? 0})`;
+    case 'data': return `data-name/data-field="${locator.value}"`;
+    case 'index': return `index: ${locator.parentTag}[${locator.parentIndex}] > input/textarea/select[${locator.fieldIndex}]`;
+    case 'xpath': return `XPath ${locator.value}`;
+    case 'label': return `label="${locator.value}"`;
+    case 'placeholder': return `placeholder="${locator.value}"`;
+    case 'css': return `CSS ${locator.value}`;
+    case 'anchor': return `附近文字「${locator.value}」后的 ${locator.tag}`;
+    default: return JSON.stringify(locator);
+  }
+}
+
+/**
+ * 映射项悬停提示：主定位、备用定位数量，以及上次填充时实际命中的策略
+ */
+function getMappingFieldTitle(m) {
+  const lines = [m.locatorDesc || formatLocatorDesc(m.locator)];
+  if (m.locators?.length > 1) lines.push(`备用定位 ${m.locators.length - 1} 个`);
+  if (m.resolvedBy) lines.push(`上次命中：${m.resolvedBy.strategy}（吻合度 ${Math.round(m.resolvedBy.score * 100)}%）`);
+  return lines.join('\n');
+}
+
+/**
+ * 打开单个字段映射的编辑弹窗：可改标准字段、重新指定定位方式与值。
+ * 手动修改后的映射记为 method: 'bind'，识别时优先于自动识别结果。
+ */
+function openMappingFieldModal(domain, index) {
+  const items = getMappingItems(domain);
+  const item = index != null ? items[index] : null;
+  const locator = item?.locator || { type: 'xpath', value: item?.xpath || '' };
+  const editableTypes = ['id', 'name', 'data', 'label', 'placeholder', 'css', 'xpath'];
+  const locatorType = editableTypes.includes(locator.type) ? locator.type : 'xpath';
+  const locatorValue = editableTypes.includes(locator.type) ? (locator.value || '') : (item?.xpath || '');
+
+  elements.modalTitle.textContent = item ? '修改字段映射' : '添加字段映射';
+
+  elements.modalBody.innerHTML = `
+    <form id="mappingFieldForm" class="form">
+      <div class="form-group">
+        <label class="form-label">页面</label>
+        <div class="form-hint">${escapeHtml(domain)}</div>
+      </div>
+
+      <div class="form-group">
+        <label for="mappingStandardField" class="form-label required">标准字段</label>
+        <select id="mappingStandardField" class="select">
+          ${Object.entries(FIELD_LABELS).map(([field, label]) => `
+            <option value="${field}" ${item?.standardField === field ? 'selected' : ''}>${escapeHtml(label)}</option>
+          `).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label for="mappingLocatorType" class="form-label required">定位方式</label>
+        <select id="mappingLocatorType" class="select">
+          <option value="id" ${locatorType === 'id' ? 'selected' : ''}>id</option>
+          <option value="name" ${locatorType === 'name' ? 'selected' : ''}>name</option>
+          <option value="data" ${locatorType === 'data' ? 'selected' : ''}>data-field / data-name</option>
+          <option value="label" ${locatorType === 'label' ? 'selected' : ''}>标签文字</option>
+          <option value="placeholder" ${locatorType === 'placeholder' ? 'selected' : ''}>placeholder</option>
+          <option value="css" ${locatorType === 'css' ? 'selected' : ''}>CSS 选择器</option>
+          <option value="xpath" ${locatorType === 'xpath' ? 'selected' : ''}>XPath</option>
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label for="mappingLocatorValue" class="form-label required">定位值</label>
+        <input type="text" id="mappingLocatorValue" class="input" value="${escapeHtml(locatorValue)}" required>
+        <div class="form-hint">当前：${escapeHtml(item ? (item.locatorDesc || formatLocatorDesc(item.locator)) : '-')}</div>
+      </div>
+
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancelMappingFieldBtn">取消</button>
+        <button type="submit" class="btn btn-primary">保存</button>
+      </div>
+    </form>
+  `;
+
+  openModal();
+
+  document.getElementById('mappingFieldForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveMappingField(domain, index);
   });
+
+  document.getElementById('cancelMappingFieldBtn').addEventListener('click', closeModal);
+}
+
+/**
+ * 保存单个字段映射（同一标准字段只保留这一条）
+ */
+async function saveMappingField(domain, index) {
+  const standardField = document.getElementById('mappingStandardField').value;
+  const type = document.getElementById('mappingLocatorType').value;
+  const value = document.getElementById('mappingLocatorValue').value.trim();
+  if (!value) return;
+
+  const items = getMappingItems(domain);
+  const previous = index != null ? items[index] : null;
+  const locator = { type, value };
+  if (type === 'name') locator.formIndex = previous?.locator?.type === 'name' ? (previous.locator.formIndex ?? 0) : 0;
+  if (type === 'label') locator.value = value.replace(/\s+/g, ' ').toLowerCase();
+  // 元素在 iframe / shadow root 内时沿用原作用域，只改作用域内的定位
+  if (previous?.locator?.framePath?.length) locator.framePath = previous.locator.framePath;
+  if (previous?.locator?.shadowPath?.length) locator.shadowPath = previous.locator.shadowPath;
+  // 定位没改时保留页面上采集的备用定位链；改了则只用手填的这一条
+  const unchanged = previous?.locator?.type === locator.type && previous?.locator?.value === locator.value;
+
+  const updated = {
+    ...previous,
+    locator,
+    locators: unchanged ? previous.locators : [locator],
+    signature: unchanged ? previous.signature : undefined,
+    resolvedBy: unchanged ? previous.resolvedBy : undefined,
+    standardField,
+    confidence: 1,
+    method: 'bind',
+    xpath: type === 'xpath' ? value : '',
+    locatorDesc: formatLocatorDesc(locator)
+  };
+  const rest = items.filter((m, i) => i !== index && m.standardField !== standardField);
+
+  try {
+    await saveMappingItems(domain, [...rest, updated]);
+    closeModal();
+    renderMappingsTab();
+    showToast('字段映射已保存', 'success');
+  } catch (error) {
+    showToast('保存失败: ' + error.message, 'error');
+  }
+}
+
+/**
+ * 删除单个字段映射，保留该页面其余映射
+ */
+async function deleteMappingField(domain, index) {
+  const items = getMappingItems(domain);
+  const item = items[index];
+  if (!item) return;
+  const label = FIELD_LABELS[item.standardField] || item.standardField;
+  if (!confirm(`确定要删除 ${domain} 的「${label}」映射吗？`)) return;
+
+  try {
+    await saveMappingItems(domain, items.filter((_, i) => i !== index));
+    renderMappingsTab();
+    showToast('字段映射已删除', 'success');
+  } catch (error) {
+    showToast('删除失败: ' + error.message, 'error');
+  }
 }
 
 /**
@@ -469,6 +1621,8 @@ function renderSettingsTab() {
 
   // Auto submit
   elements.autoSubmit.checked = settings.autoSubmit || false;
+  elements.autoRerecognizeStale.checked = settings.autoRerecognizeStale || false;
+  elements.wizardAutoNext.checked = settings.wizardAutoNext || false;
 }
 
 /**
@@ -501,7 +1655,12 @@ function openSiteModal(siteId = null) {
 
       <div class="form-group">
         <label for="siteUrl" class="form-label required">网站 URL</label>
-        <input type="url" id="siteUrl" class="input" value="${escapeHtml(site?.siteUrl || '')}" required>
+        <div class="input-with-action">
+          <input type="url" id="siteUrl" class="input" value="${escapeHtml(site?.siteUrl || '')}" required>
+          <button type="button" class="btn btn-secondary" id="fetchSiteMetadataBtn">🌐 从网址获取</button>
+        </div>
+        <div class="form-hint" id="fetchSiteMetadataHint">读取首页的标题、描述、图标和分享图，预填下面的字段</div>
+        <div id="siteMetadataReview" class="metadata-review hidden"></div>
       </div>
 
       <div class="form-group">
@@ -531,18 +1690,48 @@ function openSiteModal(siteId = null) {
       </div>
 
       <div class="form-group">
-        <label for="tagline" class="form-label">标语/口号</label>
+        <div class="label-with-actions">
+          <label for="tagline" class="form-label">标语/口号</label>
+          ${renderCopyActions('tagline')}
+        </div>
         <input type="text" id="tagline" class="input" value="${escapeHtml(site?.tagline || '')}">
+        <div class="copy-candidates hidden" data-copy-candidates="tagline"></div>
       </div>
 
       <div class="form-group">
-        <label for="shortDescription" class="form-label">简短描述</label>
+        <div class="label-with-actions">
+          <label for="shortDescription" class="form-label">简短描述</label>
+          ${renderCopyActions('shortDescription')}
+        </div>
         <textarea id="shortDescription" class="textarea" rows="2">${escapeHtml(site?.shortDescription || '')}</textarea>
+        <div class="copy-candidates hidden" data-copy-candidates="shortDescription"></div>
       </div>
 
       <div class="form-group">
-        <label for="longDescription" class="form-label">详细描述</label>
+        <div class="label-with-actions">
+          <label for="longDescription" class="form-label">详细描述</label>
+          ${renderCopyActions('longDescription')}
+        </div>
         <textarea id="longDescription" class="textarea" rows="4">${escapeHtml(site?.longDescription || '')}</textarea>
+        <div class="copy-candidates hidden" data-copy-candidates="longDescription"></div>
+      </div>
+
+      <div class="form-group">
+        <label for="siteLanguage" class="form-label">以上文案的语言</label>
+        <select id="siteLanguage" class="select">
+          <option value="">未指定</option>
+          ${Object.entries(PROFILE_LANGUAGE_LABELS).map(([value, label]) => `
+            <option value="${value}" ${site?.language === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+          `).join('')}
+        </select>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label">多语言版本</label>
+        <div id="siteVariants">
+          ${Object.entries(PROFILE_LANGUAGE_LABELS).map(([lang, label]) => renderProfileVariantGroup(lang, label, site?.variants?.[lang])).join('')}
+        </div>
+        <div class="form-hint">填充时按导航站设置的语言、表单文字或页面 lang 选用对应版本；版本中没填的字段沿用上面的默认文案</div>
       </div>
 
       <div class="form-group">
@@ -559,6 +1748,17 @@ function openSiteModal(siteId = null) {
         <div class="form-hint">或上传一张图片，&lt; 1MB</div>
         <input type="file" id="screenshotFile" class="input" accept="image/png,image/jpeg,image/jpg,image/gif,image/webp" style="margin-top:4px">
         <div id="screenshotPreview" class="logo-preview hidden"></div>
+        <div class="capture-controls">
+          <select id="capturePreset" class="select">
+            ${Object.entries(SCREENSHOT_PRESETS).map(([value, preset]) => `
+              <option value="${value}" ${value === DEFAULT_SCREENSHOT_PRESET ? 'selected' : ''}>${escapeHtml(preset.label)}</option>
+            `).join('')}
+          </select>
+          <label class="checkbox-label"><input type="checkbox" id="captureFullPage"> 整页</label>
+          <button type="button" class="btn btn-secondary" id="captureScreenshotBtn">📷 截图</button>
+        </div>
+        <div class="form-hint" id="captureScreenshotHint">或打开网站 URL 按所选视口截图；可保留多张，点缩略图设为当前截图</div>
+        <div id="screenshotGallery" class="screenshot-gallery"></div>
       </div>
 
       <div class="form-actions">
@@ -570,6 +1770,18 @@ function openSiteModal(siteId = null) {
 
   openModal();
 
+  // 默认文案的语言不再单独填写版本
+  const siteLanguageEl = document.getElementById('siteLanguage');
+  const toggleBaseVariant = () => {
+    document.querySelectorAll('#siteVariants [data-lang]').forEach(group => {
+      group.classList.toggle('hidden', group.dataset.lang === siteLanguageEl.value);
+    });
+  };
+  siteLanguageEl.addEventListener('change', toggleBaseVariant);
+  toggleBaseVariant();
+
+  setupCopyAssist(document.getElementById('siteForm'));
+
   // 编辑时保留已有 Logo / 界面截图 数据；新建时清空
   pendingLogoDataUrl = site?.logoDataUrl || null;
   pendingScreenshotDataUrl = site?.screenshotDataUrl || null;
@@ -612,6 +1824,15 @@ function openSiteModal(siteId = null) {
   renderScreenshotPreview(site?.screenshotDataUrl || null);
   if (screenshotFileEl) screenshotFileEl.value = '';
 
+  pendingScreenshots = site?.screenshots || [];
+  const renderScreenshotGallery = setupScreenshotCapture({
+    get: () => pendingScreenshotDataUrl,
+    set: (dataUrl) => {
+      pendingScreenshotDataUrl = dataUrl;
+      renderScreenshotPreview(dataUrl);
+    }
+  });
+
   // Logo 文件选择：转为 data URL；超过 1MB 时自动压缩到 < 1MB
   logoFileEl.addEventListener('change', async (e) => {
     const file = e.target.files[0];
@@ -655,6 +1876,7 @@ function openSiteModal(siteId = null) {
         reader.onload = () => {
           pendingScreenshotDataUrl = reader.result;
           renderScreenshotPreview(pendingScreenshotDataUrl);
+          renderScreenshotGallery();
         };
         reader.readAsDataURL(file);
       } else {
@@ -662,6 +1884,7 @@ function openSiteModal(siteId = null) {
         const dataUrl = await compressImageToUnder1MB(file);
         pendingScreenshotDataUrl = dataUrl;
         renderScreenshotPreview(dataUrl);
+        renderScreenshotGallery();
         showToast('已压缩到 < 1MB', 'success');
       }
     } catch (err) {
@@ -670,6 +1893,24 @@ function openSiteModal(siteId = null) {
     }
   });
 
+  setupSiteMetadataFetch({
+    logo: {
+      has: () => !!pendingLogoDataUrl,
+      set: (dataUrl) => {
+        pendingLogoDataUrl = dataUrl;
+        renderLogoPreview(dataUrl);
+      }
+    },
+    screenshot: {
+      has: () => !!pendingScreenshotDataUrl,
+      set: (dataUrl) => {
+        pendingScreenshotDataUrl = dataUrl;
+        renderScreenshotPreview(dataUrl);
+        renderScreenshotGallery();
+      }
+    }
+  });
+
   // Form submission
   document.getElementById('siteForm').addEventListener('submit', (e) => {
     e.preventDefault();
@@ -679,6 +1920,318 @@ function openSiteModal(siteId = null) {
   document.getElementById('cancelSiteBtn').addEventListener('click', closeModal);
 }
 
+/**
+ * 站点弹窗里的「截图」：background 按视口预设打开网站截图，结果加入截图列表并设为当前截图（保存站点后生效）
+ * @param {{ get: Function, set: Function }} current - 当前界面截图（pendingScreenshotDataUrl）
+ * @returns {Function} 重新渲染截图列表（当前截图被上传的图片替换时调用）
+ */
+function setupScreenshotCapture(current) {
+  const button = document.getElementById('captureScreenshotBtn');
+  const hint = document.getElementById('captureScreenshotHint');
+  const galleryEl = document.getElementById('screenshotGallery');
+
+  const renderGallery = () => {
+    galleryEl.innerHTML = pendingScreenshots.map(shot => {
+      const isCurrent = shot.dataUrl === current.get();
+      return `
+        <div class="screenshot-item ${isCurrent ? 'active' : ''}" data-shot-id="${shot.id}">
+          <img class="screenshot-thumb" alt="" title="点击设为当前截图">
+          <span class="screenshot-meta">
+            ${escapeHtml(getScreenshotLabel(shot))}${shot.fullPage ? ' · 整页' : ''}${isCurrent ? ' · 当前' : ''}
+          </span>
+          <button type="button" class="btn-link" data-shot-delete>删除</button>
+        </div>
+      `;
+    }).join('');
+    // data URL 较长，不写进 HTML
+    galleryEl.querySelectorAll('[data-shot-id]').forEach(item => {
+      const shot = pendingScreenshots.find(s => s.id === item.dataset.shotId);
+      const img = item.querySelector('img');
+      img.src = shot.dataUrl;
+      img.addEventListener('click', () => {
+        current.set(shot.dataUrl);
+        renderGallery();
+      });
+      item.querySelector('[data-shot-delete]').addEventListener('click', () => {
+        pendingScreenshots = pendingScreenshots.filter(s => s.id !== shot.id);
+        if (current.get() === shot.dataUrl) current.set('');
+        renderGallery();
+      });
+    });
+  };
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    hint.textContent = '正在打开网站截图，截图窗口完成后自动关闭…';
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'captureSiteScreenshot',
+        url: document.getElementById('siteUrl').value.trim(),
+        preset: document.getElementById('capturePreset').value,
+        fullPage: document.getElementById('captureFullPage').checked
+      });
+      if (!response?.success) throw new Error(response?.error || '未知错误');
+      const next = addSiteScreenshot({ screenshots: pendingScreenshots, screenshotDataUrl: current.get() }, response.result, { makeCurrent: true });
+      pendingScreenshots = next.screenshots;
+      current.set(next.screenshotDataUrl);
+      renderGallery();
+      hint.textContent = `已截图 ${getScreenshotLabel(response.result)}（图片 ${response.result.width}×${response.result.height}），保存站点后生效`;
+    } catch (error) {
+      hint.textContent = '截图失败: ' + error.message;
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  renderGallery();
+  return renderGallery;
+}
+
+/**
+ * 让 background 抓取站点首页，返回 { url, metadata, profile }
+ */
+async function requestSiteMetadata(url) {
+  const response = await chrome.runtime.sendMessage({ action: 'fetchSiteMetadata', url });
+  if (!response?.success) throw new Error(response?.error || '未知错误');
+  return response.result;
+}
+
+/**
+ * 下载图片转为 data URL；超过 1MB 的压缩到 < 1MB
+ */
+async function fetchImageAsDataUrl(url) {
+  const response = await fetch(url, { credentials: 'omit' });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const blob = await response.blob();
+  if (!blob.size || /^text\//.test(blob.type)) throw new Error('不是图片');
+  if (blob.size > MAX_IMAGE_BYTES) return compressImageToUnder1MB(blob);
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('图片读取失败'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * 站点弹窗里的「从网址获取」：列出首页读到的内容，勾选后填入（已有内容的字段默认不勾选）
+ * @param {{ logo: { has: Function, set: Function }, screenshot: { has: Function, set: Function } }} images - Logo / 界面截图的待保存数据
+ */
+function setupSiteMetadataFetch(images) {
+  const button = document.getElementById('fetchSiteMetadataBtn');
+  const hint = document.getElementById('fetchSiteMetadataHint');
+  const reviewEl = document.getElementById('siteMetadataReview');
+
+  const applyRows = async (rows) => {
+    const failed = [];
+    for (const row of rows) {
+      if (!row.image) {
+        document.getElementById(row.field).value = row.value;
+        continue;
+      }
+      try {
+        images[row.field].set(await fetchImageAsDataUrl(row.value));
+        const urlInput = document.getElementById(row.field);
+        if (!urlInput.value.trim() && /^https?:/.test(row.value)) urlInput.value = row.value;
+      } catch (error) {
+        failed.push(`${FIELD_LABELS[row.field]}（${error.message}）`);
+      }
+    }
+    return failed;
+  };
+
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    hint.textContent = '正在读取首页…';
+    reviewEl.classList.add('hidden');
+    try {
+      const { url, profile } = await requestSiteMetadata(document.getElementById('siteUrl').value.trim());
+      const rows = [
+        ...SITE_METADATA_TEXT_FIELDS
+          .filter(field => profile[field])
+          .map(field => ({ field, value: profile[field], empty: !document.getElementById(field).value.trim() })),
+        ...['logo', 'screenshot']
+          .filter(field => profile[`${field}Url`])
+          .map(field => ({ field, value: profile[`${field}Url`], image: true, empty: !images[field].has() }))
+      ];
+      if (!rows.length) {
+        hint.textContent = `${url} 没有可用的标题、描述或图片`;
+        return;
+      }
+
+      hint.textContent = `读取自 ${url}，勾选要填入的内容（已有内容的字段默认不覆盖）`;
+      reviewEl.innerHTML = `
+        ${rows.map((row, i) => `
+          <label class="metadata-row">
+            <input type="checkbox" data-metadata-index="${i}" ${row.empty ? 'checked' : ''}>
+            <span class="metadata-label">${FIELD_LABELS[row.field]}</span>
+            ${row.image
+              ? `<img class="metadata-image" src="${escapeHtml(row.value)}" alt="" title="${escapeHtml(row.value)}">`
+              : `<span class="metadata-value">${escapeHtml(row.value)}</span>`}
+          </label>
+        `).join('')}
+        <div class="metadata-actions">
+          <button type="button" class="btn btn-secondary" data-metadata-action="dismiss">关闭</button>
+          <button type="button" class="btn btn-primary" data-metadata-action="apply">填入所选</button>
+        </div>
+      `;
+      reviewEl.classList.remove('hidden');
+
+      reviewEl.querySelector('[data-metadata-action="dismiss"]').addEventListener('click', () => {
+        reviewEl.classList.add('hidden');
+      });
+      reviewEl.querySelector('[data-metadata-action="apply"]').addEventListener('click', async (e) => {
+        const selected = rows.filter((_, i) => reviewEl.querySelector(`[data-metadata-index="${i}"]`).checked);
+        if (!selected.length) {
+          showToast('请至少勾选一项', 'error');
+          return;
+        }
+        e.target.disabled = true;
+        const failed = await applyRows(selected);
+        reviewEl.classList.add('hidden');
+        hint.textContent = failed.length ? `图片下载失败：${failed.join('；')}` : `已从 ${url} 填入，保存前请检查`;
+        showToast(`已填入 ${selected.length - failed.length} 项`, failed.length ? 'info' : 'success');
+      });
+    } catch (error) {
+      hint.textContent = '读取失败: ' + error.message;
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * 文案字段旁的「生成」「润色」按钮
+ */
+function renderCopyActions(field) {
+  return `
+    <span class="copy-actions">
+      <button type="button" class="btn-link" data-copy-action="generate" data-copy-field="${field}" title="用 AI 生成几个候选">✨ 生成</button>
+      <button type="button" class="btn-link" data-copy-action="improve" data-copy-field="${field}" title="用 AI 润色当前文案">🪄 润色</button>
+    </span>
+  `;
+}
+
+/**
+ * 站点弹窗里的 AI 文案：候选列表中保留第一次调用 AI 前的原文，可随时切回
+ */
+function setupCopyAssist(form) {
+  /** field → { original, candidates } */
+  const copyState = {};
+
+  const renderCandidates = (field) => {
+    const listEl = form.querySelector(`[data-copy-candidates="${field}"]`);
+    const current = document.getElementById(field).value;
+    const { original, candidates } = copyState[field];
+    const items = [
+      ...(original ? [{ label: '原文', text: original }] : []),
+      ...candidates.map((text, i) => ({ label: `候选 ${i + 1}`, text }))
+    ];
+    listEl.classList.toggle('hidden', items.length === 0);
+    listEl.innerHTML = items.map((item, i) => `
+      <button type="button" class="copy-candidate ${item.text === current ? 'active' : ''}" data-copy-pick="${field}">
+        <span class="copy-candidate-label">${item.label} · ${item.text.length} 字</span>
+        <span class="copy-candidate-text">${escapeHtml(item.text)}</span>
+      </button>
+    `).join('');
+    listEl.querySelectorAll('[data-copy-pick]').forEach((btn, i) => {
+      btn.addEventListener('click', () => {
+        document.getElementById(field).value = items[i].text;
+        renderCandidates(field);
+      });
+    });
+  };
+
+  form.querySelectorAll('[data-copy-action]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const field = btn.dataset.copyField;
+      const mode = btn.dataset.copyAction;
+      const current = document.getElementById(field).value.trim();
+      if (mode === 'improve' && !current) {
+        showToast('先写一段文案再润色，或点「生成」', 'error');
+        return;
+      }
+      const buttons = form.querySelectorAll(`[data-copy-field="${field}"]`);
+      buttons.forEach(b => { b.disabled = true; });
+      btn.textContent = '⏳ 生成中...';
+      try {
+        const candidates = await requestCopyCandidates(field, mode, current);
+        if (!copyState[field]) copyState[field] = { original: current, candidates: [] };
+        copyState[field].candidates.push(...candidates.filter(text => !copyState[field].candidates.includes(text)));
+        renderCandidates(field);
+      } catch (error) {
+        showToast('AI 文案失败: ' + error.message, 'error');
+      } finally {
+        buttons.forEach(b => { b.disabled = false; });
+        btn.textContent = mode === 'improve' ? '🪄 润色' : '✨ 生成';
+      }
+    });
+  });
+}
+
+/**
+ * 调用设置中的 LLM 生成 / 润色 field 的文案；生成时以已填的其它描述作参考
+ */
+async function requestCopyCandidates(field, mode, current) {
+  const llmConfig = settings.llmConfig || {};
+  if (!llmConfig.enabled || !llmConfig.apiKey) {
+    throw new Error('请先在「设置」中启用 AI 并填写 API Key');
+  }
+  const defaults = getDefaultProviderConfig('glm');
+  const value = id => document.getElementById(id).value.trim();
+  const reference = current || value('shortDescription') || value('longDescription') || value('tagline');
+  return generateDescription(
+    {
+      siteName: value('siteName'),
+      siteUrl: value('siteUrl'),
+      existingDescription: reference,
+      category: value('category')
+    },
+    COPY_FIELD_TYPES[field],
+    {
+      endpoint: llmConfig.endpoint || defaults.endpoint,
+      apiKey: llmConfig.apiKey,
+      model: llmConfig.model || defaults.model
+    },
+    { mode, language: value('siteLanguage') || undefined }
+  );
+}
+
+/**
+ * 站点弹窗中一个语言版本的文案输入（折叠，已填写的展开）
+ */
+function renderProfileVariantGroup(lang, label, variant) {
+  const filled = !!variant && Object.values(variant).some(Boolean);
+  return `
+    <details class="variant-group" data-lang="${lang}" ${filled ? 'open' : ''}>
+      <summary>${escapeHtml(label)}${filled ? '（已填写）' : ''}</summary>
+      ${Object.entries(PROFILE_VARIANT_FIELD_LABELS).map(([field, fieldLabel]) => (
+        ['shortDescription', 'longDescription'].includes(field)
+          ? `<textarea class="textarea" data-field="${field}" rows="${field === 'longDescription' ? 3 : 2}" placeholder="${fieldLabel}">${escapeHtml(variant?.[field] || '')}</textarea>`
+          : `<input type="text" class="input" data-field="${field}" placeholder="${fieldLabel}" value="${escapeHtml(variant?.[field] || '')}">`
+      )).join('')}
+    </details>
+  `;
+}
+
+/**
+ * 读取站点弹窗中的多语言版本（跳过默认文案的语言和全空的版本）
+ */
+function readProfileVariants(baseLanguage) {
+  const variants = {};
+  document.querySelectorAll('#siteVariants [data-lang]').forEach(group => {
+    const lang = group.dataset.lang;
+    if (lang === baseLanguage) return;
+    const variant = {};
+    group.querySelectorAll('[data-field]').forEach(input => {
+      const value = input.value.trim();
+      if (value) variant[input.dataset.field] = value;
+    });
+    if (Object.keys(variant).length) variants[lang] = variant;
+  });
+  return variants;
+}
+
 /**
  * Save site
  */
@@ -693,13 +2246,17 @@ async function saveSite(siteId) {
     tagline: document.getElementById('tagline').value.trim(),
     shortDescription: document.getElementById('shortDescription').value.trim(),
     longDescription: document.getElementById('longDescription').value.trim(),
+    language: document.getElementById('siteLanguage').value,
+    variants: readProfileVariants(document.getElementById('siteLanguage').value),
     logo: document.getElementById('logo').value.trim(),
     logoDataUrl: pendingLogoDataUrl ?? (siteId ? (sites.find(s => s.id === siteId)?.logoDataUrl) : null) ?? '',
     screenshot: document.getElementById('screenshot').value.trim(),
-    screenshotDataUrl: pendingScreenshotDataUrl ?? (siteId ? (sites.find(s => s.id === siteId)?.screenshotDataUrl) : null) ?? ''
+    screenshotDataUrl: pendingScreenshotDataUrl ?? (siteId ? (sites.find(s => s.id === siteId)?.screenshotDataUrl) : null) ?? '',
+    screenshots: pendingScreenshots
   };
   pendingLogoDataUrl = null;
   pendingScreenshotDataUrl = null;
+  pendingScreenshots = [];
 
   try {
     if (siteId) {
@@ -758,7 +2315,11 @@ function openNavSiteModal(navSiteId = null) {
 
       <div class="form-group">
         <label for="submitUrl" class="form-label required">提交页面 URL</label>
-        <input type="url" id="submitUrl" class="input" value="${escapeHtml(navSite?.submitUrl || '')}" required>
+        <div class="input-with-action">
+          <input type="url" id="submitUrl" class="input" value="${escapeHtml(navSite?.submitUrl || '')}" required>
+          <button type="button" class="btn btn-secondary" id="discoverSubmitUrlBtn">🔍 查找提交页</button>
+        </div>
+        <div class="form-hint" id="discoverSubmitUrlHint">只知道域名时，填入域名后点「查找提交页」</div>
       </div>
 
       <div class="form-group">
@@ -766,6 +2327,89 @@ function openNavSiteModal(navSiteId = null) {
         <input type="text" id="navSiteCategory" class="input" value="${escapeHtml(navSite?.category || '')}" placeholder="如: 中文导航, 国外导航">
       </div>
 
+      <div class="form-row">
+        <div class="form-group">
+          <label for="navSitePricingType" class="form-label">提交收费</label>
+          <select id="navSitePricingType" class="select">
+            <option value="">未知</option>
+            ${Object.entries(NAV_SITE_PRICING_LABELS).map(([value, label]) => `
+              <option value="${value}" ${navSite?.pricingType === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="navSitePrice" class="form-label">价格</label>
+          <input type="text" id="navSitePrice" class="input" value="${escapeHtml(navSite?.price || '')}" placeholder="如: $29 / 一次">
+        </div>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label for="navSiteLinkType" class="form-label">链接类型</label>
+          <select id="navSiteLinkType" class="select">
+            <option value="">未知</option>
+            ${Object.entries(NAV_SITE_LINK_TYPE_LABELS).map(([value, label]) => `
+              <option value="${value}" ${navSite?.linkType === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+            `).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="navSiteLanguage" class="form-label">语言</label>
+          <select id="navSiteLanguage" class="select">
+            <option value="">未知</option>
+            ${Object.entries(NAV_SITE_LANGUAGE_LABELS).map(([value, label]) => `
+              <option value="${value}" ${navSite?.language === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label for="navSiteReviewDays" class="form-label">审核时间（天）</label>
+          <input type="number" id="navSiteReviewDays" class="input" min="0" value="${escapeHtml(navSite?.reviewDays ?? '')}">
+        </div>
+        <div class="form-group">
+          <label for="navSiteDr" class="form-label">DR</label>
+          <input type="number" id="navSiteDr" class="input" min="0" max="100" value="${escapeHtml(navSite?.dr ?? '')}">
+        </div>
+        <div class="form-group">
+          <label for="navSiteTraffic" class="form-label">月流量</label>
+          <input type="number" id="navSiteTraffic" class="input" min="0" value="${escapeHtml(navSite?.traffic ?? '')}">
+        </div>
+      </div>
+
+      <div class="form-group">
+        <label class="checkbox-label">
+          <input type="checkbox" id="navSiteBacklinkRequired" ${navSite?.backlinkRequired ? 'checked' : ''}>
+          需要在本站放置该导航站的回链
+        </label>
+        <label class="checkbox-label">
+          <input type="checkbox" id="navSiteRequiresLogin" ${navSite?.requiresLogin ? 'checked' : ''}>
+          提交前需要登录
+        </label>
+      </div>
+
+      <div class="form-group">
+        <label for="navSiteAutoFill" class="form-label">打开提交页时</label>
+        <select id="navSiteAutoFill" class="select">
+          ${Object.entries(NAV_SITE_AUTO_FILL_LABELS).map(([value, label]) => `
+            <option value="${value}" ${(navSite?.autoFill || 'offer') === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+          `).join('')}
+        </select>
+        <div class="form-hint">仅在该页已有字段映射（识别或绑定过）且弹窗中选了当前站点时生效，填充后可在页面提示中撤销</div>
+      </div>
+
+      <div class="form-group">
+        <label for="navSiteAutoSubmit" class="form-label">填充后自动提交</label>
+        <select id="navSiteAutoSubmit" class="select">
+          ${Object.entries(NAV_SITE_AUTO_SUBMIT_LABELS).map(([value, label]) => `
+            <option value="${value}" ${(navSite?.autoSubmit || 'inherit') === value ? 'selected' : ''}>${escapeHtml(label)}</option>
+          `).join('')}
+        </select>
+        <div class="form-hint">检测到验证码或有字段填充失败时不会自动提交；提交前有倒计时，可在页面上取消</div>
+      </div>
+
       <div class="form-group">
         <label for="notes" class="form-label">备注</label>
         <textarea id="notes" class="textarea" rows="2">${escapeHtml(navSite?.notes || '')}</textarea>
@@ -786,9 +2430,79 @@ function openNavSiteModal(navSiteId = null) {
     saveNavSite(navSiteId);
   });
 
+  document.getElementById('discoverSubmitUrlBtn').addEventListener('click', discoverSubmitUrlInModal);
   document.getElementById('cancelNavSiteBtn').addEventListener('click', closeModal);
 }
 
+/**
+ * 让 background 查找提交页（后台标签页逐个打开候选页，可能要几十秒）
+ * @param {{ navSiteId?: string, url?: string }} target
+ */
+async function requestSubmitPageDiscovery(target) {
+  const response = await chrome.runtime.sendMessage({ action: 'discoverSubmitPage', ...target });
+  if (!response?.success) throw new Error(response?.error || '未知错误');
+  return response.result;
+}
+
+/**
+ * 候选页打分摘要，用于提示
+ */
+function describeDiscoveryCandidates(candidates) {
+  return candidates
+    .map(c => `${c.url}（${c.error ? c.error : `${c.fieldCount} 个字段，得分 ${c.score}`}）`)
+    .join('；');
+}
+
+/**
+ * 导航站弹窗里的「查找提交页」：结果填入提交页面 URL，保存后生效
+ */
+async function discoverSubmitUrlInModal() {
+  const input = document.getElementById('submitUrl');
+  const button = document.getElementById('discoverSubmitUrlBtn');
+  const hint = document.getElementById('discoverSubmitUrlHint');
+  button.disabled = true;
+  hint.textContent = '正在打开首页和候选页面查找表单…';
+  try {
+    const result = await requestSubmitPageDiscovery({ url: input.value.trim() });
+    if (result.submitUrl) {
+      input.value = result.submitUrl;
+      hint.textContent = `已找到提交页。候选：${describeDiscoveryCandidates(result.candidates)}`;
+    } else {
+      hint.textContent = result.candidates.length
+        ? `没有找到像提交表单的页面。候选：${describeDiscoveryCandidates(result.candidates)}`
+        : '首页没有提交链接，常见路径也不存在';
+    }
+  } catch (error) {
+    hint.textContent = '查找失败: ' + error.message;
+  } finally {
+    button.disabled = false;
+  }
+}
+
+/**
+ * 导航站卡片上的「查找提交页」：找到后直接写回该导航站
+ */
+async function discoverNavSiteSubmitUrl(navSiteId, button) {
+  const navSite = navSites.find(ns => ns.id === navSiteId);
+  if (!navSite) return;
+  button.disabled = true;
+  showToast(`正在查找「${navSite.name}」的提交页…`, 'info');
+  try {
+    const result = await requestSubmitPageDiscovery({ navSiteId });
+    if (result.submitUrl) {
+      await loadData();
+      renderNavSitesTab();
+      showToast(`已更新提交页: ${result.submitUrl}`, 'success');
+    } else {
+      showToast('没有找到像提交表单的页面，请手动填写', 'error');
+    }
+  } catch (error) {
+    showToast('查找失败: ' + error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
 /**
  * Save nav site
  */
@@ -797,6 +2511,17 @@ async function saveNavSite(navSiteId) {
     name: document.getElementById('navSiteName').value.trim(),
     submitUrl: document.getElementById('submitUrl').value.trim(),
     category: document.getElementById('navSiteCategory').value.trim(),
+    pricingType: document.getElementById('navSitePricingType').value,
+    price: document.getElementById('navSitePrice').value.trim(),
+    linkType: document.getElementById('navSiteLinkType').value,
+    language: document.getElementById('navSiteLanguage').value,
+    reviewDays: readNumberInput('navSiteReviewDays'),
+    dr: readNumberInput('navSiteDr'),
+    traffic: readNumberInput('navSiteTraffic'),
+    backlinkRequired: document.getElementById('navSiteBacklinkRequired').checked,
+    requiresLogin: document.getElementById('navSiteRequiresLogin').checked,
+    autoFill: document.getElementById('navSiteAutoFill').value,
+    autoSubmit: document.getElementById('navSiteAutoSubmit').value,
     notes: document.getElementById('notes').value.trim()
   };
 
@@ -820,6 +2545,14 @@ async function saveNavSite(navSiteId) {
   }
 }
 
+/**
+ * 数字输入框的值；留空返回 null
+ */
+function readNumberInput(id) {
+  const value = document.getElementById(id).value.trim();
+  return value === '' ? null : Number(value);
+}
+
 /**
  * Delete nav site
  */
@@ -838,42 +2571,204 @@ async function deleteNavSite(navSiteId) {
 }
 
 /**
- * Import nav sites
+ * Import nav sites: TXT（每行一个网址或域名）、CSV（按表头对应字段）、JSON，预览确认后再写入
  */
-async function importNavSites() {
-  const input = document.createElement('input');
-  input.type = 'file';
-  input.accept = '.json,.csv';
+function importNavSites() {
+  elements.modalTitle.textContent = '导入导航站';
+  elements.modalBody.innerHTML = `
+    <form id="importNavSitesForm" class="form">
+      <div class="form-group">
+        <label for="importFile" class="form-label">选择文件</label>
+        <input type="file" id="importFile" class="input" accept=".txt,.csv,.json">
+        <div class="form-hint">TXT 每行一个网址或域名（# 开头为注释）；CSV 第一行为表头；JSON 为数组或备份文件</div>
+      </div>
 
-  input.onchange = async (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+      <div class="form-group">
+        <label for="importText" class="form-label">或粘贴列表</label>
+        <textarea id="importText" class="textarea" rows="5" placeholder="fazier.com&#10;https://toolfame.com/submit"></textarea>
+      </div>
+
+      <div class="form-row">
+        <div class="form-group">
+          <label for="importFormat" class="form-label">格式</label>
+          <select id="importFormat" class="select">
+            <option value="">自动识别</option>
+            <option value="txt">TXT</option>
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="importCategory" class="form-label">默认分类</label>
+          <input type="text" id="importCategory" class="input" placeholder="未填写分类时使用">
+        </div>
+      </div>
+
+      <div id="importCsvMapping" class="form-group hidden"></div>
 
+      <div class="form-group">
+        <div id="importSummary" class="form-hint"></div>
+        <div id="importPreview" class="campaign-nav-sites hidden"></div>
+      </div>
+
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancelImportBtn">取消</button>
+        <button type="submit" class="btn btn-primary" id="confirmImportBtn" disabled>导入</button>
+      </div>
+    </form>
+  `;
+  openModal();
+
+  const fileInput = document.getElementById('importFile');
+  const textInput = document.getElementById('importText');
+  const formatSelect = document.getElementById('importFormat');
+  const mappingEl = document.getElementById('importCsvMapping');
+  const summaryEl = document.getElementById('importSummary');
+  const previewEl = document.getElementById('importPreview');
+  const confirmBtn = document.getElementById('confirmImportBtn');
+  let fileName = '';
+  let csvHeaders = null;
+  let csvMapping = null;
+  let preview = [];
+
+  const getChecked = () => Array.from(previewEl.querySelectorAll('input[type="checkbox"]:checked'))
+    .map(input => preview[Number(input.value)].navSite);
+  const updateCount = () => {
+    const count = getChecked().length;
+    confirmBtn.disabled = count === 0;
+    confirmBtn.textContent = count ? `导入 ${count} 个` : '导入';
+  };
+
+  const renderCsvMapping = () => {
+    mappingEl.classList.toggle('hidden', !csvHeaders);
+    if (!csvHeaders) return;
+    mappingEl.innerHTML = `
+      <label class="form-label">CSV 列对应</label>
+      <table class="report-table">
+        ${csvHeaders.map((header, index) => `
+          <tr>
+            <td>${escapeHtml(header || `第 ${index + 1} 列`)}</td>
+            <td>
+              <select class="select" data-column="${index}">
+                <option value="">忽略</option>
+                ${IMPORT_FIELDS.map(field => `
+                  <option value="${field}" ${csvMapping[index] === field ? 'selected' : ''}>${IMPORT_FIELD_LABELS[field]}</option>
+                `).join('')}
+              </select>
+            </td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+  };
+
+  const renderPreview = (resetMapping = false) => {
+    const text = textInput.value;
+    if (!text.trim()) {
+      preview = [];
+      csvHeaders = null;
+      renderCsvMapping();
+      previewEl.classList.add('hidden');
+      summaryEl.textContent = '';
+      updateCount();
+      return;
+    }
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      const items = Array.isArray(data) ? data : data.navSites || [];
-
-      let added = 0;
-      for (const item of items) {
-        if (item.name && item.submitUrl) {
-          item.id = 'nav_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-          item.createdAt = new Date().toISOString();
-          navSites.push(item);
-          added++;
-        }
+      const format = formatSelect.value || detectImportFormat(fileName, text);
+      const parsed = parseImportText(text, format, resetMapping ? null : csvMapping);
+      csvMapping = parsed.mapping || null;
+      if (resetMapping || !parsed.headers) {
+        csvHeaders = parsed.headers || null;
+        renderCsvMapping();
       }
-
-      await chrome.storage.local.set({ navSites });
-      await loadData();
-      renderNavSitesTab();
-      showToast(`已导入 ${added} 个导航站`, 'success');
+      preview = buildImportPreview(parsed.candidates, navSites);
     } catch (error) {
-      showToast('导入失败: ' + error.message, 'error');
+      preview = [];
+      csvHeaders = null;
+      renderCsvMapping();
+      previewEl.classList.add('hidden');
+      summaryEl.textContent = '解析失败: ' + error.message;
+      updateCount();
+      return;
     }
+
+    const count = status => preview.filter(row => row.status === status).length;
+    summaryEl.textContent = `共 ${preview.length} 行：新增 ${count('new')}，重复 ${count('duplicate')}，无效 ${count('invalid')}`;
+    previewEl.classList.toggle('hidden', preview.length === 0);
+    previewEl.innerHTML = `
+      <table class="report-table">
+        ${preview.map((row, index) => `
+          <tr>
+            <td>${row.status === 'new' ? `<input type="checkbox" value="${index}" checked>` : ''}</td>
+            <td><span class="submit-status submit-status-${row.status}">${IMPORT_STATUS_LABELS[row.status]}</span></td>
+            <td>
+              ${row.navSite ? `
+                <div>${escapeHtml(row.navSite.name)}</div>
+                <div class="timeline-meta">${escapeHtml(row.navSite.submitUrl)}</div>
+              ` : `<div class="timeline-meta">${escapeHtml(row.raw || '')}</div>`}
+            </td>
+            <td class="timeline-meta">${escapeHtml(row.reason || row.navSite?.category || '')}</td>
+          </tr>
+        `).join('')}
+      </table>
+    `;
+    updateCount();
   };
 
-  input.click();
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+    fileName = file.name;
+    textInput.value = await file.text();
+    renderPreview(true);
+  });
+  textInput.addEventListener('input', () => {
+    fileName = '';
+    renderPreview(true);
+  });
+  formatSelect.addEventListener('change', () => renderPreview(true));
+  mappingEl.addEventListener('change', (e) => {
+    const column = e.target.dataset.column;
+    if (column === undefined) return;
+    csvMapping = csvMapping.map((field, index) => {
+      if (index === Number(column)) return e.target.value;
+      return field === e.target.value ? '' : field;
+    });
+    renderCsvMapping();
+    renderPreview();
+  });
+  previewEl.addEventListener('change', updateCount);
+
+  document.getElementById('importNavSitesForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveImportedNavSites(getChecked(), document.getElementById('importCategory').value.trim());
+  });
+  document.getElementById('cancelImportBtn').addEventListener('click', closeModal);
+}
+
+/**
+ * 写入导入预览中选中的导航站
+ */
+async function saveImportedNavSites(items, defaultCategory) {
+  try {
+    const now = new Date().toISOString();
+    items.forEach(item => {
+      navSites.push({
+        ...item,
+        category: item.category || defaultCategory,
+        id: 'nav_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+        createdAt: now
+      });
+    });
+
+    await chrome.storage.local.set({ navSites });
+    closeModal();
+    await loadData();
+    renderNavSitesTab();
+    showToast(`已导入 ${items.length} 个导航站`, 'success');
+  } catch (error) {
+    showToast('导入失败: ' + error.message, 'error');
+  }
 }
 
 /**
@@ -990,6 +2885,9 @@ async function restoreBackup() {
         submissionRecords: { ...existing.submissionRecords, ...data.submissionRecords }
       });
     }
+    // 旧备份里按 siteId_hostname 保存的记录迁移到对应导航站
+    const { navSites: restoredNavSites } = await chrome.storage.local.get(['navSites']);
+    await migrateHostnameRecords(restoredNavSites);
 
     await loadData();
     renderCurrentTab();
@@ -1092,14 +2990,18 @@ async function testLlmConnection() {
  */
 async function saveSettings() {
   try {
+    // 保留 currentSiteId 等不在设置页编辑的字段
     const newSettings = {
+      ...settings,
       llmConfig: {
         enabled: elements.llmEnabled.checked,
         endpoint: elements.llmEndpoint.value.trim(),
         apiKey: elements.llmApiKey.value.trim(),
         model: elements.llmModel.value.trim()
       },
-      autoSubmit: elements.autoSubmit.checked
+      autoSubmit: elements.autoSubmit.checked,
+      autoRerecognizeStale: elements.autoRerecognizeStale.checked,
+      wizardAutoNext: elements.wizardAutoNext.checked
     };
 
     await chrome.storage.local.set({ settings: newSettings });
@@ -1147,5 +3049,13 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+// 批量任务运行时进度与提交记录在后台更新，打开对应标签时同步刷新
+chrome.storage.onChanged.addListener(async (changes, areaName) => {
+  if (areaName !== 'local' || !(changes.campaigns || changes.submissionRecords)) return;
+  if (!['campaigns', 'history', 'followUps', 'backlinks'].includes(currentTab)) return;
+  await loadData();
+  renderCurrentTab();
+});
+
 // Initialize on load
 document.addEventListener('DOMContentLoaded', init);
@@ -17,6 +17,25 @@ const FIELD_LABELS = {
   screenshot: '界面截图'
 };
 
+// 映射来源 → 展示名称（bind > cache > ai > keyword）
+const SOURCE_LABELS = {
+  bind: '绑定',
+  cache: '缓存',
+  ai: 'AI',
+  keyword: '关键词'
+};
+
+// 档案文案语言 → 展示名称（多语言版本填充时提示）
+const LANGUAGE_LABELS = {
+  zh: '中文',
+  en: '英文',
+  ja: '日文',
+  ko: '韩文',
+  fr: '法文',
+  de: '德文',
+  es: '西班牙文'
+};
+
 // DOM elements
 const elements = {
   siteSelect: document.getElementById('siteSelect'),
@@ -26,6 +45,8 @@ const elements = {
   pageDomain: document.getElementById('pageDomain'),
   recognitionStatus: document.getElementById('recognitionStatus'),
   fieldCount: document.getElementById('fieldCount'),
+  staleRow: document.getElementById('staleRow'),
+  rerecognizeBtn: document.getElementById('rerecognizeBtn'),
   formStatus: document.getElementById('formStatus'),
   noFormHint: document.getElementById('noFormHint'),
   fieldFillSection: document.getElementById('fieldFillSection'),
@@ -33,7 +54,12 @@ const elements = {
   fieldFillNoData: document.getElementById('fieldFillNoData'),
   fillFormBtn: document.getElementById('fillFormBtn'),
   aiFillFormBtn: document.getElementById('aiFillFormBtn'),
+  previewFillBtn: document.getElementById('previewFillBtn'),
+  undoFillBtn: document.getElementById('undoFillBtn'),
   clearCacheBtn: document.getElementById('clearCacheBtn'),
+  capturePreset: document.getElementById('capturePreset'),
+  captureFullPage: document.getElementById('captureFullPage'),
+  captureScreenshotBtn: document.getElementById('captureScreenshotBtn'),
   openNavSitesBtn: document.getElementById('openNavSitesBtn'),
   openOptionsBtn: document.getElementById('openOptionsBtn'),
   statusMessage: document.getElementById('statusMessage'),
@@ -134,19 +160,137 @@ function populateSiteSelect() {
   }
 }
 
+/**
+ * 向当前标签页的所有 frame 发消息并合并结果（表单可能在跨域 iframe 里，由该 frame 内的 content script 处理）。
+ * 同源子 frame 返回 skipped（已由根 frame 按 framePath 处理），不参与合并。
+ * 没有任何 frame 响应时抛出顶层 frame 的错误，与直接 chrome.tabs.sendMessage 一致
+ */
+async function sendToPage(message) {
+  let frameIds = [0];
+  try {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId: currentTab.id });
+    if (frames?.length) frameIds = frames.map(f => f.frameId).sort((a, b) => a - b);
+  } catch (_) {}
+
+  const settled = await Promise.allSettled(
+    frameIds.map(frameId => chrome.tabs.sendMessage(currentTab.id, message, { frameId }))
+  );
+  const responses = settled
+    .filter(r => r.status === 'fulfilled' && r.value && !r.value.skipped)
+    .map(r => r.value);
+
+  if (responses.length === 0) {
+    const rejected = settled.find(r => r.status === 'rejected');
+    if (rejected) throw rejected.reason;
+    return null;
+  }
+  if (responses.length === 1) return responses[0];
+
+  const combine = FRAME_RESPONSE_COMBINERS[message.action];
+  return combine ? combine(responses) : responses[0];
+}
+
+/** 多来源识别方式合并：一致时为该方式，否则为混合 */
+function combineMethods(methods) {
+  const used = [...new Set(methods.filter(Boolean))];
+  return used.length === 1 ? used[0] : (used.length ? 'hybrid' : null);
+}
+
+function combineRecognizeResponses(responses) {
+  const ok = responses.filter(r => r.success && r.result?.status === 'success').map(r => r.result);
+  if (ok.length === 0) return responses[0];
+  const mappings = ok.flatMap(r => r.mappings || []);
+  return {
+    success: true,
+    result: {
+      status: 'success',
+      method: combineMethods(ok.map(r => r.method)),
+      mappings,
+      fieldCount: mappings.length,
+      stale: ok.map(r => r.stale).find(Boolean) || null
+    }
+  };
+}
+
+function combineFillResponses(responses) {
+  const ok = responses.filter(r => r.success).map(r => r.result || {});
+  if (ok.length === 0) return responses[0];
+  return {
+    success: true,
+    result: {
+      filledCount: ok.reduce((sum, r) => sum + (r.filledCount || 0), 0),
+      totalFields: ok.reduce((sum, r) => sum + (r.totalFields || 0), 0),
+      errors: ok.flatMap(r => r.errors || []),
+      hasCaptcha: ok.some(r => r.hasCaptcha),
+      undoAvailable: ok.some(r => r.undoAvailable),
+      language: ok.map(r => r.language).find(Boolean) || null,
+      lengthAdjustments: ok.flatMap(r => r.lengthAdjustments || []),
+      autoSubmit: ok.map(r => r.autoSubmit).find(a => a && a.status !== 'off') || null,
+      wizard: ok.map(r => r.wizard).find(Boolean) || null
+    }
+  };
+}
+
+function combinePageStates(responses) {
+  const states = responses.filter(r => r.success && r.state).map(r => r.state);
+  if (states.length === 0) return responses[0];
+  const withMappings = states.filter(st => st.fieldMappings);
+  return {
+    success: true,
+    state: {
+      ...states[0],
+      hasForm: states.some(st => st.hasForm),
+      fieldMappings: withMappings.length ? withMappings.flatMap(st => st.fieldMappings) : null,
+      recognitionStatus: withMappings.length ? 'done' : states[0].recognitionStatus,
+      recognitionMethod: combineMethods(states.map(st => st.recognitionMethod)),
+      mappingStale: states.map(st => st.mappingStale).find(Boolean) || null,
+      canUndo: states.some(st => st.canUndo)
+    }
+  };
+}
+
+function combineDetectResponses(responses) {
+  const results = responses.filter(r => r.success && r.result).map(r => r.result);
+  if (results.length === 0) return responses[0];
+  return {
+    success: true,
+    result: {
+      ...results[0],
+      hasForm: results.some(r => r.hasForm),
+      inputCount: results.reduce((sum, r) => sum + (r.inputCount || 0), 0),
+      formCount: results.reduce((sum, r) => sum + (r.formCount || 0), 0)
+    }
+  };
+}
+
+/** 各消息的多 frame 结果合并方式 */
+const FRAME_RESPONSE_COMBINERS = {
+  getPageState: combinePageStates,
+  detectForm: combineDetectResponses,
+  recognizeForm: combineRecognizeResponses,
+  rerecognizeForm: combineRecognizeResponses,
+  fillForm: combineFillResponses,
+  fillSingleField: combineFillResponses,
+  undoFill: responses => ({
+    success: responses.some(r => r.success),
+    result: { restoredCount: responses.reduce((sum, r) => sum + (r.result?.restoredCount || 0), 0) }
+  }),
+  clearMapping: responses => ({ success: responses.some(r => r.success) })
+};
+
 /**
  * Get page state from content script
  */
 async function getPageState() {
   try {
-    const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'getPageState' });
+    const response = await sendToPage({ action: 'getPageState' });
 
     if (response && response.success) {
       pageState = response.state;
       updateFormStatus();
     } else {
       // Content script might not be ready, try to detect form
-      const detectResponse = await chrome.tabs.sendMessage(currentTab.id, { action: 'detectForm' });
+      const detectResponse = await sendToPage({ action: 'detectForm' });
       if (detectResponse && detectResponse.success) {
         updateFormStatusFromDetect(detectResponse.result);
       } else {
@@ -185,11 +329,17 @@ function updateFormStatus() {
   };
   elements.recognitionStatus.textContent = statusTexts[pageState.recognitionStatus] || pageState.recognitionStatus;
 
-  // 如果使用了 AI 识别，显示标识
-  if (pageState.recognitionMethod === 'ai') {
-    elements.recognitionStatus.textContent += ' (AI)';
-  } else if (pageState.recognitionMethod === 'cache') {
-    elements.recognitionStatus.textContent += ' (缓存)';
+  // 显示识别来源（多来源合并时为「混合」）
+  if (pageState.recognitionMethod === 'hybrid') {
+    elements.recognitionStatus.textContent += ' (混合)';
+  } else if (pageState.recognitionMethod && pageState.recognitionMethod !== 'keyword') {
+    elements.recognitionStatus.textContent += ` (${SOURCE_LABELS[pageState.recognitionMethod] || pageState.recognitionMethod})`;
+  }
+
+  // 多步表单：显示当前步骤
+  const wizard = pageState.wizard;
+  if (wizard) {
+    elements.recognitionStatus.textContent += ` · 第 ${wizard.stepIndex}${wizard.stepCount ? '/' + wizard.stepCount : ''} 步`;
   }
 
   // Field count
@@ -198,8 +348,17 @@ function updateFormStatus() {
   } else {
     elements.fieldCount.textContent = '-';
   }
+
+  // 缓存映射与当前表单结构不符（网站改版）时提示重新识别
+  const stale = pageState.mappingStale;
+  elements.staleRow.classList.toggle('hidden', !stale);
+  if (stale) {
+    elements.staleRow.title = `结构相似度 ${Math.round(stale.similarity * 100)}%，${stale.missingCount}/${stale.mappingCount} 个字段找不到`;
+  }
   // 主按钮「自动识别并填充」：有选中站点即可用，点击后会先识别再填充
   elements.fillFormBtn.disabled = !currentSiteId;
+  elements.previewFillBtn.disabled = !currentSiteId;
+  elements.undoFillBtn.classList.toggle('hidden', !pageState.canUndo);
 
   // AI 按钮：需要配置 LLM 且有选中站点
   elements.aiFillFormBtn.disabled = !currentSiteId || !llmEnabled;
@@ -250,13 +409,16 @@ function updateFieldFillList() {
     else if (m.standardField === 'screenshot' && (currentSite.screenshotDataUrl || preview)) preview = '(图片)';
     else preview = String(preview).trim();
     if (preview.length > 22) preview = preview.slice(0, 20) + '…';
-    rows.push({ standardField: m.standardField, label, preview });
+    rows.push({ standardField: m.standardField, label, preview, source: m.source, confidence: m.confidence });
   }
 
-  list.innerHTML = rows.map(({ standardField, label, preview }) => {
+  list.innerHTML = rows.map(({ standardField, label, preview, source, confidence }) => {
     const previewEsc = escapeHtml(preview || '—');
+    const sourceLabel = SOURCE_LABELS[source] || source;
+    const sourceTitle = confidence != null ? `${sourceLabel} · 置信度 ${Math.round(confidence * 100)}%` : sourceLabel;
     return `<li data-field="${escapeHtml(standardField)}" title="点击填充：${escapeHtml(label)}">
       <span class="field-name">${escapeHtml(label)}</span>
+      ${source ? `<span class="field-source source-${escapeHtml(source)}" title="${escapeHtml(sourceTitle)}">${escapeHtml(sourceLabel)}</span>` : ''}
       <span class="field-preview">${previewEsc}</span>
       <span class="field-action">填充</span>
     </li>`;
@@ -276,10 +438,11 @@ function escapeHtml(s) {
 async function onFieldFillClick(standardField) {
   if (!currentTab?.id || !standardField) return;
   try {
-    const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'fillSingleField', standardField });
+    const response = await sendToPage({ action: 'fillSingleField', standardField });
     if (response?.success) {
       const n = response.result?.filledCount ?? 0;
       showSuccess(n > 0 ? `已填充「${FIELD_LABELS[standardField] || standardField}」` : '该字段无内容或未找到对应控件');
+      if (n > 0) elements.undoFillBtn.classList.remove('hidden');
     } else {
       showError(response?.error || '填充失败');
     }
@@ -288,6 +451,84 @@ async function onFieldFillClick(standardField) {
   }
 }
 
+/**
+ * 多步表单填充结果说明（单页表单时为空）
+ */
+function describeWizardResult(wizard) {
+  if (!wizard) return '';
+  let text = `\n\n多步表单：本次处理 ${wizard.steps.length} 步，当前第 ${wizard.stepIndex} 步`;
+  if (wizard.stopReason) {
+    text += `\n${wizard.stopReason}`;
+  } else if (!wizard.hasNext) {
+    text += '，已到最后一步，请检查后手动提交';
+  }
+  return text;
+}
+
+/**
+ * 使用了哪种语言的文案（档案没有多语言版本时为空）
+ */
+function describeFillLanguage(language) {
+  return language ? `（使用${LANGUAGE_LABELS[language] || language}文案）` : '';
+}
+
+/**
+ * 因字段长度限制换用 / 截断了哪些文案（没有调整时为空）
+ */
+function describeLengthAdjustments(adjustments) {
+  if (!adjustments?.length) return '';
+  const lines = adjustments.map(a => {
+    const limit = [a.minLength && `至少 ${a.minLength}`, a.maxLength && `最多 ${a.maxLength}`].filter(Boolean).join('、');
+    const how = a.via === 'truncate'
+      ? `已截短 ${a.originalLength} → ${a.length} 字`
+      : a.via.startsWith('truncate:')
+        ? `改用「${FIELD_LABELS[a.via.slice(9)] || a.via.slice(9)}」并截短为 ${a.length} 字`
+        : `改用「${FIELD_LABELS[a.via] || a.via}」（${a.length} 字）`;
+    return `${FIELD_LABELS[a.standardField] || a.standardField}（${limit} 字）：${how}`;
+  });
+  return `\n\n以下字段有长度限制，文案已调整:\n${lines.join('\n')}`;
+}
+
+/**
+ * 自动提交说明（未开启自动提交时为空）
+ */
+function describeAutoSubmitResult(autoSubmit) {
+  if (autoSubmit?.status === 'scheduled') {
+    return `\n\n将在 ${autoSubmit.countdown} 秒后自动点击「${autoSubmit.buttonText || '提交'}」，可在页面左下角取消`;
+  }
+  if (autoSubmit?.status === 'skipped') {
+    return `\n\n未自动提交：${autoSubmit.reason}`;
+  }
+  return '';
+}
+
+/**
+ * 预览结果汇总：必填项留空时用警告提示
+ */
+function showPreviewSummary(preview) {
+  const okCount = preview.items.filter(it => it.status === 'ok').length;
+  let message = `预览：将填充 ${okCount} 个字段，已在页面上标出`;
+  const missing = preview.items.filter(it => it.status === 'missing');
+  if (missing.length) {
+    message += `\n找不到元素：${missing.map(it => it.label).join('、')}`;
+  }
+  if (preview.unmapped.length) {
+    message += `\n${preview.unmapped.length} 个字段未映射，可右键「绑定为字段」`;
+  }
+  if (preview.requiredEmpty.length) {
+    message += `\n必填但不会填写：${preview.requiredEmpty.join('、')}`;
+  }
+  if (preview.submitButton) {
+    message += `\n提交按钮：${preview.submitButton}`;
+  }
+  message += '\n\n确认无误后点页面右上角的「确认填充」';
+  if (preview.requiredEmpty.length || missing.length) {
+    showWarning(message);
+  } else {
+    showSuccess(message);
+  }
+}
+
 /**
  * Update form status from detect response
  */
@@ -298,6 +539,7 @@ function updateFormStatusFromDetect(detectResult) {
     elements.recognitionStatus.textContent = '待识别';
     elements.fieldCount.textContent = detectResult.inputCount + ' 个输入项';
     elements.fillFormBtn.disabled = !currentSiteId;
+    elements.previewFillBtn.disabled = !currentSiteId;
   } else {
     showNoForm();
   }
@@ -310,6 +552,7 @@ function showNoForm() {
   elements.formStatus.classList.add('hidden');
   elements.noFormHint.classList.remove('hidden');
   elements.fillFormBtn.disabled = true;
+  elements.previewFillBtn.disabled = true;
   updateFieldFillList();
 }
 
@@ -354,7 +597,7 @@ function setupEventListeners() {
     try {
       // 1. 先识别表单（无缓存或需刷新时）
       elements.fillFormBtn.innerHTML = '<span class="btn-icon">⏳</span> 识别中...';
-      const recognizeResponse = await chrome.tabs.sendMessage(currentTab.id, {
+      const recognizeResponse = await sendToPage({
         action: 'recognizeForm',
         useLlm: false
       });
@@ -378,6 +621,8 @@ function setupEventListeners() {
         fieldMappings: result.mappings || [],
         recognitionStatus: 'done',
         recognitionMethod: result.method,
+        mappingStale: result.stale || null,
+        wizard: pageState?.wizard || null,
         domain
       };
       updateFormStatus();
@@ -389,21 +634,25 @@ function setupEventListeners() {
 
       // 2. 再填充
       elements.fillFormBtn.innerHTML = '<span class="btn-icon">⏳</span> 填充中...';
-      const fillResponse = await chrome.tabs.sendMessage(currentTab.id, {
+      const fillResponse = await sendToPage({
         action: 'fillForm',
         siteId: currentSiteId
       });
 
       if (fillResponse.success) {
         const fillResult = fillResponse.result;
-        let message = `已填充 ${fillResult.filledCount} 个字段`;
+        let message = `已填充 ${fillResult.filledCount} 个字段${describeFillLanguage(fillResult.language)}`;
         if (fillResult.hasCaptcha) {
           message += '\n\n检测到验证码，请手动完成验证后提交。';
         }
         if (fillResult.errors && fillResult.errors.length > 0) {
           message += `\n\n部分字段填充失败:\n${fillResult.errors.join('\n')}`;
         }
+        message += describeLengthAdjustments(fillResult.lengthAdjustments);
+        message += describeWizardResult(fillResult.wizard);
+        message += describeAutoSubmitResult(fillResult.autoSubmit);
         showSuccess(message);
+        elements.undoFillBtn.classList.toggle('hidden', !fillResult.undoAvailable);
       } else {
         showError(fillResponse.error || '填充失败');
       }
@@ -419,7 +668,7 @@ function setupEventListeners() {
   // 清除当前页识别缓存（识别不准或漏填时使用，下次「自动识别并填充」会重新识别）
   elements.clearCacheBtn.addEventListener('click', async () => {
     try {
-      const response = await chrome.tabs.sendMessage(currentTab.id, { action: 'clearMapping' });
+      const response = await sendToPage({ action: 'clearMapping' });
       if (response?.success) {
         showSuccess('已清除本页缓存，请再次点击「自动识别并填充」');
         await getPageState();
@@ -435,6 +684,68 @@ function setupEventListeners() {
     }
   });
 
+  // 预览填充：页面上标出各字段将填入的值，在页面的操作栏里确认填充
+  elements.previewFillBtn.addEventListener('click', async () => {
+    if (!currentSiteId) {
+      showWarning('请先选择一个站点');
+      return;
+    }
+    elements.previewFillBtn.disabled = true;
+    try {
+      const response = await sendToPage({ action: 'previewFill', siteId: currentSiteId });
+      if (response?.success) {
+        showPreviewSummary(response.result);
+        await getPageState();
+      } else {
+        showError('预览失败: ' + (response?.error || '未知错误'));
+      }
+    } catch (error) {
+      showError(error?.message?.includes('Receiving end') ? '无法在此页面使用（请打开普通网页）' : '预览失败: ' + error.message);
+    } finally {
+      elements.previewFillBtn.disabled = !currentSiteId;
+    }
+  });
+
+  // 撤销最近一次填充：各 frame 恢复填充前的值
+  elements.undoFillBtn.addEventListener('click', async () => {
+    elements.undoFillBtn.disabled = true;
+    try {
+      const response = await sendToPage({ action: 'undoFill' });
+      if (response?.success) {
+        const n = response.result?.restoredCount || 0;
+        showSuccess(n > 0 ? `已撤销填充，恢复 ${n} 个字段` : '字段内容未变化，无需撤销');
+        elements.undoFillBtn.classList.add('hidden');
+      } else {
+        showError('撤销失败: ' + (response?.error || '未知错误'));
+      }
+    } catch (error) {
+      showError('撤销失败: ' + error.message);
+    } finally {
+      elements.undoFillBtn.disabled = false;
+    }
+  });
+
+  // 表单结构变化后重新识别（保留仍能定位到元素的手动绑定）
+  elements.rerecognizeBtn.addEventListener('click', async () => {
+    elements.rerecognizeBtn.disabled = true;
+    try {
+      const response = await sendToPage({
+        action: 'rerecognizeForm',
+        useLlm: false
+      });
+      if (response?.success) {
+        showSuccess(`已重新识别 ${response.result.fieldCount} 个字段`);
+        await getPageState();
+      } else {
+        showError('重新识别失败: ' + (response?.error || '未知错误'));
+      }
+    } catch (error) {
+      showError('重新识别失败: ' + error.message);
+    } finally {
+      elements.rerecognizeBtn.disabled = false;
+    }
+  });
+
   // AI 智能识别按钮
   elements.aiFillFormBtn.addEventListener('click', async () => {
     if (!currentSiteId) {
@@ -452,7 +763,7 @@ function setupEventListeners() {
     try {
       // 1. 先使用 AI 识别表单
       elements.aiFillFormBtn.innerHTML = '<span class="btn-icon">⏳</span> AI 识别中...';
-      const recognizeResponse = await chrome.tabs.sendMessage(currentTab.id, {
+      const recognizeResponse = await sendToPage({
         action: 'recognizeForm',
         useLlm: true  // 启用 AI 识别
       });
@@ -476,6 +787,8 @@ function setupEventListeners() {
         fieldMappings: result.mappings || [],
         recognitionStatus: 'done',
         recognitionMethod: result.method,
+        mappingStale: result.stale || null,
+        wizard: pageState?.wizard || null,
         domain
       };
       updateFormStatus();
@@ -487,21 +800,25 @@ function setupEventListeners() {
 
       // 2. 再填充
       elements.aiFillFormBtn.innerHTML = '<span class="btn-icon">⏳</span> 填充中...';
-      const fillResponse = await chrome.tabs.sendMessage(currentTab.id, {
+      const fillResponse = await sendToPage({
         action: 'fillForm',
         siteId: currentSiteId
       });
 
       if (fillResponse.success) {
         const fillResult = fillResponse.result;
-        let message = `AI 识别 + 已填充 ${fillResult.filledCount} 个字段`;
+        let message = `AI 识别 + 已填充 ${fillResult.filledCount} 个字段${describeFillLanguage(fillResult.language)}`;
         if (fillResult.hasCaptcha) {
           message += '\n\n检测到验证码，请手动完成验证后提交。';
         }
         if (fillResult.errors && fillResult.errors.length > 0) {
           message += `\n\n部分字段填充失败:\n${fillResult.errors.join('\n')}`;
         }
+        message += describeLengthAdjustments(fillResult.lengthAdjustments);
+        message += describeWizardResult(fillResult.wizard);
+        message += describeAutoSubmitResult(fillResult.autoSubmit);
         showSuccess(message);
+        elements.undoFillBtn.classList.toggle('hidden', !fillResult.undoAvailable);
       } else {
         showError(fillResponse.error || '填充失败');
       }
@@ -514,6 +831,33 @@ function setupEventListeners() {
     }
   });
 
+  // 站点截图：background 打开截图窗口（popup 随之关闭），截好后存入当前站点并以通知告知
+  elements.captureScreenshotBtn.addEventListener('click', () => {
+    const site = sites.find(s => s.id === currentSiteId);
+    if (!site) {
+      showWarning('请先选择一个站点');
+      return;
+    }
+    if (!site.siteUrl) {
+      showWarning('当前站点没有填写网站 URL');
+      return;
+    }
+    elements.captureScreenshotBtn.disabled = true;
+    showMessage('正在打开网站截图，完成后会有通知…');
+    chrome.runtime.sendMessage({
+      action: 'captureSiteScreenshot',
+      siteId: site.id,
+      preset: elements.capturePreset.value,
+      fullPage: elements.captureFullPage.checked,
+      save: true
+    }).then(response => {
+      if (response?.success) showSuccess('截图已保存为当前界面截图');
+      else showError('截图失败: ' + (response?.error || '未知错误'));
+    }).catch(() => {}).finally(() => {
+      elements.captureScreenshotBtn.disabled = false;
+    });
+  });
+
   // Open nav sites button
   elements.openNavSitesBtn.addEventListener('click', () => {
     chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html?tab=navSites') });